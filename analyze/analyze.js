@@ -8,6 +8,16 @@ document.addEventListener("DOMContentLoaded", async () => {
     return;
   }
 
+  // Background asks for a reload once the final analysis replaces the live view
+  browser.runtime.onMessage.addListener((msg) => {
+    if (msg && msg.analyzeReload) location.reload();
+  });
+
+  if (pendingAnalysis._streaming) {
+    initStreamingView(pendingAnalysis);
+    return;
+  }
+
   const analysis = pendingAnalysis;
   const isFromCache = !!analysis._fromCache;
 
@@ -32,78 +42,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
   // --- Render summary ---
-  document.getElementById("summary").textContent = analysis.summary || "(no summary)";
-
-  // --- Render priority badge (prepend after textContent is set) ---
-  if (analysis.priority && analysis.priority !== "informational") {
-    const badge = document.createElement("span");
-    badge.className = `priority-badge priority-${analysis.priority}`;
-    badge.textContent = analysis.priority === "action-needed"
-      ? "Action Needed"
-      : analysis.priority.charAt(0).toUpperCase() + analysis.priority.slice(1);
-    document.getElementById("summary").prepend(badge);
-  }
+  renderSummary(analysis);
 
   // --- Render detected items ("What I Found") ---
   const detectedEl = document.getElementById("detected-items");
   const detectedSection = document.getElementById("detected-section");
-  let hasDetected = false;
-
-  const groups = [
-    { key: "events",   label: "Calendar Events" },
-    { key: "tasks",    label: "Tasks" },
-    { key: "contacts", label: "Contacts" },
-  ];
-
-  for (const group of groups) {
-    const items = analysis[group.key];
-    if (!Array.isArray(items) || items.length === 0) continue;
-
-    hasDetected = true;
-    const groupDiv = document.createElement("div");
-    groupDiv.className = "group";
-
-    const groupLabel = document.createElement("div");
-    groupLabel.className = "group-label";
-    groupLabel.textContent = group.label;
-    groupDiv.appendChild(groupLabel);
-
-    items.forEach((item, idx) => {
-      const row = document.createElement("div");
-      row.className = "item-row";
-
-      const text = document.createElement("span");
-      text.className = "item-text";
-      const previewText = typeof item === "string" ? item
-        : item.preview || item.title || item.name || item.description
-          || item.summary || item.label || null;
-      text.textContent = previewText || `${group.label} item ${idx + 1}`;
-
-      const btn = document.createElement("button");
-      btn.dataset.group = group.key;
-      btn.dataset.index = idx;
-
-      if (isFromCache) {
-        // Cached data — buttons are immediately active
-        btn.className = "add-btn";
-        btn.textContent = "Add";
-        btn.disabled = false;
-      } else {
-        // Live data — buttons start as waiting
-        btn.className = "add-btn processing";
-        btn.textContent = "Waiting\u2026";
-        btn.disabled = true;
-      }
-
-      btn.addEventListener("click", () => handleItemClick(btn, group.key, idx));
-
-      row.appendChild(text);
-      row.appendChild(btn);
-      groupDiv.appendChild(row);
-    });
-
-    detectedEl.appendChild(groupDiv);
-  }
+  let hasDetected = renderDetectedGroups(analysis, isFromCache);
 
   // Unsubscribe — detected from List-Unsubscribe header, not AI-driven
   if (analysis._unsubscribe) {
@@ -179,6 +123,12 @@ document.addEventListener("DOMContentLoaded", async () => {
     document.getElementById("use-reply-btn").style.display = "none";
   }
 
+  // --- Render model reasoning (collapsed) ---
+  if (analysis._reasoning) {
+    document.getElementById("reasoning-text").textContent = analysis._reasoning;
+    document.getElementById("reasoning-section").style.display = "";
+  }
+
   // --- Render Quick Actions ---
   const quickActionsEl = document.getElementById("quick-actions");
   const quickDefs = [
@@ -325,6 +275,138 @@ document.addEventListener("DOMContentLoaded", async () => {
   browser.runtime.sendMessage({ analyzeAction: "dialogReady" }).catch(() => {});
 });
 
+// Live view while the model is still generating. Sections are filled in
+// from partial results pushed by the background; the final analysis arrives
+// as an analyzeReload message.
+function initStreamingView(pending) {
+  const statusEl = document.getElementById("stream-status");
+  const summaryEl = document.getElementById("summary");
+  statusEl.textContent = `Analyzing with ${pending._model || "the model"}\u2026`;
+  statusEl.style.display = "";
+  summaryEl.textContent = "Waiting for the model\u2026";
+  summaryEl.classList.add("streaming");
+
+  // Actions only make sense once the analysis is complete
+  document.getElementById("quick-section").style.display = "none";
+  document.querySelector(".section-divider").style.display = "none";
+  document.querySelector(".button-row").style.display = "none";
+
+  const cancelBtn = document.getElementById("cancel-btn");
+  cancelBtn.style.display = "";
+  cancelBtn.addEventListener("click", async () => {
+    await browser.runtime.sendMessage({ action: "cancelLLMRequest" }).catch(() => {});
+    window.close();
+  });
+
+  browser.runtime.onMessage.addListener((msg) => {
+    if (!msg) return;
+    if (msg.analyzeStream) {
+      const partial = msg.partial || {};
+      // Long emails are analyzed in parts and report a status instead of tokens
+      const tokens = `${msg.tokens} tokens${msg.thinking ? " \u2014 thinking" : ""}`;
+      statusEl.textContent = `Analyzing with ${pending._model || "the model"}\u2026 ${msg.status || tokens}`;
+      if (partial.summary) {
+        summaryEl.classList.remove("streaming");
+        renderSummary(partial);
+      }
+      document.getElementById("detected-items").textContent = "";
+      if (renderDetectedGroups(partial, false)) {
+        document.getElementById("detected-section").style.display = "";
+      }
+    } else if (msg.analyzeStreamError) {
+      statusEl.style.display = "none";
+      cancelBtn.style.display = "none";
+      const banner = document.createElement("div");
+      banner.className = "error-banner";
+      banner.textContent = `Analysis failed: ${msg.error || "unknown error"}`;
+      document.getElementById("content").prepend(banner);
+    }
+  });
+
+  document.getElementById("loading").style.display = "none";
+  document.getElementById("content").style.display = "";
+}
+
+function renderSummary(analysis) {
+  const summaryEl = document.getElementById("summary");
+  summaryEl.textContent = analysis.summary || "(no summary)";
+
+  // Priority badge (prepend after textContent is set)
+  if (analysis.priority && analysis.priority !== "informational") {
+    const badge = document.createElement("span");
+    badge.className = `priority-badge priority-${analysis.priority}`;
+    badge.textContent = analysis.priority === "action-needed"
+      ? "Action Needed"
+      : analysis.priority.charAt(0).toUpperCase() + analysis.priority.slice(1);
+    summaryEl.prepend(badge);
+  }
+}
+
+// Render the events/tasks/contacts groups into #detected-items.
+// Returns true if any group had items.
+function renderDetectedGroups(analysis, isFromCache) {
+  const detectedEl = document.getElementById("detected-items");
+  let hasDetected = false;
+
+  const groups = [
+    { key: "events",   label: "Calendar Events" },
+    { key: "tasks",    label: "Tasks" },
+    { key: "contacts", label: "Contacts" },
+  ];
+
+  for (const group of groups) {
+    const items = analysis[group.key];
+    if (!Array.isArray(items) || items.length === 0) continue;
+
+    hasDetected = true;
+    const groupDiv = document.createElement("div");
+    groupDiv.className = "group";
+
+    const groupLabel = document.createElement("div");
+    groupLabel.className = "group-label";
+    groupLabel.textContent = group.label;
+    groupDiv.appendChild(groupLabel);
+
+    items.forEach((item, idx) => {
+      const row = document.createElement("div");
+      row.className = "item-row";
+
+      const text = document.createElement("span");
+      text.className = "item-text";
+      const previewText = typeof item === "string" ? item
+        : item.preview || item.title || item.name || item.description
+          || item.summary || item.label || null;
+      text.textContent = previewText || `${group.label} item ${idx + 1}`;
+
+      const btn = document.createElement("button");
+      btn.dataset.group = group.key;
+      btn.dataset.index = idx;
+
+      if (isFromCache) {
+        // Cached data — buttons are immediately active
+        btn.className = "add-btn";
+        btn.textContent = "Add";
+        btn.disabled = false;
+      } else {
+        // Live data — buttons start as waiting
+        btn.className = "add-btn processing";
+        btn.textContent = "Waiting\u2026";
+        btn.disabled = true;
+      }
+
+      btn.addEventListener("click", () => handleItemClick(btn, group.key, idx));
+
+      row.appendChild(text);
+      row.appendChild(btn);
+      groupDiv.appendChild(row);
+    });
+
+    detectedEl.appendChild(groupDiv);
+  }
+
+  return hasDetected;
+}
+
 async function handleItemClick(btn, group, index) {
   if (btn.disabled) return;
 
@@ -2,17 +2,17 @@
 
 const DEBUG = false;
 
-const DEFAULT_HOST = "http://127.0.0.1:11434";
-
 // DEFAULTS is defined in config.js, loaded before this script.
 
 // --- LLM parameter helpers ---
 
-// Build Ollama options from user settings. Omits keys whose value is 0 (model default).
-function buildOllamaOptions(settings) {
-  const opts = {};
-  if (settings.numCtx)     opts.num_ctx     = settings.numCtx;
-  if (settings.numPredict) opts.num_predict = settings.numPredict;
+// Build Ollama options for an action from user settings, using the action's
+// own overrides where set. Omits keys whose value is 0 (model default).
+function buildOllamaOptions(settings, action) {
+  const { numCtx, numPredict } = actionLLMSettings(settings, action);
+  const opts = { thinking: settings.thinking };
+  if (numCtx)     opts.num_ctx     = numCtx;
+  if (numPredict) opts.num_predict = numPredict;
   return opts;
 }
 
@@ -20,9 +20,11 @@ function buildOllamaOptions(settings) {
 // above the hardcoded minimums but never lower below them — Auto Analyze
 // needs generous token budgets to function reliably.
 function autoAnalyzeOpts(settings, minCtx, minPredict) {
+  const { numCtx, numPredict } = actionLLMSettings(settings, "analyze");
   return {
-    num_ctx:     Math.max(settings.numCtx || 0, minCtx),
-    num_predict: Math.max(settings.numPredict || 0, minPredict),
+    num_ctx:     Math.max(numCtx, minCtx),
+    num_predict: Math.max(numPredict, minPredict),
+    thinking:    settings.thinking,
   };
 }
 
@@ -165,72 +167,17 @@ browser.storage.onChanged.addListener((changes, area) => {
 });
 
 // Pure utility functions (normalizeCalDate, extractJSON, buildAttendeesHint,
-// buildDescription, buildCategoryInstruction, isValidHostUrl, etc.) are
-// defined in utils.js, which is loaded before this script.
-
-function normalizeCalendarData(data) {
-  if (data.startDate) data.startDate = normalizeCalDate(data.startDate);
-  if (data.endDate)   data.endDate   = normalizeCalDate(data.endDate);
-  data.forceAllDay = !!data.forceAllDay; // schema requires this field
-  return data;
-}
+// buildDescription, isValidHostUrl, etc.) are defined in utils.js, which is
+// loaded before this script.
 
-function normalizeTaskData(data) {
-  if (data.dueDate)     data.dueDate     = normalizeCalDate(data.dueDate);
-  if (data.initialDate) data.initialDate = normalizeCalDate(data.initialDate);
-  if (data.InitialDate) {
-    data.initialDate = normalizeCalDate(data.InitialDate);
-    delete data.InitialDate;
-  }
-  return data;
-}
+// Model results are coerced and their dates normalized by validateResult()
+// and normalizeResult() in validator.js, also loaded before this script.
 
 // buildCalendarPrompt, buildTaskPrompt, buildDraftReplyPrompt,
 // buildSummarizeForwardPrompt, buildContactPrompt are defined in utils.js,
-// which is loaded before this script in the extension manifest.
-
-async function callOllama(host, model, prompt, options = {}) {
-  if (!isValidHostUrl(host)) {
-    throw new Error(`Invalid Ollama host URL: "${host}". Check the extension settings.`);
-  }
-  const url = host.replace(/\/$/, "") + "/api/generate";
-  if (DEBUG) console.log("[ThunderClerk-AI] Calling Ollama", { url, model, promptLen: prompt.length });
-
-  const controller = new AbortController();
-  const timeoutMs  = prompt.length > 5000 ? 180_000 : 60_000;
-  const timeoutId  = setTimeout(() => controller.abort(), timeoutMs);
-
-  const body = { model, prompt, stream: false };
-  const ollamaOpts = {};
-  if (options.num_predict) ollamaOpts.num_predict = options.num_predict;
-  if (options.num_ctx) ollamaOpts.num_ctx = options.num_ctx;
-  if (options.temperature !== undefined) ollamaOpts.temperature = options.temperature;
-  if (Object.keys(ollamaOpts).length > 0) body.options = ollamaOpts;
-  if (options.format) body.format = options.format;
-
-  let response;
-  try {
-    response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-      signal: controller.signal,
-    });
-  } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name === "AbortError") throw new Error(`Ollama request timed out after ${timeoutMs / 1000} seconds.`);
-    throw e;
-  }
-  clearTimeout(timeoutId);
-
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`HTTP ${response.status}: ${body}`);
-  }
-  const data = await response.json();
-  if (DEBUG) console.log("[ThunderClerk-AI] Ollama response length:", data.response?.length);
-  return data.response;
-}
+// which is loaded before this script in the extension manifest. They return
+// [system, user] chat messages rather than a single prompt string.
+// resolveLLMTarget and callLLM are defined in providers.js.
 
 function previewPrompt(prompt) {
   return new Promise((resolve, reject) => {
@@ -269,6 +216,19 @@ function previewPrompt(prompt) {
   });
 }
 
+// Debug: show a response together with the model's reasoning. Unlike the
+// prompt preview this doesn't wait for the window to be closed.
+function previewReasoning(response, reasoning) {
+  browser.storage.local.set({ pendingReasoning: { response, reasoning } })
+    .then(() => browser.windows.create({
+      url: browser.runtime.getURL("debug/preview.html?reasoning=1"),
+      type: "popup",
+      width: 620,
+      height: 520,
+    }))
+    .catch((e) => console.warn("[ThunderClerk-AI] Could not show the model reasoning:", e.message));
+}
+
 function notifyError(title, message) {
   console.error("[ThunderClerk-AI]", title, message);
   browser.notifications.create({
@@ -278,40 +238,79 @@ function notifyError(title, message) {
   }).catch(() => {});
 }
 
+// A message blocked by a sender rule is never sent to an LLM. Shows a
+// notice naming the rule and returns true when it is blocked.
+function notifyIfBlocked(message, full, settings) {
+  const rule = matchSenderRule(settings.senderRules, senderRuleFields(message, full));
+  if (rule?.action !== "block") return false;
+  console.log("[ThunderClerk-AI] Message", message.id, "blocked by sender rule:", describeSenderRule(rule));
+  browser.notifications.create({
+    type: "basic",
+    title: "ThunderClerk-AI — AI blocked for this message",
+    message: `A sender rule (${describeSenderRule(rule)}) blocks AI for this message, so it was not sent to any model.`,
+  }).catch(() => {});
+  return true;
+}
+
 // --- Progress notification with elapsed time ---
 
 const THINKING_ID = "thunderclerk-ai-thinking";
 const PROGRESS_INTERVAL_MS = 3000;
 const STILL_WORKING_THRESHOLD_S = 60;
+const STREAM_UPDATE_INTERVAL_MS = 500;   // throttle partial-result parsing while streaming
+
+// The request behind the progress notification currently shown, so that
+// clicking the notification (or Cancel in the analyze dialog) can abort it.
+let activeProgress = null;
 
-function createProgressNotifier(actionLabel, model) {
+// holdsManualFlag: the handler behind the request paused background
+// processing (bgProcessorSetManualFlag), so cancelling it may resume it.
+function createProgressNotifier(actionLabel, model, holdsManualFlag = false) {
   let intervalId = null;
   let startTime = null;
+  let detail = "";   // live progress reported by a streaming call
+  const controller = new AbortController();
 
   function buildMessage(elapsedS) {
-    const base = elapsedS >= STILL_WORKING_THRESHOLD_S
+    const base = elapsedS >= STILL_WORKING_THRESHOLD_S && !detail
       ? `Still working\u2026 ${actionLabel}`
       : `Asking ${model} to ${actionLabel}\u2026`;
-    return elapsedS > 0 ? `${base} (${elapsedS}s)` : base;
+    const timed = elapsedS > 0 ? `${base} (${elapsedS}s)` : base;
+    const withDetail = detail ? `${timed}\n${detail}` : timed;
+    return `${withDetail}\nClick to cancel.`;
   }
 
-  return {
+  function show() {
+    const elapsedS = Math.round((Date.now() - startTime) / 1000);
+    browser.notifications.create(THINKING_ID, {
+      type: "basic",
+      title: "ThunderClerk-AI",
+      message: buildMessage(elapsedS),
+    }).catch(() => {});
+  }
+
+  const notifier = {
+    // Pass as options.signal to callLLM so cancel() aborts the request
+    signal: controller.signal,
+    holdsManualFlag,
+
     start() {
       startTime = Date.now();
-      browser.notifications.create(THINKING_ID, {
-        type: "basic",
-        title: "ThunderClerk-AI",
-        message: buildMessage(0),
-      }).catch(() => {});
-
-      intervalId = setInterval(() => {
-        const elapsedS = Math.round((Date.now() - startTime) / 1000);
-        browser.notifications.create(THINKING_ID, {
-          type: "basic",
-          title: "ThunderClerk-AI",
-          message: buildMessage(elapsedS),
-        }).catch(() => {});
-      }, PROGRESS_INTERVAL_MS);
+      activeProgress = notifier;
+      show();
+      intervalId = setInterval(show, PROGRESS_INTERVAL_MS);
+    },
+
+    // Replace the progress detail line; shown on the next interval tick.
+    update(text) {
+      detail = text || "";
+    },
+
+    cancel() {
+      if (controller.signal.aborted) return;
+      console.log(`[ThunderClerk-AI] Cancelled: ${actionLabel}`);
+      controller.abort();
+      notifier.stop();
     },
 
     stop() {
@@ -319,38 +318,71 @@ function createProgressNotifier(actionLabel, model) {
         clearInterval(intervalId);
         intervalId = null;
       }
+      if (activeProgress === notifier) activeProgress = null;
       browser.notifications.clear(THINKING_ID).catch(() => {});
     },
   };
+  return notifier;
+}
+
+// Abort the in-flight request. If its handler paused the background queue,
+// let the queue resume at once instead of waiting for the handler to unwind.
+function cancelActiveRequest() {
+  if (!activeProgress) return false;
+  const { holdsManualFlag } = activeProgress;
+  activeProgress.cancel();
+  if (holdsManualFlag) bgProcessorSetManualFlag(false);
+  return true;
 }
 
-// --- Shared helper: call Ollama with a progress notification ---
+browser.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === THINKING_ID) cancelActiveRequest();
+});
+
+// --- Shared helper: call the LLM with a progress notification ---
 
-async function callOllamaWithNotification(host, model, prompt, actionLabel, settings, ollamaOptions = {}) {
+// The parsed response is normalized as a result of the given kind (see
+// RESULT_KINDS in validator.js) and, when ollamaOptions.format is a JSON
+// Schema, validated against it before being returned. Unusable output is
+// sent back to the model for correction up to settings.jsonRetries times.
+// Result kinds match the LLM_ACTIONS keys, so kind also names the action
+// the request is recorded under (metrics.js).
+async function callLLMWithNotification(target, messages, actionLabel, settings, ollamaOptions = {}, kind = null,
+  holdsManualFlag = false) {
   // Debug: show prompt preview if enabled
   if (settings && settings.debugPromptPreview) {
-    await previewPrompt(prompt);
+    await previewPrompt(messagesToText(messages));
   }
 
-  const progress = createProgressNotifier(actionLabel, model);
+  const schema = ollamaOptions.format && typeof ollamaOptions.format === "object"
+    ? ollamaOptions.format
+    : null;
+  let lastResponse = "";
+  const parse = (rawResponse) => {
+    lastResponse = rawResponse;
+    let parsed = JSON.parse(extractJSON(rawResponse));
+    if (kind) parsed = normalizeResult(kind, parsed);
+    return schema ? assertMatchesSchema(parsed, schema) : parsed;
+  };
+
+  const progress = createProgressNotifier(actionLabel, target.model, holdsManualFlag);
   progress.start();
 
-  let rawResponse;
+  let reasoning = "";
   try {
-    rawResponse = await callOllama(host, model, prompt, ollamaOptions);
+    return await requestLLMJSON(target, kind, messages, parse, {
+      ...ollamaOptions, signal: progress.signal, onReasoning: (text) => { reasoning = text; },
+    }, settings?.jsonRetries);
   } finally {
     progress.stop();
+    if (reasoning && settings && settings.debugPromptPreview) previewReasoning(lastResponse, reasoning);
   }
-
-  const jsonStr = extractJSON(rawResponse);
-  return JSON.parse(jsonStr);
 }
 
 // --- Action handlers ---
 
-async function handleCalendar(message, emailBody, settings) {
-  const host              = settings.ollamaHost        || DEFAULT_HOST;
-  const model             = settings.ollamaModel       || DEFAULTS.ollamaModel;
+async function handleCalendar(message, emailBody, settings, holdsManualFlag = false) {
+  const target = resolveLLMTarget(settings, "calendar");
   const attendeesSource   = settings.attendeesSource   || "from_to";
   const attendeesStatic   = settings.attendeesStatic   || "";
   const calendarUseCategory = !!settings.calendarUseCategory;
@@ -371,18 +403,19 @@ async function handleCalendar(message, emailBody, settings) {
 
   const descriptionFormat = settings.descriptionFormat || "body_from_subject";
   const wantAiDescription = descriptionFormat === "ai_summary";
-  const prompt = buildCalendarPrompt(emailBody, subject, mailDatetime, currentDt, attendeeHints, categories, wantAiDescription);
+  const messages = buildCalendarPrompt(emailBody, subject, mailDatetime, currentDt, attendeeHints, categories, wantAiDescription,
+    promptLanguages(settings, browser.i18n.getUILanguage()));
 
-  const parsed = await callOllamaWithNotification(host, model, prompt, "extract event details", settings, buildOllamaOptions(settings));
+  const parsed = await callLLMWithNotification(target, messages, "extract event details", settings,
+    { ...buildOllamaOptions(settings, "calendar"), format: buildCalendarSchema(categories) }, "calendar", holdsManualFlag);
 
   applyEventSettings(parsed, message, emailBody, settings);
 
   await browser.CalendarTools.openCalendarDialog(parsed);
 }
 
-async function handleTask(message, emailBody, settings) {
-  const host              = settings.ollamaHost            || DEFAULT_HOST;
-  const model             = settings.ollamaModel           || DEFAULTS.ollamaModel;
+async function handleTask(message, emailBody, settings, holdsManualFlag = false) {
+  const target = resolveLLMTarget(settings, "task");
   const taskUseCategory   = !!settings.taskUseCategory;
 
   const mailDatetime  = formatDatetime(message.date);
@@ -400,23 +433,25 @@ async function handleTask(message, emailBody, settings) {
 
   const taskDescriptionFormat = settings.taskDescriptionFormat || "body_from_subject";
   const wantAiDescription = taskDescriptionFormat === "ai_summary";
-  const prompt = buildTaskPrompt(emailBody, subject, mailDatetime, currentDt, categories, wantAiDescription);
+  const messages = buildTaskPrompt(emailBody, subject, mailDatetime, currentDt, categories, wantAiDescription,
+    promptLanguages(settings, browser.i18n.getUILanguage()));
 
-  const parsed = await callOllamaWithNotification(host, model, prompt, "extract task details", settings, buildOllamaOptions(settings));
+  const parsed = await callLLMWithNotification(target, messages, "extract task details", settings,
+    { ...buildOllamaOptions(settings, "task"), format: buildTaskSchema(categories) }, "task", holdsManualFlag);
 
   applyTaskSettings(parsed, message, emailBody, settings);
 
   await browser.CalendarTools.openTaskDialog(parsed);
 }
 
-async function handleDraftReply(message, emailBody, settings) {
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
+async function handleDraftReply(message, emailBody, settings, holdsManualFlag = false) {
+  const target = resolveLLMTarget(settings, "reply");
   const author = message.author || "";
   const subject = message.subject || "";
 
-  const prompt = buildDraftReplyPrompt(emailBody, subject, author);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "draft a reply", settings, buildOllamaOptions(settings));
+  const messages = buildDraftReplyPrompt(emailBody, subject, author, promptLanguages(settings, browser.i18n.getUILanguage()));
+  const parsed = await callLLMWithNotification(target, messages, "draft a reply", settings,
+    { ...buildOllamaOptions(settings, "reply"), format: DRAFT_REPLY_SCHEMA }, "reply", holdsManualFlag);
 
   const replyBody = (parsed.body || "").trim();
   if (!replyBody) {
@@ -427,14 +462,14 @@ async function handleDraftReply(message, emailBody, settings) {
   await openComposeWithReply(message, replyBody, settings);
 }
 
-async function handleSummarizeForward(message, emailBody, settings) {
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
+async function handleSummarizeForward(message, emailBody, settings, holdsManualFlag = false) {
+  const target = resolveLLMTarget(settings, "forward");
   const author = message.author || "";
   const subject = message.subject || "";
 
-  const prompt = buildSummarizeForwardPrompt(emailBody, subject, author);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "summarize the email", settings, buildOllamaOptions(settings));
+  const messages = buildSummarizeForwardPrompt(emailBody, subject, author, promptLanguages(settings, browser.i18n.getUILanguage()));
+  const parsed = await callLLMWithNotification(target, messages, "summarize the email", settings,
+    { ...buildOllamaOptions(settings, "forward"), format: SUMMARIZE_FORWARD_SCHEMA }, "forward", holdsManualFlag);
 
   const summary = (parsed.summary || "").trim();
   if (!summary) {
@@ -457,14 +492,14 @@ async function handleSummarizeForward(message, emailBody, settings) {
   await browser.compose.setComposeDetails(composeTab.id, { body: newBody });
 }
 
-async function handleExtractContact(message, emailBody, settings) {
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
+async function handleExtractContact(message, emailBody, settings, holdsManualFlag = false) {
+  const target = resolveLLMTarget(settings, "contact");
   const author = message.author || "";
   const subject = message.subject || "";
 
-  const prompt = buildContactPrompt(emailBody, subject, author);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "extract contact info", settings, buildOllamaOptions(settings));
+  const messages = buildContactPrompt(emailBody, subject, author);
+  const parsed = await callLLMWithNotification(target, messages, "extract contact info", settings,
+    { ...buildOllamaOptions(settings, "contact"), format: CONTACT_SCHEMA }, "contact", holdsManualFlag);
 
   // Store extracted contact for the review popup to read
   await browser.storage.local.set({
@@ -497,9 +532,8 @@ function nextTagColor() {
 
 // --- Catalog email (AI-powered tagging) ---
 
-async function catalogEmail(message, emailBody, settings) {
-  const host  = settings.ollamaHost  || DEFAULT_HOST;
-  const model = settings.ollamaModel || DEFAULTS.ollamaModel;
+async function catalogEmail(message, emailBody, settings, holdsManualFlag = false) {
+  const target = resolveLLMTarget(settings, "catalog");
   const author  = message.author  || "";
   const subject = message.subject || "";
 
@@ -507,8 +541,10 @@ async function catalogEmail(message, emailBody, settings) {
   const existingTags = await browser.messages.tags.list();
   const existingTagNames = existingTags.map(t => t.tag);
 
-  const prompt = buildCatalogPrompt(emailBody, subject, author, existingTagNames);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "catalog email", settings, buildOllamaOptions(settings));
+  const messages = buildCatalogPrompt(emailBody, subject, author, existingTagNames,
+    promptLanguages(settings, browser.i18n.getUILanguage()));
+  const parsed = await callLLMWithNotification(target, messages, "catalog email", settings,
+    { ...buildOllamaOptions(settings, "catalog"), format: CATALOG_SCHEMA }, "catalog", holdsManualFlag);
 
   const aiTags = parsed.tags;
   if (!Array.isArray(aiTags) || aiTags.length === 0) {
@@ -566,6 +602,9 @@ async function catalogEmail(message, emailBody, settings) {
 }
 
 // --- Shared helpers for applying settings to extracted event/task data ---
+//
+// The data has already been through validator.js, so dates are normalized
+// compact iCal strings and forceAllDay, if present, is a boolean.
 
 function applyEventSettings(parsed, message, emailBody, settings) {
   const descriptionFormat = settings.descriptionFormat || "body_from_subject";
@@ -575,8 +614,6 @@ function applyEventSettings(parsed, message, emailBody, settings) {
   const author            = message.author || "";
   const subject           = message.subject || "";
 
-  normalizeCalendarData(parsed);
-
   // Use the email's year as the reference for advancePastYear, not today's year.
   // This preserves correct dates when processing old emails.
   const emailYear = message.date ? new Date(message.date).getFullYear() : new Date().getFullYear();
@@ -617,8 +654,6 @@ function applyTaskSettings(parsed, message, emailBody, settings) {
   const author                = message.author || "";
   const subject               = message.subject || "";
 
-  normalizeTaskData(parsed);
-
   if (!parsed.dueDate && taskDefaultDue !== "none") {
     const future = new Date();
     future.setDate(future.getDate() + parseInt(taskDefaultDue, 10));
@@ -656,9 +691,21 @@ async function openComposeWithReply(message, replyBody, settings) {
   await browser.compose.setComposeDetails(composeTab.id, { body: newBody });
 }
 
-function openAnalyzeDialog(analysis) {
+function createAnalyzeWindow() {
+  return browser.windows.create({
+    url: browser.runtime.getURL("analyze/analyze.html"),
+    type: "popup",
+    width: 580,
+    height: 760,
+  });
+}
+
+// Show the analysis dialog and resolve with the user's selections (or null).
+// When existingWindow is given (the live streaming dialog), it is told to
+// reload with the final analysis instead of opening a second window.
+function openAnalyzeDialog(analysis, existingWindow = null) {
   return new Promise((resolve) => {
-    browser.storage.local.set({ pendingAnalysis: analysis }).then(() => {
+    browser.storage.local.set({ pendingAnalysis: analysis }).then(async () => {
       const listener = (msg) => {
         if (!msg || !msg.analyzeAction) return;
         // Ignore messages handled by the scoped listener in handleAutoAnalyze
@@ -673,26 +720,65 @@ function openAnalyzeDialog(analysis) {
       };
       browser.runtime.onMessage.addListener(listener);
 
-      browser.windows.create({
-        url: browser.runtime.getURL("analyze/analyze.html"),
-        type: "popup",
-        width: 580,
-        height: 760,
-      }).then((win) => {
-        const onRemoved = (windowId) => {
-          if (windowId === win.id) {
-            browser.windows.onRemoved.removeListener(onRemoved);
-            browser.runtime.onMessage.removeListener(listener);
-            browser.storage.local.remove("pendingAnalysis").catch(() => {});
-            resolve(null);
-          }
-        };
-        browser.windows.onRemoved.addListener(onRemoved);
-      });
+      let win = existingWindow;
+      if (win) {
+        // The live dialog may have been closed just before the result arrived
+        try {
+          await browser.windows.get(win.id);
+        } catch {
+          browser.runtime.onMessage.removeListener(listener);
+          browser.storage.local.remove("pendingAnalysis").catch(() => {});
+          resolve(null);
+          return;
+        }
+      } else {
+        win = await createAnalyzeWindow();
+      }
+      const onRemoved = (windowId) => {
+        if (windowId === win.id) {
+          browser.windows.onRemoved.removeListener(onRemoved);
+          browser.runtime.onMessage.removeListener(listener);
+          browser.storage.local.remove("pendingAnalysis").catch(() => {});
+          resolve(null);
+        }
+      };
+      browser.windows.onRemoved.addListener(onRemoved);
+
+      if (existingWindow) {
+        browser.runtime.sendMessage({ analyzeReload: true }).catch(() => {});
+      }
     });
   });
 }
 
+// Open the analysis dialog in live mode before the model has answered.
+// Partial results are pushed to it as analyzeStream messages.
+async function openStreamingAnalyzeDialog(model) {
+  await browser.storage.local.set({ pendingAnalysis: { _streaming: true, _model: model } });
+  const win = await createAnalyzeWindow();
+  const handle = { window: win, closed: false };
+  const onRemoved = (windowId) => {
+    if (windowId === win.id) {
+      browser.windows.onRemoved.removeListener(onRemoved);
+      handle.closed = true;
+    }
+  };
+  browser.windows.onRemoved.addListener(onRemoved);
+  return handle;
+}
+
+// Describe streaming progress for the notification, e.g. "812 tokens — summary, 2 event(s)"
+// or "300 tokens — thinking" while a reasoning model hasn't started its answer.
+function describeStreamProgress(tokens, partial, thinking = false) {
+  const found = [];
+  if (partial.summary) found.push("summary");
+  if (partial.events?.length)   found.push(`${partial.events.length} event(s)`);
+  if (partial.tasks?.length)    found.push(`${partial.tasks.length} task(s)`);
+  if (partial.contacts?.length) found.push(`${partial.contacts.length} contact(s)`);
+  if (found.length === 0 && thinking) found.push("thinking");
+  return `${tokens} tokens` + (found.length > 0 ? ` \u2014 ${found.join(", ")}` : "");
+}
+
 async function executeAnalysisSelections(message, selections) {
   // Items and quick actions are now handled via button clicks in the dialog.
   // This function only handles archive/delete checkboxes.
@@ -767,9 +853,10 @@ function pickKeys(obj, allowedKeys) {
 
 // Prepare analysis data from a cached combined extraction result.
 // Applies current user settings at display time so cached data stays
-// settings-independent.
+// settings-independent. Entries cached by older versions are normalized
+// here as well.
 function prepareCachedAnalysis(cached, message, emailBody, settings) {
-  const raw = cached.raw;
+  const raw = normalizeResult("analysis", cached.raw);
   const analysis = {
     summary: raw.summary || message.subject || "(no summary)",
     _fromCache: true,
@@ -810,7 +897,7 @@ function prepareCachedAnalysis(cached, message, emailBody, settings) {
   }
 
   // Priority
-  analysis.priority = raw.priority || "informational";
+  analysis.priority = raw.priority;
 
   // Tags, forward summary — store for quick actions
   analysis._cachedTags = Array.isArray(raw.tags) ? raw.tags : [];
@@ -831,19 +918,14 @@ async function handleAutoAnalyze(message, emailBody, settings) {
   }
 
   // --- Cache miss: run single combined prompt (same as background processor) ---
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
+  const target = resolveLLMTarget(settings, "analyze");
   const author = message.author || "";
   const subject = message.subject || "";
   const mailDatetime = formatDatetime(message.date);
   const currentDt    = currentDatetime();
 
-  const MAX_ANALYSIS_BODY = 12000;
-  let analysisBody = emailBody;
-  if (analysisBody.length > MAX_ANALYSIS_BODY) {
-    analysisBody = analysisBody.slice(0, MAX_ANALYSIS_BODY) +
-      "\n\n[… email truncated — there may be additional items beyond this point]";
-  }
+  // Long emails are analyzed in parts rather than truncated
+  const chunks = splitIntoChunks(emailBody, ANALYSIS_CHUNK_CHARS);
 
   const attendeesSource = settings.attendeesSource || "from_to";
   const attendeesStatic = settings.attendeesStatic || "";
@@ -858,64 +940,107 @@ async function handleAutoAnalyze(message, emailBody, settings) {
     const tags = await browser.messages.tags.list();
     existingTags = tags.map(t => t.tag);
   } catch {}
+  const languages = promptLanguages(settings, browser.i18n.getUILanguage());
 
-  const prompt = buildCombinedExtractionPrompt(
-    analysisBody, subject, author, mailDatetime, currentDt,
-    attendeeHints, categories, existingTags
-  );
+  const messages = chunks.length > 1
+    ? buildChunkExtractionPrompt(chunks[0], 0, chunks.length, subject, author, mailDatetime, currentDt, attendeeHints, categories, languages)
+    : buildCombinedExtractionPrompt(
+      emailBody, subject, author, mailDatetime, currentDt,
+      attendeeHints, categories, existingTags, languages
+    );
+  const schema = buildCombinedExtractionSchema(categories);
 
+  // For long emails this shows the first part's prompt
   if (settings && settings.debugPromptPreview) {
-    await previewPrompt(prompt);
+    await previewPrompt(messagesToText(messages));
   }
 
-  const progress = createProgressNotifier("analyze the email", model);
+  // Open the dialog right away and fill it in as the model streams. The
+  // progress notification starts after it, so a dialog that fails to open
+  // doesn't leave the notification running.
+  const liveDialog = await openStreamingAnalyzeDialog(target.model);
+  const progress = createProgressNotifier("analyze the email", target.model);
   progress.start();
+  let lastUpdateAt = 0;
+  let lastPartialJSON = "";
+  const onToken = (text, { tokens, done, reasoning }) => {
+    const now = Date.now();
+    if (!done && now - lastUpdateAt < STREAM_UPDATE_INTERVAL_MS) return;
+    lastUpdateAt = now;
+    const partial = parsePartialAnalysis(text);
+    const thinking = !text && !!reasoning;
+    progress.update(describeStreamProgress(tokens, partial, thinking));
+    const partialJSON = JSON.stringify(partial) + thinking;
+    if (liveDialog.closed || partialJSON === lastPartialJSON) return;
+    lastPartialJSON = partialJSON;
+    browser.runtime.sendMessage({ analyzeStream: true, partial, tokens, thinking }).catch(() => {});
+  };
 
-  let rawResponse;
-  try {
-    rawResponse = await callOllama(host, model, prompt, autoAnalyzeOpts(settings, 16384, 16384));
-  } finally {
-    progress.stop();
-  }
+  // Reasoning from every request (each part of a long email, retries)
+  const reasoningParts = [];
+  const onReasoning = (text) => reasoningParts.push(text);
+
+  // Long emails: report which part is being read along with the items so far
+  const onChunkProgress = (status, merged) => {
+    const partial = { events: merged.events, tasks: merged.tasks, contacts: merged.contacts };
+    progress.update(status);
+    if (liveDialog.closed) return;
+    browser.runtime.sendMessage({ analyzeStream: true, partial, status }).catch(() => {});
+  };
 
   let parsed = null;
   try {
-    const jsonStr = extractJSON(rawResponse);
-    parsed = JSON.parse(jsonStr);
-  } catch {
-    parsed = repairAnalysisJSON(rawResponse);
-    if (parsed) {
-      console.log("[ThunderClerk-AI] Repaired truncated analysis JSON — got", Object.keys(parsed).join(", "));
+    const llmOptions = { ...autoAnalyzeOpts(settings, 16384, 16384), signal: progress.signal, onReasoning };
+    try {
+      if (chunks.length > 1) {
+        const context = {
+          subject, author, mailDatetime, currentDt, attendeeHints, categories, existingTags, languages,
+          jsonRetries: settings.jsonRetries,
+        };
+        parsed = await runChunkedAnalysis(target, chunks, context, llmOptions, onChunkProgress);
+      } else {
+        parsed = await requestLLMJSON(target, "analyze", messages,
+          (rawResponse) => parseAnalysisOutput(rawResponse, schema),
+          { ...llmOptions, format: schema, onToken }, settings.jsonRetries);
+      }
+    } finally {
+      progress.stop();
     }
-  }
 
-  if (!parsed) {
-    throw new Error("invalid JSON in analysis response");
+    if (!parsed) {
+      throw new Error("invalid JSON in analysis response");
+    }
+    assertMatchesSchema(parsed, schema);
+  } catch (e) {
+    if (!liveDialog.closed && !isCancelledError(e)) {
+      browser.runtime.sendMessage({ analyzeStreamError: true, error: e.message }).catch(() => {});
+    }
+    throw e;
   }
 
-  // Normalize previews — LLMs may return different key names
-  for (const key of ["events", "tasks", "contacts"]) {
-    if (Array.isArray(parsed[key])) {
-      parsed[key] = parsed[key].map(item => {
-        if (typeof item === "string") return { preview: item };
-        if (!item.preview) {
-          item.preview = item.title || item.name || item.description
-            || item.summary || item.label || "";
-        }
-        return item;
-      });
-    }
+  const reasoning = reasoningParts.join("\n\n");
+  if (reasoning && settings.debugPromptPreview) {
+    previewReasoning(JSON.stringify(parsed, null, 2), reasoning);
   }
 
-  // Cache the result, then display via the cached path
+  // Cache the result, then display via the cached path in the live dialog.
+  // Reasoning is only shown for the live result; it isn't cached.
   await cacheSet(message.id, parsed);
+  if (liveDialog.closed) {
+    console.log("[ThunderClerk-AI] Analysis dialog was closed before the model finished — result cached only");
+    return;
+  }
   const cachedEntry = await cacheGet(message.id);
-  return await handleAutoAnalyzeCached(cachedEntry, message, emailBody, settings);
+  return await handleAutoAnalyzeCached(cachedEntry, message, emailBody, settings, liveDialog.window,
+    settings.showReasoning ? reasoning : null);
 }
 
-// Handle Auto Analyze with cached data — instant display, no Ollama calls.
-async function handleAutoAnalyzeCached(cached, message, emailBody, settings) {
+// Handle Auto Analyze with cached data — instant display, no LLM calls.
+// existingWindow reuses an already open (live streaming) dialog; reasoning
+// is the model's thinking for a result that was just generated.
+async function handleAutoAnalyzeCached(cached, message, emailBody, settings, existingWindow = null, reasoning = null) {
   const analysis = prepareCachedAnalysis(cached, message, emailBody, settings);
+  if (reasoning) analysis._reasoning = reasoning;
   const replyBody = analysis._replyBody || null;
 
   // Detect List-Unsubscribe header (not AI-driven, pure header parsing)
@@ -1174,7 +1299,7 @@ async function handleAutoAnalyzeCached(cached, message, emailBody, settings) {
   browser.runtime.onMessage.addListener(itemListener);
 
   try {
-    const selections = await openAnalyzeDialog(analysis);
+    const selections = await openAnalyzeDialog(analysis, existingWindow);
     if (!selections) return;
     await executeAnalysisSelections(message, selections);
   } finally {
@@ -1202,14 +1327,25 @@ browser.menus.onClicked.addListener(async (info, tab) => {
       return;
     }
     let queued = 0;
+    let skipped = 0;
+    let blocked = 0;
     for (const msg of messages) {
-      bgProcessorEnqueue(msg.id);
-      queued++;
+      const rule = bgProcessorSenderRule(msg);
+      if (rule?.action === "block") {
+        blocked++;
+      } else if (!bgProcessorFolderInScope(msg.folder) && rule?.action !== "analyze") {
+        skipped++;
+      } else {
+        bgProcessorEnqueue(msg.id, false, "manual", msg);
+        queued++;
+      }
     }
     browser.notifications.create({
       type: "basic",
       title: "ThunderClerk-AI",
-      message: `Queued ${queued} message${queued === 1 ? "" : "s"} for analysis`,
+      message: `Queued ${queued} message${queued === 1 ? "" : "s"} for analysis` +
+        (skipped > 0 ? ` — skipped ${skipped} outside the folders set for background analysis` : "") +
+        (blocked > 0 ? ` — ${blocked} blocked from AI by a sender rule` : ""),
     }).catch(() => {});
     // Refresh badge to show "queued" indicator on the currently displayed message
     browser.tabs.query({ active: true, currentWindow: true }).then(async (tabs) => {
@@ -1230,17 +1366,19 @@ browser.menus.onClicked.addListener(async (info, tab) => {
 
   // Get full message body
   let emailBody = "";
+  let full;
   try {
-    const full = await browser.messages.getFull(message.id);
+    full = await browser.messages.getFull(message.id);
     emailBody = extractTextBody(full);
-    if (!emailBody) {
-      notifyError("Empty body", "Could not extract plain text from this message.");
-      return;
-    }
   } catch (e) {
     notifyError("Message read error", e.message);
     return;
   }
+  if (notifyIfBlocked(message, full, settings)) return;
+  if (!emailBody) {
+    notifyError("Empty body", "Could not extract plain text from this message.");
+    return;
+  }
 
   // Dispatch to the appropriate handler
   const isCatalog = info.menuItemId === "thunderclerk-ai-catalog-email";
@@ -1252,17 +1390,17 @@ browser.menus.onClicked.addListener(async (info, tab) => {
 
   try {
     if (info.menuItemId === "thunderclerk-ai-add-calendar") {
-      await handleCalendar(message, emailBody, settings);
+      await handleCalendar(message, emailBody, settings, needsManualFlag);
     } else if (info.menuItemId === "thunderclerk-ai-add-task") {
-      await handleTask(message, emailBody, settings);
+      await handleTask(message, emailBody, settings, needsManualFlag);
     } else if (info.menuItemId === "thunderclerk-ai-draft-reply") {
-      await handleDraftReply(message, emailBody, settings);
+      await handleDraftReply(message, emailBody, settings, needsManualFlag);
     } else if (info.menuItemId === "thunderclerk-ai-summarize-forward") {
-      await handleSummarizeForward(message, emailBody, settings);
+      await handleSummarizeForward(message, emailBody, settings, needsManualFlag);
     } else if (info.menuItemId === "thunderclerk-ai-extract-contact") {
-      await handleExtractContact(message, emailBody, settings);
+      await handleExtractContact(message, emailBody, settings, needsManualFlag);
     } else if (isCatalog) {
-      await catalogEmail(message, emailBody, settings);
+      await catalogEmail(message, emailBody, settings, needsManualFlag);
     } else if (isAutoAnalyze) {
       if (!settings.autoAnalyzeEnabled) {
         notifyError("Auto Analyze disabled", "Enable Auto Analyze in the extension settings to use this feature.");
@@ -1278,7 +1416,10 @@ browser.menus.onClicked.addListener(async (info, tab) => {
       );
     }
   } catch (e) {
-    if (e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON")) {
+    if (isCancelledError(e)) {
+      console.log("[ThunderClerk-AI] Request cancelled");
+    } else if (e.invalidOutput || e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON") ||
+        e.message?.includes("expected JSON structure")) {
       console.error("[ThunderClerk-AI] JSON parse failed:", e.message);
       notifyError("Parse error", "Model returned invalid JSON. Check the browser console for details.");
     } else {
@@ -1314,22 +1455,27 @@ browser.messageDisplayAction.onClicked.addListener(async (tab) => {
   const settings = await browser.storage.sync.get(DEFAULTS);
 
   let emailBody = "";
+  let full;
   try {
-    const full = await browser.messages.getFull(message.id);
+    full = await browser.messages.getFull(message.id);
     emailBody = extractTextBody(full);
-    if (!emailBody) {
-      notifyError("Empty body", "Could not extract plain text from this message.");
-      return;
-    }
   } catch (e) {
     notifyError("Message read error", e.message);
     return;
   }
+  if (notifyIfBlocked(message, full, settings)) return;
+  if (!emailBody) {
+    notifyError("Empty body", "Could not extract plain text from this message.");
+    return;
+  }
 
   try {
     await handleAutoAnalyze(message, emailBody, settings);
   } catch (e) {
-    if (e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON")) {
+    if (isCancelledError(e)) {
+      console.log("[ThunderClerk-AI] Request cancelled");
+    } else if (e.invalidOutput || e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON") ||
+        e.message?.includes("expected JSON structure")) {
       console.error("[ThunderClerk-AI] JSON parse failed:", e.message);
       notifyError("Parse error", "Model returned invalid JSON. Check the browser console for details.");
     } else {
@@ -1403,8 +1549,23 @@ async function updateMessageDisplayBadge(tab, message) {
   }
 }
 
+// Load the model while the user reads the message, so the first action
+// doesn't wait for it. Uses Auto Analyze's model and context window when
+// Auto Analyze is on, since that is the likeliest next request.
+async function warmUpForDisplayedMessage() {
+  const settings = await browser.storage.sync.get(DEFAULTS);
+  if (!settings.warmUpOnDisplay) return;
+  if (settings.autoAnalyzeEnabled) {
+    await warmUpLLM(settings, "analyze", "manual", { num_ctx: autoAnalyzeOpts(settings, 16384, 16384).num_ctx });
+  } else {
+    await warmUpLLM(settings, null, "manual", buildOllamaOptions(settings, null));
+  }
+}
+
 browser.messageDisplay.onMessageDisplayed.addListener((tab, message) => {
+  if (message) bgProcessorPromote(message.id);
   updateMessageDisplayBadge(tab, message);
+  warmUpForDisplayedMessage().catch(() => {});
 });
 
 // Also refresh badge when a background processing item finishes.
@@ -1442,6 +1603,48 @@ browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     })();
     return true;
   }
+  if (msg && msg.action === "getBgQueue") {
+    (async () => {
+      // The first msg.limit items, if given, with their subject and sender
+      const items = bgProcessorGetQueue().slice(0, msg.limit || undefined);
+      for (const item of items) {
+        try {
+          const message = await browser.messages.get(item.messageId);
+          item.subject = message.subject || "";
+          item.author = message.author || "";
+        } catch {
+          // Deleted since it was queued; the processor will skip it
+        }
+      }
+      sendResponse(items);
+    })();
+    return true;
+  }
+  if (msg && msg.action === "getBgDeadLetters") {
+    (async () => {
+      // Messages that kept failing, most recent first, with their subject
+      const items = bgProcessorGetDeadLetters().slice(0, msg.limit || undefined);
+      for (const item of items) {
+        try {
+          const message = await browser.messages.get(item.messageId);
+          item.subject = message.subject || "";
+          item.author = message.author || "";
+        } catch {
+          // Deleted since it failed
+        }
+      }
+      sendResponse(items);
+    })();
+    return true;
+  }
+  if (msg && msg.action === "retryBgDeadLetters") {
+    sendResponse({ queued: bgProcessorRetryDeadLetters(msg.messageIds || null) });
+    return true;
+  }
+  if (msg && msg.action === "clearBgDeadLetters") {
+    sendResponse({ removed: bgProcessorClearDeadLetters() });
+    return true;
+  }
   if (msg && msg.action === "clearBgCache") {
     (async () => {
       const removed = await cacheClearAll();
@@ -1460,8 +1663,44 @@ browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     sendResponse({ ok: true });
     return true;
   }
+  if (msg && msg.action === "cancelLLMRequest") {
+    sendResponse({ cancelled: cancelActiveRequest() });
+    return true;
+  }
+});
+
+// --- Host credentials ---
+
+// Credentials live in storage.local (see loadHostCredentials in providers.js)
+// and are saved from the settings page.
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.hostAuth) {
+    setHostCredentials(changes.hostAuth.newValue || {});
+  }
+});
+
+// --- Prompt templates ---
+
+// Custom prompt templates live in storage.local (too large for sync) and
+// are edited on the settings page; see setPromptTemplates in utils.js.
+async function loadPromptTemplates() {
+  const { promptTemplates } = await browser.storage.local.get({ promptTemplates: {} });
+  setPromptTemplates(promptTemplates);
+}
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.promptTemplates) {
+    setPromptTemplates(changes.promptTemplates.newValue || {});
+  }
 });
 
 // --- Initialize background processor ---
 
-initBgProcessor();
+// Load credentials and templates first so the backfill's requests are
+// authenticated and use the user's prompts.
+Promise.all([
+  loadHostCredentials()
+    .catch(e => console.warn("[ThunderClerk-AI] Could not load host credentials:", e.message)),
+  loadPromptTemplates()
+    .catch(e => console.warn("[ThunderClerk-AI] Could not load prompt templates:", e.message)),
+]).then(() => initBgProcessor());
@@ -1,8 +1,14 @@
 "use strict";
 
 const DEFAULTS = {
+  llmProvider:           "ollama",           // "ollama" | "openai" (OpenAI-compatible /v1/chat/completions)
   ollamaHost:            "http://127.0.0.1:11434",
   ollamaModel:           "mistral:7b",
+  primaryHostUse:        "all",              // "all" | "manual" | "background"
+  extraHosts:            [],                 // failover hosts: [{ provider, url, model, use, keepAlive }]
+  keepAlive:             "",                 // Ollama keep_alive: "" = server default, "30m", "-1" = forever
+  warmUpOnDisplay:       false,              // load the model when a message is opened
+  warmUpOnQueue:         false,              // load the model when mail is queued for background analysis
   // Calendar event settings
   attendeesSource:       "from_to",          // "from_to" | "from" | "to" | "static" | "none"
   attendeesStatic:       "",
@@ -16,6 +22,11 @@ const DEFAULTS = {
   taskUseCategory:       false,
   // Compose action settings
   replyMode:             "replyToSender",     // "replyToSender" | "replyToAll"
+  // Output language settings
+  outputLanguage:        "email",             // replies, summaries: "email" | "user" | "fixed"
+  outputLanguageFixed:   "",                  // language name when outputLanguage is "fixed"
+  titleLanguage:         "email",             // event/task titles, tags: "email" | "user" | "fixed"
+  titleLanguageFixed:    "",
   // Contact settings
   contactAddressBook:    "",                  // "" = first writable address book
   // Email cataloging settings
@@ -24,9 +35,16 @@ const DEFAULTS = {
   // Auto Analyze settings (includes background processing and caching)
   autoAnalyzeEnabled:    false,
   bgCacheMaxDays:        1,
+  vipSenders:            "",             // addresses or domains analyzed first, one per line
+  bgFolderScope:         {},             // { "<accountId>:<folder path>": "include" | "exclude" }; {} = inboxes only
+  senderRules:           [],             // [{ field: "sender"|"domain"|"listId"|"subject", pattern, action: "skip"|"analyze"|"block" }]
   // LLM parameter settings
   numCtx:                0,              // 0 = use model default
   numPredict:            0,              // 0 = use model default
+  jsonRetries:           1,              // times to ask the model to fix invalid JSON (0 = off)
+  thinking:              "auto",         // reasoning models: "auto" = think when supported, "off" = don't (Ollama)
+  showReasoning:         false,          // show the model's reasoning in the analysis dialog
+  actionModels:          {},             // per-action overrides: { calendar: { model, numCtx, numPredict }, … }
   // Debug settings
   debugPromptPreview:    false,
 };
@@ -0,0 +1,223 @@
+"use strict";
+
+// Usage dashboard. Reads the metrics recorded by metrics.js (loaded before
+// this script, with config.js, utils.js and providers.js).
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS  = 24 * HOUR_MS;
+
+const RANGES = {
+  day:     { spanMs: DAY_MS,      bucketMs: HOUR_MS },
+  week:    { spanMs: 7 * DAY_MS,  bucketMs: DAY_MS },
+  month:   { spanMs: 30 * DAY_MS, bucketMs: DAY_MS },
+  quarter: { spanMs: 90 * DAY_MS, bucketMs: DAY_MS },
+};
+
+const SERIES_COLORS = ["#2563eb", "#ea580c", "#9333ea", "#0891b2", "#ca8a04", "#db2777", "#4d7c0f", "#64748b"];
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_PAD = { left: 40, right: 8, top: 8, bottom: 18 };
+
+// --- Formatting ---
+
+function formatDuration(ms) {
+  if (ms === null) return "—";
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatNumber(n, digits = 0) {
+  return n === null ? "—" : n.toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+function formatPercent(rate) {
+  return rate === null ? "—" : `${Math.round(rate * 100)}%`;
+}
+
+function bucketLabel(start, bucketMs) {
+  const d = new Date(start);
+  return bucketMs < DAY_MS
+    ? d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : d.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+// --- Charts ---
+
+function svgElement(name, attrs, text) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// Clear the chart and draw the axes; returns helpers to place values.
+function prepareChart(svg, buckets, bucketMs, maxValue, formatValue) {
+  svg.replaceChildren();
+  const width = svg.clientWidth || 800;
+  const height = svg.clientHeight || 180;
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+  const plotWidth = width - CHART_PAD.left - CHART_PAD.right;
+  const plotHeight = height - CHART_PAD.top - CHART_PAD.bottom;
+  const slot = plotWidth / buckets.length;
+  const top = maxValue > 0 ? maxValue : 1;
+  const y = (value) => CHART_PAD.top + plotHeight - (value / top) * plotHeight;
+
+  const bottom = CHART_PAD.top + plotHeight;
+  svg.append(
+    svgElement("line", { class: "axis", x1: CHART_PAD.left, y1: bottom, x2: width - CHART_PAD.right, y2: bottom }),
+    svgElement("text", { x: CHART_PAD.left - 4, y: CHART_PAD.top + 8, "text-anchor": "end" }, formatValue(top)),
+    svgElement("text", { x: CHART_PAD.left - 4, y: bottom, "text-anchor": "end" }, formatValue(0)),
+  );
+
+  // Label about eight buckets so the axis stays readable
+  const every = Math.max(1, Math.ceil(buckets.length / 8));
+  buckets.forEach((bucket, i) => {
+    if (i % every !== 0) return;
+    svg.append(svgElement("text", {
+      x: CHART_PAD.left + slot * (i + 0.5), y: height - 4, "text-anchor": "middle",
+    }, bucketLabel(bucket.start, bucketMs)));
+  });
+
+  return { slot, y, bottom, x: (i) => CHART_PAD.left + slot * i };
+}
+
+function drawRequestsChart(svg, buckets, bucketMs) {
+  const max = Math.max(0, ...buckets.map(b => b.calls));
+  const chart = prepareChart(svg, buckets, bucketMs, max, (n) => formatNumber(n));
+  const barWidth = Math.max(1, chart.slot * 0.7);
+
+  buckets.forEach((bucket, i) => {
+    const x = chart.x(i) + (chart.slot - barWidth) / 2;
+    const cancelled = bucket.calls - bucket.ok - bucket.failed;
+    let base = 0;
+    for (const [count, color] of [[bucket.ok, "#16a34a"], [bucket.failed, "#dc2626"], [cancelled, "#9ca3af"]]) {
+      if (count === 0) continue;
+      const y = chart.y(base + count);
+      const rect = svgElement("rect", { x, y, width: barWidth, height: chart.y(base) - y, fill: color });
+      rect.append(svgElement("title", {}, `${bucketLabel(bucket.start, bucketMs)}: ${count}`));
+      svg.append(rect);
+      base += count;
+    }
+  });
+}
+
+function drawLatencyChart(svg, legend, buckets, bucketMs, models) {
+  const max = Math.max(0, ...buckets.flatMap(b => Object.values(b.latencyByModel)));
+  const chart = prepareChart(svg, buckets, bucketMs, max, formatDuration);
+  legend.replaceChildren();
+
+  models.forEach((model, m) => {
+    const color = SERIES_COLORS[m % SERIES_COLORS.length];
+    const points = [];
+    buckets.forEach((bucket, i) => {
+      const ms = bucket.latencyByModel[model];
+      if (ms === undefined || ms === null) return;
+      const x = chart.x(i) + chart.slot / 2;
+      points.push(`${x},${chart.y(ms)}`);
+      const dot = svgElement("circle", { cx: x, cy: chart.y(ms), r: 2.5, fill: color });
+      dot.append(svgElement("title", {}, `${model} — ${bucketLabel(bucket.start, bucketMs)}: ${formatDuration(ms)}`));
+      svg.append(dot);
+    });
+    if (points.length > 1) {
+      svg.prepend(svgElement("polyline", { points: points.join(" "), fill: "none", stroke: color, "stroke-width": 1.5 }));
+    }
+
+    const item = document.createElement("span");
+    item.style.setProperty("--color", color);
+    item.textContent = model;
+    legend.append(item);
+  });
+}
+
+// --- Model table ---
+
+function renderModels(tbody, summary) {
+  tbody.replaceChildren();
+  for (const s of summary) {
+    const tr = document.createElement("tr");
+    const name = document.createElement("td");
+    name.textContent = s.model;
+    const hosts = document.createElement("span");
+    hosts.className = "hosts";
+    hosts.textContent = s.hosts.join(", ");
+    name.append(hosts);
+    tr.append(name);
+
+    for (const text of [
+      formatNumber(s.calls),
+      formatPercent(s.successRate),
+      formatNumber(s.invalid),
+      formatNumber(s.error),
+      formatDuration(s.avgLatencyMs),
+      formatNumber(s.avgPromptTokens),
+      formatNumber(s.avgOutputTokens),
+      formatNumber(s.tokensPerSecond, 1),
+    ]) {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.append(td);
+    }
+    tbody.append(tr);
+  }
+}
+
+// --- Page ---
+
+async function render() {
+  const range = RANGES[document.getElementById("range").value];
+  const action = document.getElementById("action").value;
+
+  // Align buckets to whole hours/days so they don't shift between refreshes
+  const now = Date.now();
+  const offset = new Date(now).getTimezoneOffset() * 60 * 1000;
+  const to = Math.floor((now - offset) / range.bucketMs) * range.bucketMs + range.bucketMs + offset;
+  const from = to - Math.ceil(range.spanMs / range.bucketMs) * range.bucketMs;
+
+  const entries = (await metricsList())
+    .filter(e => e.ts >= from && (!action || e.action === action));
+
+  document.getElementById("empty").style.display = entries.length === 0 ? "" : "none";
+  document.getElementById("report").style.display = entries.length === 0 ? "none" : "";
+  if (entries.length === 0) return;
+
+  const summary = summarizeMetrics(entries);
+  const buckets = bucketMetrics(entries, from, to, range.bucketMs);
+  drawRequestsChart(document.getElementById("requests-chart"), buckets, range.bucketMs);
+  drawLatencyChart(
+    document.getElementById("latency-chart"), document.getElementById("latency-legend"),
+    buckets, range.bucketMs, summary.map(s => s.model)
+  );
+  renderModels(document.getElementById("models"), summary);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const actionSelect = document.getElementById("action");
+  for (const [key, label] of Object.entries(LLM_ACTIONS)) {
+    actionSelect.add(new Option(label, key));
+  }
+
+  document.getElementById("range").addEventListener("change", render);
+  actionSelect.addEventListener("change", render);
+  document.getElementById("refresh-btn").addEventListener("click", render);
+
+  // Clearing needs a second click within a few seconds
+  const clearBtn = document.getElementById("clear-btn");
+  let clearTimer = null;
+  clearBtn.addEventListener("click", async () => {
+    if (!clearTimer) {
+      clearBtn.textContent = "Click again to clear";
+      clearTimer = setTimeout(() => {
+        clearBtn.textContent = "Clear";
+        clearTimer = null;
+      }, 3000);
+      return;
+    }
+    clearTimeout(clearTimer);
+    clearTimer = null;
+    clearBtn.textContent = "Clear";
+    await metricsClear();
+    await render();
+  });
+
+  render().catch((e) => console.error("[ThunderClerk-AI] Could not load usage metrics:", e));
+});
@@ -4,6 +4,23 @@ document.addEventListener("DOMContentLoaded", async () => {
   const textarea = document.getElementById("prompt");
   const charCount = document.getElementById("char-count");
 
+  // Opened after a response: show the answer with the model's reasoning
+  if (new URLSearchParams(location.search).has("reasoning")) {
+    const { pendingReasoning } = await browser.storage.local.get({ pendingReasoning: null });
+    browser.storage.local.remove("pendingReasoning").catch(() => {});
+    document.title = "ThunderClerk-AI — Model Response";
+    document.getElementById("title").textContent = "Model Response";
+    textarea.value = pendingReasoning?.response || "";
+    charCount.textContent = textarea.value.length.toLocaleString();
+    document.getElementById("reasoning").textContent = pendingReasoning?.reasoning || "";
+    document.getElementById("reasoning-section").style.display = "";
+    document.getElementById("send-btn").style.display = "none";
+    const closeBtn = document.getElementById("cancel-btn");
+    closeBtn.textContent = "Close";
+    closeBtn.addEventListener("click", () => window.close());
+    return;
+  }
+
   // Load the pending prompt from local storage
   const { pendingPrompt } = await browser.storage.local.get({ pendingPrompt: "" });
   textarea.value = pendingPrompt;
@@ -0,0 +1,169 @@
+"use strict";
+
+// Usage and performance metrics for LLM requests, shown on the usage
+// dashboard (dashboard/dashboard.html). Every request made through
+// requestLLMJSON() is recorded in browser.storage.local; the store is
+// bounded by count and age.
+//
+// Storage layout:
+//   Key "llmMetrics" → [{ ts, action, provider, host, model, promptTokens,
+//                         outputTokens, latencyMs, outcome }], oldest first
+//
+// outcome is "ok" (output used), "invalid" (output unparseable or not
+// matching the schema), "error" (request failed) or "cancelled".
+// Token counts are null when the server doesn't report them.
+//
+// Depends on: utils.js (callWithJSONRetry), providers.js (callLLM,
+// isCancelledError) — loaded before this script.
+
+const METRICS_KEY         = "llmMetrics";
+const METRICS_MAX_ENTRIES = 2000;
+const METRICS_MAX_AGE_MS  = 90 * 24 * 60 * 60 * 1000;
+
+// --- Store ---
+
+// Drop entries older than maxAgeMs, then keep the newest maxEntries.
+function pruneMetrics(entries, now = Date.now(), maxEntries = METRICS_MAX_ENTRIES, maxAgeMs = METRICS_MAX_AGE_MS) {
+  return entries.filter(e => now - e.ts <= maxAgeMs).slice(-maxEntries);
+}
+
+// Writes are chained so concurrent requests don't overwrite each other's
+// entries (storage.local has no atomic append).
+let metricsWrites = Promise.resolve();
+
+function metricsAdd(entry) {
+  metricsWrites = metricsWrites
+    .then(async () => {
+      const entries = await metricsList();
+      entries.push(entry);
+      await browser.storage.local.set({ [METRICS_KEY]: pruneMetrics(entries) });
+    })
+    .catch((e) => console.warn("[ThunderClerk-AI] Could not record LLM metrics:", e.message));
+  return metricsWrites;
+}
+
+async function metricsList() {
+  const result = await browser.storage.local.get({ [METRICS_KEY]: [] });
+  return Array.isArray(result[METRICS_KEY]) ? result[METRICS_KEY] : [];
+}
+
+async function metricsClear() {
+  await browser.storage.local.remove(METRICS_KEY);
+}
+
+// --- Recording ---
+
+// callWithJSONRetry() against callLLM(), recording every attempt. action
+// is a key of LLM_ACTIONS; options go to callLLM() and parse/retries to
+// callWithJSONRetry().
+async function requestLLMJSON(target, action, messages, parse, options = {}, retries = 0) {
+  let call = null;
+
+  const send = async (msgs) => {
+    const startedAt = Date.now();
+    call = {
+      ts: startedAt, action, provider: target.provider, host: target.host, model: target.model,
+      promptTokens: null, outputTokens: null, latencyMs: 0,
+    };
+    try {
+      // onUsage reports the host that actually answered, after any failover
+      const text = await callLLM(target, msgs, { ...options, onUsage: (usage) => Object.assign(call, usage) });
+      call.latencyMs = Date.now() - startedAt;
+      return text;
+    } catch (e) {
+      call.latencyMs = Date.now() - startedAt;
+      metricsAdd({ ...call, outcome: isCancelledError(e) ? "cancelled" : "error" });
+      throw e;
+    }
+  };
+
+  const recordedParse = (text) => {
+    try {
+      const value = parse(text);
+      metricsAdd({ ...call, outcome: "ok" });
+      return value;
+    } catch (e) {
+      metricsAdd({ ...call, outcome: "invalid" });
+      throw e;
+    }
+  };
+
+  return callWithJSONRetry(send, messages, recordedParse, retries);
+}
+
+// --- Aggregation (pure, used by the dashboard) ---
+
+function average(values) {
+  const known = values.filter(v => typeof v === "number");
+  return known.length > 0 ? known.reduce((a, b) => a + b, 0) / known.length : null;
+}
+
+// Per-model comparison, most used first:
+// [{ model, hosts, calls, ok, invalid, error, cancelled, successRate,
+//    avgLatencyMs, avgPromptTokens, avgOutputTokens, tokensPerSecond }]
+// successRate counts usable output among completed requests (cancelled
+// ones are left out); tokensPerSecond is output speed over whole requests.
+function summarizeMetrics(entries) {
+  const byModel = new Map();
+  for (const e of entries) {
+    if (!byModel.has(e.model)) byModel.set(e.model, []);
+    byModel.get(e.model).push(e);
+  }
+
+  return [...byModel.entries()].map(([model, calls]) => {
+    const count = (outcome) => calls.filter(e => e.outcome === outcome).length;
+    const answered = calls.filter(e => e.outcome === "ok" || e.outcome === "invalid");
+    const completed = calls.length - count("cancelled");
+    const timed = answered.filter(e => typeof e.outputTokens === "number" && e.latencyMs > 0);
+    const totalTokens = timed.reduce((n, e) => n + e.outputTokens, 0);
+    const totalMs = timed.reduce((n, e) => n + e.latencyMs, 0);
+    return {
+      model,
+      hosts:           [...new Set(calls.map(e => e.host))],
+      calls:           calls.length,
+      ok:              count("ok"),
+      invalid:         count("invalid"),
+      error:           count("error"),
+      cancelled:       count("cancelled"),
+      successRate:     completed > 0 ? count("ok") / completed : null,
+      avgLatencyMs:    average(answered.map(e => e.latencyMs)),
+      avgPromptTokens: average(answered.map(e => e.promptTokens)),
+      avgOutputTokens: average(answered.map(e => e.outputTokens)),
+      tokensPerSecond: totalMs > 0 ? totalTokens / (totalMs / 1000) : null,
+    };
+  }).sort((a, b) => b.calls - a.calls || a.model.localeCompare(b.model));
+}
+
+// Split [from, to) into buckets of bucketMs for charting:
+// [{ start, calls, ok, failed, latencyByModel: { model: avgMs } }].
+// failed counts invalid output and errors; latency covers answered requests.
+function bucketMetrics(entries, from, to, bucketMs) {
+  const buckets = [];
+  for (let start = from; start < to; start += bucketMs) {
+    buckets.push({ start, calls: 0, ok: 0, failed: 0, latencies: {} });
+  }
+  for (const e of entries) {
+    if (e.ts < from || e.ts >= to) continue;
+    const bucket = buckets[Math.floor((e.ts - from) / bucketMs)];
+    bucket.calls++;
+    if (e.outcome === "ok") bucket.ok++;
+    else if (e.outcome === "invalid" || e.outcome === "error") bucket.failed++;
+    if (e.outcome === "ok" || e.outcome === "invalid") {
+      (bucket.latencies[e.model] = bucket.latencies[e.model] || []).push(e.latencyMs);
+    }
+  }
+  return buckets.map(({ latencies, ...bucket }) => ({
+    ...bucket,
+    latencyByModel: Object.fromEntries(Object.entries(latencies).map(([model, ms]) => [model, average(ms)])),
+  }));
+}
+
+// Node.js export (used by Jest tests). Browser environment ignores this block.
+if (typeof module !== "undefined") {
+  module.exports = {
+    METRICS_MAX_ENTRIES,
+    pruneMetrics,
+    summarizeMetrics,
+    bucketMetrics,
+  };
+}
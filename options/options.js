@@ -7,23 +7,32 @@
 const modelSizeMap = {};    // modelName → file size in bytes
 let modelInfoCache = {};    // modelName → { blockCount, headCount, headCountKv, embeddingLength }
 
-// --- Model list from Ollama ---
+// --- Model list from the selected backend ---
+
+function selectedProviderId() {
+  return document.getElementById("llmProvider").value || "ollama";
+}
+
+function selectedHost() {
+  return document.getElementById("ollamaHost").value.trim()
+    || getLLMProvider(selectedProviderId()).defaultHost;
+}
 
 async function populateModels(selectEl, savedModel) {
-  const host = document.getElementById("ollamaHost").value.trim() || DEFAULTS.ollamaHost;
+  const provider = getLLMProvider(selectedProviderId());
+  const host = selectedHost();
 
   while (selectEl.options.length > 0) selectEl.remove(0);
+  syncHostCredentials();
 
   let models = [];
   try {
-    const resp = await fetch(host.replace(/\/$/, "") + "/api/tags");
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-    const data = await resp.json();
-    // Capture model sizes for VRAM estimation
-    for (const m of (data.models || [])) {
-      if (m.name && m.size) modelSizeMap[m.name] = m.size;
+    const list = await provider.listModels(host);
+    // Capture model sizes for VRAM estimation (Ollama only reports sizes)
+    for (const m of list) {
+      if (m.size) modelSizeMap[m.name] = m.size;
     }
-    models = (data.models || []).map(m => m.name).sort();
+    models = list.map(m => m.name);
   } catch (e) {
     console.error("[ThunderClerk-AI] Could not fetch models:", e);
     // Show saved model so the user isn't left with an empty select
@@ -35,7 +44,7 @@ async function populateModels(selectEl, savedModel) {
     }
     const err = document.createElement("option");
     err.value = "";
-    err.textContent = "(could not reach Ollama — check host URL)";
+    err.textContent = `(could not reach ${provider.label} — check host URL)`;
     err.disabled = true;
     selectEl.appendChild(err);
     if (savedModel) selectEl.value = savedModel;
@@ -45,7 +54,9 @@ async function populateModels(selectEl, savedModel) {
   if (models.length === 0) {
     const opt = document.createElement("option");
     opt.value = "";
-    opt.textContent = "(no models found — run: ollama pull <model>)";
+    opt.textContent = selectedProviderId() === "ollama"
+      ? "(no models found — run: ollama pull <model>)"
+      : "(no models found — load a model in the server)";
     opt.disabled = true;
     selectEl.appendChild(opt);
     return;
@@ -62,7 +73,7 @@ async function populateModels(selectEl, savedModel) {
   if (savedModel && !models.includes(savedModel)) {
     const opt = document.createElement("option");
     opt.value = savedModel;
-    opt.textContent = savedModel + " (not in Ollama)";
+    opt.textContent = savedModel + ` (not in ${provider.label})`;
     selectEl.insertBefore(opt, selectEl.firstChild);
   }
 
@@ -74,6 +85,343 @@ async function populateModels(selectEl, savedModel) {
   }
 }
 
+// --- Host authentication ---
+
+const AUTH_TYPE_LABELS = {
+  none:   "No auth",
+  bearer: "Bearer token",
+  basic:  "Basic auth",
+};
+
+// Auth type select plus the inputs for the chosen type.
+function createAuthFields(auth = {}) {
+  const wrap = document.createElement("div");
+  wrap.className = "auth-fields";
+
+  const typeSel = document.createElement("select");
+  typeSel.className = "auth-type";
+  for (const [value, label] of Object.entries(AUTH_TYPE_LABELS)) {
+    typeSel.add(new Option(label, value));
+  }
+  typeSel.value = auth.type in AUTH_TYPE_LABELS ? auth.type : "none";
+
+  const input = (className, type, placeholder, value) => {
+    const el = document.createElement("input");
+    el.type = type;
+    el.className = className;
+    el.placeholder = placeholder;
+    el.value = value || "";
+    el.autocomplete = "off";
+    return el;
+  };
+  const tokenInput = input("auth-token", "password", "token", auth.token);
+  const userInput  = input("auth-user", "text", "username", auth.username);
+  const passInput  = input("auth-pass", "password", "password", auth.password);
+
+  const sync = () => {
+    tokenInput.style.display = typeSel.value === "bearer" ? "" : "none";
+    userInput.style.display  = typeSel.value === "basic" ? "" : "none";
+    passInput.style.display  = typeSel.value === "basic" ? "" : "none";
+  };
+  typeSel.addEventListener("change", sync);
+  sync();
+
+  wrap.append(typeSel, tokenInput, userInput, passInput);
+  return wrap;
+}
+
+function readAuthFields(wrap) {
+  const type = wrap.querySelector(".auth-type").value;
+  if (type === "bearer") {
+    return { type, token: wrap.querySelector(".auth-token").value.trim() };
+  }
+  if (type === "basic") {
+    return {
+      type,
+      username: wrap.querySelector(".auth-user").value,
+      password: wrap.querySelector(".auth-pass").value,
+    };
+  }
+  return { type: "none" };
+}
+
+// { hostUrl: auth } for every host on the page that has credentials.
+function readHostAuth() {
+  const hostAuth = {};
+  const add = (url, auth) => {
+    if (url && auth.type !== "none") hostAuth[trimHost(url)] = auth;
+  };
+  add(selectedHost(), readAuthFields(document.querySelector("#primary-auth .auth-fields")));
+  for (const entry of document.querySelectorAll("#extra-hosts .host-entry")) {
+    add(entry.querySelector(".host-url").value.trim(), readAuthFields(entry.querySelector(".auth-fields")));
+  }
+  return hostAuth;
+}
+
+// Use the credentials as currently entered (saved or not) for requests
+// made from this page.
+function syncHostCredentials() {
+  if (!document.querySelector("#primary-auth .auth-fields")) return;
+  setHostCredentials(readHostAuth());
+}
+
+// --- Additional hosts ---
+
+const HOST_USE_LABELS = {
+  all:        "All requests",
+  manual:     "Manual only",
+  background: "Background only",
+};
+
+function addExtraHostRow(host = {}, auth = {}) {
+  const entry = document.createElement("div");
+  entry.className = "host-entry";
+  const row = document.createElement("div");
+  row.className = "host-row";
+
+  const providerSel = document.createElement("select");
+  providerSel.className = "host-provider";
+  for (const [id, provider] of Object.entries(LLM_PROVIDERS)) {
+    providerSel.add(new Option(provider.label, id));
+  }
+  providerSel.value = host.provider in LLM_PROVIDERS ? host.provider : "ollama";
+
+  const urlInput = document.createElement("input");
+  urlInput.type = "url";
+  urlInput.className = "host-url";
+  urlInput.placeholder = getLLMProvider(providerSel.value).defaultHost;
+  urlInput.value = host.url || "";
+
+  // Model suggestions are loaded from the host once its URL is entered
+  const modelInput = document.createElement("input");
+  modelInput.type = "text";
+  modelInput.className = "host-model";
+  modelInput.placeholder = "model";
+  modelInput.value = host.model || "";
+  const datalist = document.createElement("datalist");
+  datalist.id = `host-models-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  modelInput.setAttribute("list", datalist.id);
+
+  const keepAliveSel = document.createElement("select");
+  keepAliveSel.className = "host-keepalive";
+  keepAliveSel.title = "Keep model loaded";
+  fillKeepAliveSelect(keepAliveSel, host.keepAlive);
+
+  const useSel = document.createElement("select");
+  useSel.className = "host-use";
+  for (const [value, label] of Object.entries(HOST_USE_LABELS)) {
+    useSel.add(new Option(label, value));
+  }
+  useSel.value = host.use in HOST_USE_LABELS ? host.use : "all";
+
+  const removeBtn = document.createElement("button");
+  removeBtn.textContent = "\u2715";
+  removeBtn.title = "Remove host";
+  removeBtn.addEventListener("click", () => entry.remove());
+
+  const loadModels = async () => {
+    const url = urlInput.value.trim();
+    if (!url || !isValidHostUrl(url)) return;
+    syncHostCredentials();
+    try {
+      const models = await getLLMProvider(providerSel.value).listModels(url);
+      datalist.textContent = "";
+      for (const m of models) datalist.appendChild(new Option(m.name));
+    } catch (e) {
+      console.warn("[ThunderClerk-AI Settings] Could not list models on", url, e.message);
+    }
+  };
+  urlInput.addEventListener("change", loadModels);
+  providerSel.addEventListener("change", () => {
+    urlInput.placeholder = getLLMProvider(providerSel.value).defaultHost;
+    loadModels();
+  });
+
+  row.append(providerSel, urlInput, modelInput, datalist, useSel, keepAliveSel, removeBtn);
+  entry.append(row, createAuthFields(auth));
+  document.getElementById("extra-hosts").appendChild(entry);
+  if (host.url) loadModels();
+}
+
+function readExtraHosts() {
+  return [...document.querySelectorAll("#extra-hosts .host-row")]
+    .map(row => ({
+      provider: row.querySelector(".host-provider").value,
+      url:      row.querySelector(".host-url").value.trim(),
+      model:    row.querySelector(".host-model").value.trim(),
+      use:      row.querySelector(".host-use").value,
+      keepAlive: row.querySelector(".host-keepalive").value,
+    }))
+    .filter(h => h.url);
+}
+
+async function checkHosts() {
+  const statusEl = document.getElementById("host-status");
+  statusEl.textContent = "Checking\u2026";
+  syncHostCredentials();
+  const results = await checkLLMHosts({
+    llmProvider:    selectedProviderId(),
+    ollamaHost:     selectedHost(),
+    ollamaModel:    document.getElementById("ollamaModel").value,
+    primaryHostUse: document.getElementById("primaryHostUse").value,
+    extraHosts:     readExtraHosts(),
+  });
+  statusEl.textContent = "";
+  for (const r of results) {
+    const line = document.createElement("div");
+    line.className = r.ok ? "ok" : "down";
+    line.textContent = r.ok
+      ? `\u2713 ${r.host} (${r.model}) \u2014 ${HOST_USE_LABELS[r.use].toLowerCase()}`
+      : `\u2717 ${r.host} (${r.model}) \u2014 ${r.error}`;
+    statusEl.appendChild(line);
+  }
+}
+
+// --- Keep-alive and loaded models ---
+
+// Copy the keep-alive choices from the main select. A saved value that
+// isn't one of the choices (e.g. set by hand) is kept as an extra option.
+function fillKeepAliveSelect(selectEl, value = "") {
+  selectEl.textContent = "";
+  for (const opt of document.getElementById("keepAlive").options) {
+    selectEl.add(new Option(opt.textContent, opt.value));
+  }
+  setKeepAliveValue(selectEl, value);
+}
+
+function setKeepAliveValue(selectEl, value) {
+  const text = String(value ?? "");
+  if (![...selectEl.options].some(o => o.value === text) && parseKeepAlive(text) !== undefined) {
+    selectEl.add(new Option(text, text));
+  }
+  selectEl.value = text;
+  if (selectEl.value !== text) selectEl.value = "";
+}
+
+function formatExpiry(expiresAt) {
+  if (!expiresAt) return "";
+  const ms = new Date(expiresAt).getTime() - Date.now();
+  if (!Number.isFinite(ms)) return "";
+  // Ollama reports a date far in the future for keep_alive -1
+  if (ms > 365 * 24 * 60 * 60 * 1000) return "stays loaded";
+  if (ms <= 0) return "unloading";
+  return `unloads in ${Math.max(1, Math.round(ms / 60000))} min`;
+}
+
+// List the models each configured Ollama host has in memory (/api/ps).
+async function refreshLoadedModels() {
+  const listEl = document.getElementById("loaded-models");
+  listEl.textContent = "Checking\u2026";
+  syncHostCredentials();
+  const hosts = buildHostList({
+    llmProvider: selectedProviderId(),
+    ollamaHost:  selectedHost(),
+    extraHosts:  readExtraHosts(),
+  });
+  const seen = new Set();
+  const lines = [];
+  for (const h of hosts) {
+    const provider = getLLMProvider(h.provider);
+    const key = trimHost(h.host);
+    if (seen.has(key) || typeof provider.listLoadedModels !== "function" || !isValidHostUrl(h.host)) continue;
+    seen.add(key);
+    try {
+      const loaded = await provider.listLoadedModels(h.host, HEALTH_CHECK_TIMEOUT_MS);
+      if (loaded.length === 0) {
+        lines.push(`${h.host}: no models loaded`);
+      }
+      for (const m of loaded) {
+        const vram = m.sizeVram && m.sizeVram < m.size
+          ? `${formatBytes(m.sizeVram)} of ${formatBytes(m.size)} in VRAM`
+          : formatBytes(m.size);
+        const expiry = formatExpiry(m.expiresAt);
+        lines.push(`${h.host}: ${m.name} \u2014 ${vram}${expiry ? `, ${expiry}` : ""}`);
+      }
+    } catch (e) {
+      lines.push(`${h.host}: could not check (${e.name === "TimeoutError" ? "no response" : e.message})`);
+    }
+  }
+  listEl.textContent = "";
+  if (lines.length === 0) lines.push("Only available for Ollama hosts.");
+  for (const text of lines) {
+    const line = document.createElement("div");
+    line.textContent = text;
+    listEl.appendChild(line);
+  }
+}
+
+// --- Per-action models ---
+
+// Build one row per action: model, context window and max output selects.
+// Token choices mirror the global selects, with 0 meaning "Default".
+function renderActionModelRows(actionModels) {
+  const container = document.getElementById("action-models");
+  container.textContent = "";
+
+  const tokenSelect = (sourceId, className, value) => {
+    const sel = document.createElement("select");
+    sel.className = className;
+    for (const opt of document.getElementById(sourceId).options) {
+      const tokens = Number(opt.value);
+      sel.add(new Option(tokens ? formatCtxLabel(tokens) : "Default", opt.value));
+    }
+    sel.value = String(value || 0);
+    return sel;
+  };
+
+  for (const [action, label] of Object.entries(LLM_ACTIONS)) {
+    const saved = actionModels[action] || {};
+    const row = document.createElement("div");
+    row.className = "action-row";
+    row.dataset.action = action;
+
+    const name = document.createElement("span");
+    name.textContent = label;
+
+    const modelSel = document.createElement("select");
+    modelSel.className = "action-model";
+    modelSel.dataset.saved = saved.model || "";
+
+    row.append(
+      name,
+      modelSel,
+      tokenSelect("numCtx", "action-ctx", saved.numCtx),
+      tokenSelect("numPredict", "action-predict", saved.numPredict),
+    );
+    container.appendChild(row);
+  }
+  syncActionModelOptions();
+}
+
+// Offer the models loaded for the main host in every action's model select.
+function syncActionModelOptions() {
+  const models = [...document.getElementById("ollamaModel").options]
+    .filter(o => o.value && !o.disabled)
+    .map(o => o.value);
+
+  for (const sel of document.querySelectorAll("#action-models .action-model")) {
+    const current = sel.value || sel.dataset.saved;
+    while (sel.options.length > 0) sel.remove(0);
+    sel.add(new Option("Default", ""));
+    for (const name of models) sel.add(new Option(name, name));
+    if (current && !models.includes(current)) sel.add(new Option(`${current} (not found)`, current));
+    sel.value = current || "";
+  }
+}
+
+function readActionModels() {
+  const actionModels = {};
+  for (const row of document.querySelectorAll("#action-models .action-row")) {
+    const entry = {
+      model:      row.querySelector(".action-model").value,
+      numCtx:     Number(row.querySelector(".action-ctx").value) || 0,
+      numPredict: Number(row.querySelector(".action-predict").value) || 0,
+    };
+    if (entry.model || entry.numCtx || entry.numPredict) actionModels[row.dataset.action] = entry;
+  }
+  return actionModels;
+}
+
 // --- Calendar list ---
 
 async function populateCalendars(selectEl, savedName) {
@@ -138,6 +486,170 @@ async function populateAddressBooks(selectEl, savedId) {
   }
 }
 
+// --- Background folder scope ---
+
+// The saved scope, kept as is if the accounts can't be listed
+let savedFolderScope = {};
+
+// One row per account and folder with a Default/Include/Exclude choice and
+// whether its mail is analyzed under the current choices.
+async function renderFolderScope(scope) {
+  savedFolderScope = scope || {};
+  const container = document.getElementById("bgFolderScope");
+  container.textContent = "";
+  delete container.dataset.loaded;
+
+  let accounts = [];
+  try {
+    accounts = await browser.accounts.list(true);
+  } catch (e) {
+    console.error("[ThunderClerk-AI] Could not list accounts:", e);
+    container.textContent = "(could not read accounts)";
+    return;
+  }
+
+  const addRow = (folder, label, depth) => {
+    const row = document.createElement("div");
+    row.className = depth === 0 ? "scope-row account" : "scope-row";
+    row.dataset.accountId = folder.accountId;
+    row.dataset.path = folder.path;
+    row.dataset.uses = (Array.isArray(folder.specialUse) ? folder.specialUse : [folder.type].filter(Boolean)).join(",");
+
+    const name = document.createElement("span");
+    name.textContent = label;
+    name.style.paddingLeft = `${depth * 14}px`;
+
+    const sel = document.createElement("select");
+    sel.className = "scope-rule";
+    sel.add(new Option("Default", ""));
+    sel.add(new Option("Include", "include"));
+    sel.add(new Option("Exclude", "exclude"));
+    sel.value = savedFolderScope[folderScopeKey(folder.accountId, folder.path)] || "";
+    sel.addEventListener("change", syncFolderScopeStates);
+
+    const state = document.createElement("span");
+    state.className = "scope-state";
+
+    row.append(name, sel, state);
+    container.appendChild(row);
+  };
+  const addFolders = (folders, depth) => {
+    for (const folder of folders || []) {
+      addRow(folder, folder.name, depth);
+      addFolders(folder.subFolders, depth + 1);
+    }
+  };
+
+  for (const account of accounts) {
+    addRow({ accountId: account.id, path: "/" }, account.name, 0);
+    addFolders(account.rootFolder?.subFolders ?? account.folders, 1);
+  }
+  container.dataset.loaded = "true";
+  syncFolderScopeStates();
+}
+
+function readFolderScope() {
+  const container = document.getElementById("bgFolderScope");
+  if (!container.dataset.loaded) return savedFolderScope;
+  const scope = {};
+  for (const row of container.querySelectorAll(".scope-row")) {
+    const rule = row.querySelector(".scope-rule").value;
+    if (rule) scope[folderScopeKey(row.dataset.accountId, row.dataset.path)] = rule;
+  }
+  return scope;
+}
+
+function syncFolderScopeStates() {
+  const scope = readFolderScope();
+  for (const row of document.querySelectorAll("#bgFolderScope .scope-row")) {
+    if (row.dataset.path === "/") continue;
+    const folder = {
+      accountId: row.dataset.accountId,
+      path: row.dataset.path,
+      specialUse: row.dataset.uses ? row.dataset.uses.split(",") : [],
+    };
+    row.querySelector(".scope-state").textContent = folderInScope(folder, scope) ? "analyzed" : "not analyzed";
+  }
+}
+
+// --- Sender rules ---
+
+const SENDER_RULE_FIELD_NAMES = {
+  sender:  "Sender address",
+  domain:  "Sender domain",
+  listId:  "List-Id",
+  subject: "Subject",
+};
+
+const SENDER_RULE_ACTION_NAMES = {
+  skip:    "Skip",
+  analyze: "Always analyze",
+  block:   "Block AI",
+};
+
+const SENDER_RULE_PLACEHOLDERS = {
+  sender:  "newsletter@example.com",
+  domain:  "example.com",
+  listId:  "dev.lists.example.org",
+  subject: "[confidential] or /^re: invoice/",
+};
+
+function addSenderRuleRow(rule = {}) {
+  const row = document.createElement("div");
+  row.className = "rule-row";
+
+  const fieldSel = document.createElement("select");
+  fieldSel.className = "rule-field";
+  for (const [value, label] of Object.entries(SENDER_RULE_FIELD_NAMES)) {
+    fieldSel.add(new Option(label, value));
+  }
+  fieldSel.value = rule.field in SENDER_RULE_FIELD_NAMES ? rule.field : "sender";
+
+  const patternInput = document.createElement("input");
+  patternInput.type = "text";
+  patternInput.className = "rule-pattern";
+  patternInput.spellcheck = false;
+  patternInput.placeholder = SENDER_RULE_PLACEHOLDERS[fieldSel.value];
+  patternInput.value = rule.pattern || "";
+  fieldSel.addEventListener("change", () => {
+    patternInput.placeholder = SENDER_RULE_PLACEHOLDERS[fieldSel.value];
+  });
+
+  const actionSel = document.createElement("select");
+  actionSel.className = "rule-action";
+  for (const [value, label] of Object.entries(SENDER_RULE_ACTION_NAMES)) {
+    actionSel.add(new Option(label, value));
+  }
+  actionSel.value = rule.action in SENDER_RULE_ACTION_NAMES ? rule.action : "skip";
+
+  const removeBtn = document.createElement("button");
+  removeBtn.textContent = "\u2715";
+  removeBtn.title = "Remove rule";
+  removeBtn.addEventListener("click", () => row.remove());
+
+  row.append(fieldSel, patternInput, actionSel, removeBtn);
+  document.getElementById("sender-rules").appendChild(row);
+}
+
+function readSenderRules() {
+  return normalizeSenderRules([...document.querySelectorAll("#sender-rules .rule-row")]
+    .map(row => ({
+      field:   row.querySelector(".rule-field").value,
+      pattern: row.querySelector(".rule-pattern").value,
+      action:  row.querySelector(".rule-action").value,
+    })));
+}
+
+// --- Backend show/hide ---
+
+function syncProviderUI(providerId) {
+  const defaultHost = getLLMProvider(providerId).defaultHost;
+  document.getElementById("ollamaHost").placeholder = defaultHost;
+  document.getElementById("ollamaHost-hint").textContent = providerId === "openai"
+    ? `Default: ${defaultHost} (llama.cpp server). LM Studio uses port 1234, vLLM port 8000.`
+    : `Default: ${defaultHost}`;
+}
+
 // --- Attendees source show/hide ---
 
 function syncAttendeesUI(source) {
@@ -145,18 +657,45 @@ function syncAttendeesUI(source) {
     source === "static" ? "block" : "none";
 }
 
+// --- Output language show/hide ---
+
+function syncLanguageUI(id) {
+  document.getElementById(`${id}Fixed-wrap`).style.display =
+    document.getElementById(id).value === "fixed" ? "block" : "none";
+}
+
+// Name the user's Thunderbird language in the "My Thunderbird language" options
+function labelUserLanguage() {
+  const name = languageName(browser.i18n.getUILanguage());
+  for (const id of ["outputLanguage", "titleLanguage"]) {
+    document.querySelector(`#${id} option[value="user"]`).textContent = `My Thunderbird language (${name})`;
+  }
+}
+
 // --- Background Processing UI sync ---
 
 function syncBgProcessingUI(autoAnalyzeEnabled) {
   const cacheLabel = document.getElementById("bgCacheMaxDays-label");
   const cacheSelect = document.getElementById("bgCacheMaxDays");
   const cacheHint = cacheSelect.nextElementSibling; // .hint after select
+  const vipLabel = document.getElementById("vipSenders-label");
+  const vipInput = document.getElementById("vipSenders");
+  const vipHint = vipInput.nextElementSibling;
+  const scopeLabel = document.getElementById("bgFolderScope-label");
+  const scopePicker = document.getElementById("bgFolderScope");
+  const scopeHint = scopePicker.nextElementSibling;
   const statsPanel = document.getElementById("bg-stats");
 
   const show = autoAnalyzeEnabled ? "" : "none";
   cacheLabel.style.display = show;
   cacheSelect.style.display = show;
   if (cacheHint) cacheHint.style.display = show;
+  vipLabel.style.display = show;
+  vipInput.style.display = show;
+  if (vipHint) vipHint.style.display = show;
+  scopeLabel.style.display = show;
+  scopePicker.style.display = show;
+  if (scopeHint) scopeHint.style.display = show;
   statsPanel.style.display = show;
 
   if (autoAnalyzeEnabled) updateBgStats();
@@ -181,7 +720,10 @@ async function updateBgStats() {
     if (status.processing) parts.push("processing…");
     if (status.processedCount > 0) parts.push(`Processed this session: ${status.processedCount}`);
     if (status.errorCount > 0) parts.push(`Errors: ${status.errorCount}`);
-    if (status.paused) parts.push("(paused — Ollama unreachable)");
+    if (status.paused) {
+      const retry = status.retryAt ? `, retrying at ${new Date(status.retryAt).toLocaleTimeString()}` : "";
+      parts.push(status.hostDown ? `(paused — LLM host unreachable${retry})` : `(paused after an error${retry})`);
+    }
     if (!status.enabled) parts.push("(stopped)");
 
     statsText.textContent = parts.length > 0 ? parts.join(" | ") : "No cached data";
@@ -189,6 +731,9 @@ async function updateBgStats() {
     // Toggle Stop/Start button states
     stopBtn.disabled = !status.enabled;
     startBtn.disabled = status.enabled;
+
+    await updateBgQueue(status);
+    await updateBgDeadLetters(status);
   } catch (e) {
     console.warn("[ThunderClerk-AI Settings] updateBgStats failed:", e.message);
     statsText.textContent = "Status unavailable";
@@ -197,6 +742,85 @@ async function updateBgStats() {
   }
 }
 
+const BG_QUEUE_SHOWN = 20;
+const BG_SOURCE_LABELS = { "new-mail": "new mail", backfill: "backfill", manual: "queued by you" };
+
+function formatQueuedAt(enqueuedAt) {
+  const minutes = Math.round((Date.now() - enqueuedAt) / 60000);
+  if (!Number.isFinite(minutes)) return "";
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(enqueuedAt).toLocaleString();
+}
+
+// List the messages waiting for background analysis, next one first.
+async function updateBgQueue(status) {
+  const wrap = document.getElementById("bg-queue");
+  const listEl = document.getElementById("bg-queue-list");
+  const total = status.queueLength + (status.processing ? 1 : 0);
+  if (total === 0) {
+    wrap.style.display = "none";
+    listEl.textContent = "";
+    return;
+  }
+
+  const items = await browser.runtime.sendMessage({ action: "getBgQueue", limit: BG_QUEUE_SHOWN }) || [];
+  const lines = items.map(item => {
+    const what = item.subject !== undefined
+      ? `${item.subject || "(no subject)"}${item.author ? ` \u2014 ${item.author}` : ""}`
+      : `Message ${item.messageId} (no longer available)`;
+    const details = [BG_SOURCE_LABELS[item.source] || item.source, formatQueuedAt(item.enqueuedAt)].filter(Boolean);
+    if (item.force) details.push("re-analyze");
+    return `${item.processing ? "Analyzing: " : ""}${what} (${details.join(", ")})`;
+  });
+  if (total > items.length) lines.push(`\u2026and ${total - items.length} more`);
+
+  listEl.textContent = "";
+  for (const text of lines) {
+    const line = document.createElement("div");
+    line.textContent = text;
+    listEl.appendChild(line);
+  }
+  wrap.style.display = "";
+}
+
+const BG_FAILED_SHOWN = 20;
+const BG_ERROR_CLASS_LABELS = {
+  server: "server error",
+  timeout: "timed out",
+  other: "error",
+};
+
+// List the messages that kept failing, most recent first.
+async function updateBgDeadLetters(status) {
+  const wrap = document.getElementById("bg-failed");
+  const listEl = document.getElementById("bg-failed-list");
+  if (!status.deadLetterCount) {
+    wrap.style.display = "none";
+    listEl.textContent = "";
+    return;
+  }
+
+  const items = await browser.runtime.sendMessage({ action: "getBgDeadLetters", limit: BG_FAILED_SHOWN }) || [];
+  const lines = items.map(item => {
+    const what = item.subject !== undefined
+      ? `${item.subject || "(no subject)"}${item.author ? ` \u2014 ${item.author}` : ""}`
+      : `Message ${item.messageId} (no longer available)`;
+    const why = BG_ERROR_CLASS_LABELS[item.errorClass] || item.errorClass || "error";
+    return `${what} (${why} after ${item.attempts} attempt${item.attempts === 1 ? "" : "s"}, ${formatQueuedAt(item.failedAt)})`;
+  });
+  if (status.deadLetterCount > items.length) lines.push(`\u2026and ${status.deadLetterCount - items.length} more`);
+
+  listEl.textContent = "";
+  for (const [i, text] of lines.entries()) {
+    const line = document.createElement("div");
+    line.textContent = text;
+    if (items[i]?.error) line.title = items[i].error;
+    listEl.appendChild(line);
+  }
+  wrap.style.display = "";
+}
+
 // --- VRAM estimation ---
 
 function formatBytes(bytes) {
@@ -205,14 +829,17 @@ function formatBytes(bytes) {
   return (bytes / 1024).toFixed(0) + " KB";
 }
 
+// Model details come from Ollama's /api/show, which OpenAI-compatible
+// servers don't have.
 async function fetchModelInfo(host, modelName) {
-  if (!modelName) return null;
+  if (!modelName || selectedProviderId() !== "ollama") return null;
   if (modelInfoCache[modelName]) return modelInfoCache[modelName];
 
   try {
+    syncHostCredentials();
     const resp = await fetch(host.replace(/\/$/, "") + "/api/show", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...authHeadersFor(host) },
       body: JSON.stringify({ name: modelName }),
     });
     if (!resp.ok) return null;
@@ -259,14 +886,13 @@ async function updateVramEstimate() {
   const numCtxVal = parseInt(ctxSelect.value, 10) || 0;
   const numPredictVal = parseInt(predictSelect.value, 10) || 0;
 
-  if (!modelName || !modelSizeMap[modelName]) {
+  if (!modelName || !modelSizeMap[modelName] || selectedProviderId() !== "ollama") {
     estimateEl.style.display = "none";
     recEl.style.display = "none";
     return;
   }
 
-  const host = document.getElementById("ollamaHost").value.trim() || DEFAULTS.ollamaHost;
-  const modelInfo = await fetchModelInfo(host, modelName);
+  const modelInfo = await fetchModelInfo(selectedHost(), modelName);
 
   // Update "Model default" option text with actual context length
   const defaultOpt = ctxSelect.options[0];
@@ -321,11 +947,110 @@ async function updateVramEstimate() {
   }
 }
 
+// --- Prompt templates ---
+
+// Editor state: id → { instructions, email } as currently edited. Only
+// parts that differ from the built-in template are saved.
+let templateEdits = {};
+let shownTemplateId = null;
+
+function isCustomTemplate(id) {
+  const def = PROMPT_TEMPLATES[id];
+  const edit = templateEdits[id];
+  return edit.instructions !== def.instructions || edit.email !== def.email;
+}
+
+function templateVariableList(names) {
+  return names.map(name => `{{${name}}} ${PROMPT_VARIABLES[name] || PROMPT_EMAIL_VARIABLES[name]}`).join(" · ");
+}
+
+function keepShownTemplate() {
+  if (!shownTemplateId) return;
+  templateEdits[shownTemplateId] = {
+    instructions: document.getElementById("templateInstructions").value,
+    email:        document.getElementById("templateEmail").value,
+  };
+}
+
+function syncTemplateStatus() {
+  keepShownTemplate();
+  const select = document.getElementById("templateId");
+  for (const option of select.options) {
+    option.textContent = PROMPT_TEMPLATES[option.value].label + (isCustomTemplate(option.value) ? " (custom)" : "");
+  }
+
+  const custom = Object.keys(templateEdits).filter(isCustomTemplate);
+  const notice = document.getElementById("template-notice");
+  notice.style.display = custom.length > 0 ? "" : "none";
+  notice.textContent = `Custom prompt templates in use: ${custom.map(id => PROMPT_TEMPLATES[id].label).join(", ")}`;
+
+  const status = document.getElementById("template-status");
+  const problems = checkPromptTemplate(shownTemplateId, templateEdits[shownTemplateId]);
+  if (problems.length > 0) {
+    status.className = "hint problem";
+    status.textContent = problems.join(" — ");
+  } else if (isCustomTemplate(shownTemplateId)) {
+    status.className = "hint custom";
+    status.textContent = "Custom template — differs from the built-in prompt.";
+  } else {
+    status.className = "hint";
+    status.textContent = "Built-in template.";
+  }
+}
+
+function showTemplate(id) {
+  keepShownTemplate();
+  shownTemplateId = id;
+  const def = PROMPT_TEMPLATES[id];
+  document.getElementById("templateInstructions").value = templateEdits[id].instructions;
+  document.getElementById("templateEmail").value = templateEdits[id].email;
+  document.getElementById("template-variables").textContent =
+    `Instructions: ${templateVariableList(def.variables) || "no variables"}. ` +
+    `Email layout, in addition: ${templateVariableList(def.emailVariables)}.`;
+  syncTemplateStatus();
+}
+
+function renderTemplateEditor(saved) {
+  templateEdits = {};
+  shownTemplateId = null;
+  const select = document.getElementById("templateId");
+  while (select.options.length > 0) select.remove(0);
+  for (const [id, def] of Object.entries(PROMPT_TEMPLATES)) {
+    const custom = (saved && saved[id]) || {};
+    templateEdits[id] = {
+      instructions: typeof custom.instructions === "string" ? custom.instructions : def.instructions,
+      email:        typeof custom.email === "string" ? custom.email : def.email,
+    };
+    select.add(new Option(def.label, id));
+  }
+  showTemplate(select.value);
+}
+
+// { id: { instructions?, email? } } for storage.local, plus the problems
+// that keep custom templates from being saved.
+function readPromptTemplates() {
+  keepShownTemplate();
+  const templates = {};
+  const problems = [];
+  for (const [id, edit] of Object.entries(templateEdits)) {
+    if (!isCustomTemplate(id)) continue;
+    const def = PROMPT_TEMPLATES[id];
+    templates[id] = {};
+    if (edit.instructions !== def.instructions) templates[id].instructions = edit.instructions;
+    if (edit.email !== def.email) templates[id].email = edit.email;
+    for (const problem of checkPromptTemplate(id, edit)) problems.push(`${def.label}: ${problem}`);
+  }
+  return { templates, problems };
+}
+
 // --- Restore all settings on load ---
 
 async function restoreOptions() {
   const s = await browser.storage.sync.get(DEFAULTS);
+  const { hostAuth, promptTemplates } = await browser.storage.local.get({ hostAuth: {}, promptTemplates: {} });
+  const authFor = (url) => hostAuth[trimHost(url)] || {};
 
+  document.getElementById("llmProvider").value           = s.llmProvider || "ollama";
   document.getElementById("ollamaHost").value            = s.ollamaHost;
   document.getElementById("attendeesSource").value       = s.attendeesSource;
   document.getElementById("attendeesStatic").value       = s.attendeesStatic;
@@ -335,34 +1060,57 @@ async function restoreOptions() {
   document.getElementById("calendarUseCategory").checked    = !!s.calendarUseCategory;
   document.getElementById("taskUseCategory").checked        = !!s.taskUseCategory;
   document.getElementById("replyMode").value                = s.replyMode;
+  document.getElementById("outputLanguage").value           = s.outputLanguage || "email";
+  document.getElementById("outputLanguageFixed").value      = s.outputLanguageFixed || "";
+  document.getElementById("titleLanguage").value            = s.titleLanguage || "email";
+  document.getElementById("titleLanguageFixed").value       = s.titleLanguageFixed || "";
   document.getElementById("autoTagAfterAction").checked      = !!s.autoTagAfterAction;
   document.getElementById("allowNewTags").checked            = !!s.allowNewTags;
   document.getElementById("autoAnalyzeEnabled").checked      = !!s.autoAnalyzeEnabled;
   document.getElementById("bgCacheMaxDays").value            = String(s.bgCacheMaxDays || 1);
+  document.getElementById("vipSenders").value                = s.vipSenders || "";
   document.getElementById("debugPromptPreview").checked     = !!s.debugPromptPreview;
 
   // Sync background processing UI state
   syncBgProcessingUI(!!s.autoAnalyzeEnabled);
   document.getElementById("numCtx").value        = String(s.numCtx || 0);
   document.getElementById("numPredict").value    = String(s.numPredict || 0);
+  document.getElementById("jsonRetries").value   = String(s.jsonRetries ?? 1);
+  document.getElementById("thinking").value      = s.thinking === "off" ? "off" : "auto";
+  document.getElementById("showReasoning").checked = !!s.showReasoning;
+
+  document.getElementById("primaryHostUse").value = s.primaryHostUse || "all";
+  setKeepAliveValue(document.getElementById("keepAlive"), s.keepAlive);
+  document.getElementById("warmUpOnDisplay").checked = !!s.warmUpOnDisplay;
+  document.getElementById("warmUpOnQueue").checked   = !!s.warmUpOnQueue;
+  renderActionModelRows(s.actionModels || {});
+  renderTemplateEditor(promptTemplates);
+  document.getElementById("primary-auth").appendChild(createAuthFields(authFor(s.ollamaHost)));
+  for (const host of (s.extraHosts || [])) addExtraHostRow(host, authFor(host.url));
+  for (const rule of normalizeSenderRules(s.senderRules)) addSenderRuleRow(rule);
 
   syncAttendeesUI(s.attendeesSource);
+  syncLanguageUI("outputLanguage");
+  syncLanguageUI("titleLanguage");
+  syncProviderUI(s.llmProvider || "ollama");
 
   // Populate dropdowns (these fetch from external sources)
   await Promise.all([
-    populateModels(document.getElementById("ollamaModel"), s.ollamaModel),
+    populateModels(document.getElementById("ollamaModel"), s.ollamaModel).then(syncActionModelOptions),
     populateCalendars(document.getElementById("defaultCalendar"), s.defaultCalendar),
     populateAddressBooks(document.getElementById("contactAddressBook"), s.contactAddressBook),
+    renderFolderScope(s.bgFolderScope),
   ]);
 
   // Update VRAM estimate after models are loaded
   updateVramEstimate();
+  refreshLoadedModels();
 }
 
 // --- Save all settings at once ---
 
 async function saveOptions() {
-  const host          = document.getElementById("ollamaHost").value.trim() || DEFAULTS.ollamaHost;
+  const host          = selectedHost();
   const staticEmail   = document.getElementById("attendeesStatic").value.trim();
   const attendeeSrc   = document.getElementById("attendeesSource").value;
 
@@ -378,6 +1126,17 @@ async function saveOptions() {
     return;
   }
 
+  // Validate additional host URLs
+  const extraHosts = readExtraHosts();
+  const badHost = extraHosts.find(h => !isValidHostUrl(h.url));
+  if (badHost) {
+    const el = document.getElementById("status");
+    el.style.color = "red";
+    el.textContent = `Invalid additional host URL: ${badHost.url}`;
+    setTimeout(() => { el.textContent = ""; el.style.color = "green"; }, 3000);
+    return;
+  }
+
   // Validate static email
   if (attendeeSrc === "static" && staticEmail && !staticEmail.includes("@")) {
     const el = document.getElementById("status");
@@ -387,9 +1146,46 @@ async function saveOptions() {
     return;
   }
 
+  // Validate sender rules — a rule that can't match would let mail through
+  const badRule = readSenderRules().find(senderRuleProblem);
+  if (badRule) {
+    const el = document.getElementById("status");
+    el.style.color = "red";
+    el.textContent = `Invalid sender rule: ${senderRuleProblem(badRule)}`;
+    setTimeout(() => { el.textContent = ""; el.style.color = "green"; }, 3000);
+    return;
+  }
+
+  // Validate fixed output languages
+  for (const [id, label] of [["outputLanguage", "replies and summaries"], ["titleLanguage", "titles"]]) {
+    if (document.getElementById(id).value === "fixed" && !document.getElementById(`${id}Fixed`).value.trim()) {
+      const el = document.getElementById("status");
+      el.style.color = "red";
+      el.textContent = `Enter the language to use for ${label}.`;
+      setTimeout(() => { el.textContent = ""; el.style.color = "green"; }, 3000);
+      return;
+    }
+  }
+
+  // Validate custom prompt templates
+  const promptTemplates = readPromptTemplates();
+  if (promptTemplates.problems.length > 0) {
+    const el = document.getElementById("status");
+    el.style.color = "red";
+    el.textContent = `Prompt template ${promptTemplates.problems[0]}`;
+    setTimeout(() => { el.textContent = ""; el.style.color = "green"; }, 5000);
+    return;
+  }
+
   const settings = {
+    llmProvider:           selectedProviderId(),
     ollamaHost:            host,
     ollamaModel:           document.getElementById("ollamaModel").value,
+    primaryHostUse:        document.getElementById("primaryHostUse").value,
+    extraHosts,
+    keepAlive:             document.getElementById("keepAlive").value,
+    warmUpOnDisplay:       document.getElementById("warmUpOnDisplay").checked,
+    warmUpOnQueue:         document.getElementById("warmUpOnQueue").checked,
     attendeesSource:       attendeeSrc,
     attendeesStatic:       staticEmail,
     defaultCalendar:       document.getElementById("defaultCalendar").value,
@@ -399,17 +1195,30 @@ async function saveOptions() {
     calendarUseCategory:   document.getElementById("calendarUseCategory").checked,
     taskUseCategory:       document.getElementById("taskUseCategory").checked,
     replyMode:             document.getElementById("replyMode").value,
+    outputLanguage:        document.getElementById("outputLanguage").value,
+    outputLanguageFixed:   document.getElementById("outputLanguageFixed").value.trim(),
+    titleLanguage:         document.getElementById("titleLanguage").value,
+    titleLanguageFixed:    document.getElementById("titleLanguageFixed").value.trim(),
     contactAddressBook:    document.getElementById("contactAddressBook").value,
     autoTagAfterAction:    document.getElementById("autoTagAfterAction").checked,
     allowNewTags:          document.getElementById("allowNewTags").checked,
     autoAnalyzeEnabled:    document.getElementById("autoAnalyzeEnabled").checked,
     bgCacheMaxDays:        Number(document.getElementById("bgCacheMaxDays").value) || 1,
+    vipSenders:            parseVipSenders(document.getElementById("vipSenders").value).join("\n"),
+    bgFolderScope:         readFolderScope(),
+    senderRules:           readSenderRules(),
     numCtx:                Number(document.getElementById("numCtx").value) || 0,
     numPredict:            Number(document.getElementById("numPredict").value) || 0,
+    jsonRetries:           Number(document.getElementById("jsonRetries").value) || 0,
+    thinking:              document.getElementById("thinking").value,
+    showReasoning:         document.getElementById("showReasoning").checked,
+    actionModels:          readActionModels(),
     debugPromptPreview:    document.getElementById("debugPromptPreview").checked,
   };
 
   await browser.storage.sync.set(settings);
+  // Credentials stay on this computer; templates are too large for sync
+  await browser.storage.local.set({ hostAuth: readHostAuth(), promptTemplates: promptTemplates.templates });
 
   const el = document.getElementById("status");
   el.style.color = "green";
@@ -441,13 +1250,39 @@ document.addEventListener("DOMContentLoaded", () => {
   document.getElementById("attendeesSource").addEventListener("change", e =>
     syncAttendeesUI(e.target.value));
 
+  labelUserLanguage();
+  for (const id of ["outputLanguage", "titleLanguage"]) {
+    document.getElementById(id).addEventListener("change", () => syncLanguageUI(id));
+  }
+
   document.getElementById("refresh-models").addEventListener("click", async () => {
     const sel = document.getElementById("ollamaModel");
     modelInfoCache = {};
     await populateModels(sel, sel.value);
+    syncActionModelOptions();
+    updateVramEstimate();
+  });
+
+  document.getElementById("llmProvider").addEventListener("change", async (e) => {
+    // Swap the host to the new backend's default unless the user customized it
+    const hostEl = document.getElementById("ollamaHost");
+    const isDefaultHost = Object.values(LLM_PROVIDERS).some(p => p.defaultHost === hostEl.value.trim());
+    if (!hostEl.value.trim() || isDefaultHost) {
+      hostEl.value = getLLMProvider(e.target.value).defaultHost;
+    }
+    syncProviderUI(e.target.value);
+    const sel = document.getElementById("ollamaModel");
+    modelInfoCache = {};
+    await populateModels(sel, "");
+    syncActionModelOptions();
     updateVramEstimate();
   });
 
+  document.getElementById("add-host").addEventListener("click", () => addExtraHostRow());
+  document.getElementById("add-sender-rule").addEventListener("click", () => addSenderRuleRow());
+  document.getElementById("check-hosts").addEventListener("click", checkHosts);
+  document.getElementById("refresh-loaded").addEventListener("click", refreshLoadedModels);
+
   document.getElementById("ollamaModel").addEventListener("change", () => {
     updateVramEstimate();
   });
@@ -485,6 +1320,30 @@ document.addEventListener("DOMContentLoaded", () => {
     await updateBgStats();
   });
 
+  document.getElementById("bg-retry-failed-btn").addEventListener("click", async () => {
+    await browser.runtime.sendMessage({ action: "retryBgDeadLetters" });
+    await updateBgStats();
+  });
+
+  document.getElementById("bg-clear-failed-btn").addEventListener("click", async () => {
+    await browser.runtime.sendMessage({ action: "clearBgDeadLetters" });
+    await updateBgStats();
+  });
+
+  document.getElementById("templateId").addEventListener("change", e => showTemplate(e.target.value));
+  document.getElementById("templateInstructions").addEventListener("input", syncTemplateStatus);
+  document.getElementById("templateEmail").addEventListener("input", syncTemplateStatus);
+  document.getElementById("reset-template").addEventListener("click", () => {
+    const def = PROMPT_TEMPLATES[shownTemplateId];
+    document.getElementById("templateInstructions").value = def.instructions;
+    document.getElementById("templateEmail").value = def.email;
+    syncTemplateStatus();
+  });
+
+  document.getElementById("open-dashboard-btn").addEventListener("click", () => {
+    browser.tabs.create({ url: browser.runtime.getURL("dashboard/dashboard.html") });
+  });
+
   document.getElementById("clear-cache-btn").addEventListener("click", async () => {
     const btn = document.getElementById("clear-cache-btn");
     btn.disabled = true;
@@ -1,25 +1,63 @@
 "use strict";
 
 // Background email processor — automatically extracts data from incoming
-// emails using a single combined Ollama call, caching results for instant
+// emails using a single combined LLM call, caching results for instant
 // display when the user opens Auto Analyze.
 //
-// Depends on: config.js (DEFAULTS), utils.js, cache.js — all loaded before
-// this script in the manifest.
+// Depends on: config.js (DEFAULTS), utils.js, providers.js, metrics.js, cache.js — all
+// loaded before this script in the manifest.
 
 const BG_PROCESSOR_DELAY_MS = 2000;       // pause between background calls
-const BG_RETRY_DELAY_MS     = 30000;      // retry delay when Ollama is down
 const BG_MIN_EMAIL_LENGTH   = 20;         // skip very short emails
-const BG_MAX_BODY_LENGTH    = 12000;      // truncate body for combined prompt
 const BG_BACKFILL_DAYS      = 1;          // how many days back to look on startup
+const BG_MIN_NUM_CTX        = 16384;      // combined prompt needs a large context
+const BG_MIN_NUM_PREDICT    = 16384;
 
 const BG_LOG_PREFIX = "[ThunderClerk-AI BG]";
 
+// The queue is saved here so it survives a restart
+const BG_QUEUE_KEY = "_bgQueue";
+
+// Where a queued message came from
+const BG_SOURCES = ["new-mail", "backfill", "manual"];
+
+// Messages that kept failing are kept here, newest last
+const BG_DEAD_LETTER_KEY = "_bgDeadLetters";
+const BG_DEAD_LETTER_MAX = 100;
+
+// How the queue backs off after a failed LLM call, by llmErrorClass()
+// (providers.js). hostDown failures are the host's fault: the queue waits
+// for a health check and the message keeps its place without using up an
+// attempt. Other failures may be the message's: after maxAttempts it goes
+// to the dead-letter list so the rest of the queue can move on.
+const BG_RETRY_POLICIES = {
+  unreachable: { baseMs: 30_000,    maxMs: 10 * 60_000, hostDown: true },
+  model:       { baseMs: 2 * 60_000, maxMs: 30 * 60_000, hostDown: true },   // needs the model pulled
+  config:      { baseMs: 2 * 60_000, maxMs: 30 * 60_000, hostDown: true },   // needs the settings fixed
+  server:      { baseMs: 30_000,    maxMs: 10 * 60_000, maxAttempts: 3 },
+  timeout:     { baseMs: 60_000,    maxMs: 15 * 60_000, maxAttempts: 2 },    // long emails may never fit
+  other:       { baseMs: 30_000,    maxMs: 10 * 60_000, maxAttempts: 3 },
+};
+
+// One notification, replaced when the host comes back
+const BG_HOST_NOTIFICATION_ID = "thunderclerk-ai-bg-host";
+
 // --- Queue state ---
 
-const bgQueue = [];                       // array of { messageId, force }
+// Kept in processing order (compareQueueItems in utils.js)
+const bgQueue = [];                       // array of { messageId, force, enqueuedAt, source, date, author, openedAt, attempts }
+let bgCurrentItem = null;                 // queue item being processed
+const bgDeadLetters = [];                 // items that kept failing, with { attempts, errorClass, error, failedAt }
+let bgVipSenders = [];                    // parsed vipSenders setting
+let bgFolderScope = {};                   // bgFolderScope setting (folderInScope in utils.js)
+let bgSenderRules = [];                   // senderRules setting (matchSenderRule in utils.js)
 let bgProcessing = false;                 // currently running an extraction
-let bgPaused = false;                     // paused (Ollama unreachable, etc.)
+let bgPaused = false;                     // paused (LLM host unreachable, etc.)
+let bgRetryAt = null;                     // when a paused queue is tried again
+let bgRetryTimer = null;
+let bgFailures = 0;                       // failures of bgRetryClass in a row, for the backoff
+let bgRetryClass = null;                  // llmErrorClass() of the last failure
+let bgHostDown = false;                   // no usable host — the user has been told
 let bgEnabled = false;                    // user setting
 let manualActionInFlight = false;         // a manual menu action is running
 let bgProcessedCount = 0;                 // session counter
@@ -28,6 +66,7 @@ let bgErrorCount = 0;                     // session counter
 // --- Public API for background.js ---
 
 function bgProcessorSetManualFlag(active) {
+  if (manualActionInFlight === active) return;
   manualActionInFlight = active;
   if (active) {
     console.log(BG_LOG_PREFIX, "Manual action started — background processing paused");
@@ -43,8 +82,11 @@ function bgProcessorGetStatus() {
     queueLength: bgQueue.length,
     processing: bgProcessing,
     paused: bgPaused,
+    retryAt: bgRetryAt,
+    hostDown: bgHostDown,
     processedCount: bgProcessedCount,
     errorCount: bgErrorCount,
+    deadLetterCount: bgDeadLetters.length,
   };
 }
 
@@ -56,6 +98,8 @@ function bgProcessorStop() {
 function bgProcessorStart() {
   bgEnabled = true;
   bgPaused = false;
+  bgRetryAt = null;
+  clearTimeout(bgRetryTimer);
   console.log(BG_LOG_PREFIX, `Started — ${bgQueue.length} items in queue`);
   if (bgQueue.length > 0) {
     scheduleNext();
@@ -65,16 +109,281 @@ function bgProcessorStart() {
   }
 }
 
-function bgProcessorEnqueue(messageId, force = false) {
+// The pending items in processing order, starting with the one being
+// processed (marked processing: true).
+function bgProcessorGetQueue() {
+  const items = bgQueue.map(item => ({ ...item, processing: false }));
+  if (bgCurrentItem) items.unshift({ ...bgCurrentItem, processing: true });
+  return items;
+}
+
+// source is one of BG_SOURCES. Pass the message header when the caller has
+// it: its date and sender decide the message's place in the queue, and
+// sender rules are checked against it.
+function bgProcessorEnqueue(messageId, force = false, source = "manual", message = null) {
+  const wasEmpty = bgQueue.length === 0;
+  if (bgAddToQueue(messageId, force, source, message)) bgQueueGrew(wasEmpty);
+}
+
+// Add a message to the end of the queue, without sorting or saving it —
+// call bgQueueGrew() after a batch. Returns whether it was added.
+function bgAddToQueue(messageId, force, source, message) {
   // Avoid duplicates
-  if (!force && bgQueue.some(item => item.messageId === messageId)) return;
-  bgQueue.push({ messageId, force });
-  console.log(BG_LOG_PREFIX, `Enqueued message ${messageId}${force ? " (force)" : ""} — queue length: ${bgQueue.length}`);
+  if (!force && bgQueue.some(item => item.messageId === messageId)) return false;
+  // Messages that kept failing are only tried again when queued by hand
+  if (bgDeadLetters.some(item => item.messageId === messageId)) {
+    if (source !== "manual") return false;
+    bgRemoveDeadLetters([messageId]);
+  }
+  const rule = message ? bgProcessorSenderRule(message) : null;
+  if (bgRuleSkips(rule, source)) {
+    console.log(BG_LOG_PREFIX, `Not queuing message ${messageId} — ${rule.action === "block" ? "blocked" : "skipped"} by sender rule (${describeSenderRule(rule)})`);
+    return false;
+  }
+  const date = message?.date ? new Date(message.date).getTime() : NaN;
+  bgQueue.push({
+    messageId, force, enqueuedAt: Date.now(), source,
+    date: Number.isFinite(date) ? date : null,
+    author: message?.author || "",
+  });
+  console.log(BG_LOG_PREFIX, `Enqueued message ${messageId} (${source}${force ? ", force" : ""}) — queue length: ${bgQueue.length}`);
+  return true;
+}
+
+// Put newly added items in order, save the queue and get to work on it.
+function bgQueueGrew(wasEmpty) {
+  bgSortQueue();
+  bgSaveQueue();
+  if (wasEmpty && !bgProcessing) bgWarmUp().catch(() => {});
   scheduleNext();
 }
 
+// Whether mail in the folder is analyzed in the background.
+function bgProcessorFolderInScope(folder) {
+  return folderInScope(folder, bgFolderScope);
+}
+
+// The sender rule that decides for a message, or null. Pass the full
+// message to check List-Id rules too.
+function bgProcessorSenderRule(message, full = null) {
+  return matchSenderRule(bgSenderRules, senderRuleFields(message, full));
+}
+
+// Blocked messages are never analyzed; skipped ones only when queued by hand.
+function bgRuleSkips(rule, source) {
+  return rule?.action === "block" || (rule?.action === "skip" && source !== "manual");
+}
+
+// Move a message the user opened while it was still queued to the front,
+// so its analysis is ready soon. Returns whether it was queued.
+function bgProcessorPromote(messageId) {
+  const items = bgQueue.filter(item => item.messageId === messageId);
+  if (items.length === 0) return false;
+  const openedAt = Date.now();
+  for (const item of items) item.openedAt = openedAt;
+  bgSortQueue();
+  bgSaveQueue();
+  console.log(BG_LOG_PREFIX, `Message ${messageId} opened while queued — moved to the front`);
+  return true;
+}
+
+// The messages that kept failing, most recent first.
+function bgProcessorGetDeadLetters() {
+  return bgDeadLetters.map(item => ({ ...item })).reverse();
+}
+
+// Queue failed messages (all, or the given ids) again as if queued by
+// hand. Returns how many were queued.
+function bgProcessorRetryDeadLetters(messageIds = null) {
+  const items = bgDeadLetters.filter(item => !messageIds || messageIds.includes(item.messageId));
+  bgRemoveDeadLetters(items.map(item => item.messageId));
+  for (const item of items) {
+    bgProcessorEnqueue(item.messageId, item.force, "manual", { date: item.date, author: item.author });
+  }
+  return items.length;
+}
+
+function bgProcessorClearDeadLetters() {
+  const count = bgDeadLetters.length;
+  bgRemoveDeadLetters(bgDeadLetters.map(item => item.messageId));
+  return count;
+}
+
+function bgSortQueue() {
+  bgQueue.sort((a, b) => compareQueueItems(a, b, bgVipSenders));
+}
+
+// --- Queue persistence ---
+
+// Save the queue, including the item being processed so it is picked up
+// again if Thunderbird quits before it is done.
+function bgSaveQueue() {
+  const items = bgCurrentItem ? [bgCurrentItem, ...bgQueue] : [...bgQueue];
+  browser.storage.local.set({ [BG_QUEUE_KEY]: items })
+    .catch(e => console.warn(BG_LOG_PREFIX, "Could not save the queue:", e.message));
+}
+
+function bgSaveDeadLetters() {
+  browser.storage.local.set({ [BG_DEAD_LETTER_KEY]: [...bgDeadLetters] })
+    .catch(e => console.warn(BG_LOG_PREFIX, "Could not save the failed messages:", e.message));
+}
+
+function bgRemoveDeadLetters(messageIds) {
+  const kept = bgDeadLetters.filter(item => !messageIds.includes(item.messageId));
+  if (kept.length === bgDeadLetters.length) return;
+  bgDeadLetters.splice(0, bgDeadLetters.length, ...kept);
+  bgSaveDeadLetters();
+}
+
+async function bgRestoreDeadLetters() {
+  const { [BG_DEAD_LETTER_KEY]: saved } = await browser.storage.local.get({ [BG_DEAD_LETTER_KEY]: [] });
+  const restored = (Array.isArray(saved) ? saved : []).filter(item => item && item.messageId !== undefined);
+  bgDeadLetters.splice(0, bgDeadLetters.length, ...restored.slice(-BG_DEAD_LETTER_MAX));
+}
+
+// Merge the saved queue into anything queued since startup.
+async function bgRestoreQueue() {
+  const { [BG_QUEUE_KEY]: saved } = await browser.storage.local.get({ [BG_QUEUE_KEY]: [] });
+  const restored = (Array.isArray(saved) ? saved : [])
+    .filter(item => item && item.messageId !== undefined)
+    .filter(item => item.force || !bgQueue.some(queued => queued.messageId === item.messageId))
+    .map(item => ({
+      messageId: item.messageId,
+      force: !!item.force,
+      enqueuedAt: item.enqueuedAt || Date.now(),
+      source: BG_SOURCES.includes(item.source) ? item.source : "manual",
+      date: Number.isFinite(item.date) ? item.date : null,
+      author: typeof item.author === "string" ? item.author : "",
+      ...(item.openedAt ? { openedAt: item.openedAt } : {}),
+      ...(item.attempts > 0 ? { attempts: item.attempts } : {}),
+    }));
+  if (restored.length === 0) return 0;
+  bgQueue.push(...restored);
+  bgSortQueue();
+  bgSaveQueue();
+  console.log(BG_LOG_PREFIX, `Restored ${restored.length} queued message(s) from the last session`);
+  return restored.length;
+}
+
 // --- Internal processing loop ---
 
+// Manual actions only hold up the queue when both kinds of traffic would
+// go to the same host.
+async function bgSharesManualHost() {
+  const settings = await browser.storage.sync.get(DEFAULTS);
+  return trafficSharesHost(buildHostList(settings));
+}
+
+// --- Retries and host health ---
+
+// Pause the queue and try again after the backoff for the kind of failure.
+// The backoff grows with failures of the same class in a row, or with
+// `attempt` when a single message is failing on its own.
+function bgPauseForRetry(errorClass, attempt = null) {
+  if (errorClass !== bgRetryClass) bgFailures = 0;
+  const delay = backoffDelay(attempt ?? bgFailures, BG_RETRY_POLICIES[errorClass]);
+  bgFailures++;
+  bgRetryClass = errorClass;
+  bgPaused = true;
+  bgRetryAt = Date.now() + delay;
+  clearTimeout(bgRetryTimer);
+  bgRetryTimer = setTimeout(bgResumeWhenHostUp, delay);
+  return delay;
+}
+
+// Tell the user once when background analysis loses its LLM host…
+function bgSetHostDown(reason) {
+  if (bgHostDown) return;
+  bgHostDown = true;
+  browser.notifications.create(BG_HOST_NOTIFICATION_ID, {
+    type: "basic",
+    title: "ThunderClerk-AI — LLM host unavailable",
+    message: `Background analysis is paused: ${reason}. It resumes by itself once the host is back.`,
+  }).catch(() => {});
+}
+
+// …and once when it is back.
+function bgSetHostUp(host = null) {
+  if (!bgHostDown) return;
+  bgHostDown = false;
+  browser.notifications.create(BG_HOST_NOTIFICATION_ID, {
+    type: "basic",
+    title: "ThunderClerk-AI — LLM host is back",
+    message: `Background analysis has resumed${host ? ` on ${host}` : ""}.`,
+  }).catch(() => {});
+}
+
+// A failed LLM call: put the message back — or on the dead-letter list if
+// it keeps failing — and pause the queue.
+async function bgHandleLLMError(item, e, target) {
+  const errorClass = llmErrorClass(e);
+  const policy = BG_RETRY_POLICIES[errorClass];
+  let attempt = null;
+  if (policy.hostDown) {
+    const reasons = {
+      model: `the model ${target.model} was not found on ${target.host}`,
+      config: e.message.replace(/\.$/, ""),
+    };
+    bgSetHostDown(reasons[errorClass] || `${target.host} can't be reached`);
+    bgQueue.unshift(item);
+  } else {
+    const attempts = (item.attempts || 0) + 1;
+    if (attempts >= policy.maxAttempts) {
+      console.warn(BG_LOG_PREFIX, `  Message ${item.messageId} failed ${attempts} time(s) — moved to the failed messages`);
+      bgDeadLetters.push({ ...item, attempts, errorClass, error: e.message, failedAt: Date.now() });
+      bgDeadLetters.splice(0, Math.max(0, bgDeadLetters.length - BG_DEAD_LETTER_MAX));
+      bgSaveDeadLetters();
+      bgErrorCount++;
+      await cacheSetError(item.messageId).catch(() => {});
+    } else {
+      bgQueue.unshift({ ...item, attempts });
+    }
+    // The next message starts a fresh backoff
+    attempt = attempts < policy.maxAttempts ? attempts - 1 : 0;
+  }
+  bgSortQueue();
+  const delay = bgPauseForRetry(errorClass, attempt);
+  console.warn(BG_LOG_PREFIX, `  Pausing queue (${errorClass}) — will retry in ${Math.round(delay / 1000)}s`);
+  bgFinishItem();
+}
+
+// After a failed call, probe the hosts and resume once one that takes
+// background traffic is reachable again. Each failed probe waits longer.
+async function bgResumeWhenHostUp() {
+  if (!bgEnabled || !bgPaused) return;
+  const settings = await browser.storage.sync.get(DEFAULTS);
+  const results = await checkLLMHosts(settings, "analyze");
+  const usable = selectHostsFor(results, "background").filter(r => r.ok);
+  if (usable.length === 0) {
+    const summary = results.map(r => `${r.host}: ${r.error}`).join(", ");
+    bgSetHostDown(summary || "no LLM host is set up for background analysis");
+    const delay = bgPauseForRetry(BG_RETRY_POLICIES[bgRetryClass]?.hostDown ? bgRetryClass : "unreachable");
+    console.warn(BG_LOG_PREFIX, `No LLM host available (${summary}) — retrying in ${Math.round(delay / 1000)}s`);
+    return;
+  }
+  console.log(BG_LOG_PREFIX, `LLM host ${usable[0].host} is reachable — resuming queue`);
+  bgSetHostUp(usable[0].host);
+  bgPaused = false;
+  bgRetryAt = null;
+  scheduleNext();
+}
+
+// Start loading the model while the first queued item is prepared.
+// Repeated calls are throttled in warmUpLLM.
+async function bgWarmUp() {
+  const settings = await browser.storage.sync.get(DEFAULTS);
+  if (!settings.warmUpOnQueue || !bgEnabled || bgPaused) return;
+  const { numCtx } = actionLLMSettings(settings, "analyze");
+  await warmUpLLM(settings, "analyze", "background", { num_ctx: Math.max(numCtx, BG_MIN_NUM_CTX) });
+}
+
+// The current item is done (or back in the queue).
+function bgFinishItem() {
+  bgProcessing = false;
+  bgCurrentItem = null;
+  bgSaveQueue();
+}
+
 function scheduleNext() {
   if (bgProcessing || bgPaused || !bgEnabled || bgQueue.length === 0) return;
   setTimeout(() => processNextInQueue(), BG_PROCESSOR_DELAY_MS);
@@ -82,7 +391,7 @@ function scheduleNext() {
 
 async function processNextInQueue() {
   if (bgProcessing || bgPaused || !bgEnabled || bgQueue.length === 0) return;
-  if (manualActionInFlight) {
+  if (manualActionInFlight && await bgSharesManualHost()) {
     console.log(BG_LOG_PREFIX, "Waiting for manual action to finish…");
     setTimeout(() => processNextInQueue(), 1000);
     return;
@@ -90,21 +399,21 @@ async function processNextInQueue() {
 
   bgProcessing = true;
   const item = bgQueue.shift();
+  bgCurrentItem = item;
   const startTime = Date.now();
 
   try {
     // Check cache first (skip if already done, unless force)
     if (!item.force && await cacheHas(item.messageId)) {
       console.log(BG_LOG_PREFIX, `Skipping message ${item.messageId} — already cached (${bgQueue.length} remaining)`);
-      bgProcessing = false;
+      bgFinishItem();
       scheduleNext();
       return;
     }
 
     // Load settings
     const settings = await browser.storage.sync.get(DEFAULTS);
-    const host  = settings.ollamaHost  || "http://127.0.0.1:11434";
-    const model = settings.ollamaModel || DEFAULTS.ollamaModel;
+    const target   = resolveLLMTarget(settings, "analyze", "background");
 
     // Get message data
     let message;
@@ -112,7 +421,7 @@ async function processNextInQueue() {
       message = await browser.messages.get(item.messageId);
     } catch {
       console.warn(BG_LOG_PREFIX, `Message ${item.messageId} no longer exists — skipping (${bgQueue.length} remaining)`);
-      bgProcessing = false;
+      bgFinishItem();
       scheduleNext();
       return;
     }
@@ -122,12 +431,23 @@ async function processNextInQueue() {
 
     // Get email body
     let emailBody = "";
+    let full;
     try {
-      const full = await browser.messages.getFull(item.messageId);
+      full = await browser.messages.getFull(item.messageId);
       emailBody = extractTextBody(full);
     } catch (e) {
       console.warn(BG_LOG_PREFIX, `Could not read body for message ${item.messageId}: ${e.message} — skipping`);
-      bgProcessing = false;
+      bgFinishItem();
+      scheduleNext();
+      return;
+    }
+
+    // Check the sender rules again: List-Id rules need the full message,
+    // and the rules may have changed since the message was queued
+    const rule = bgProcessorSenderRule(message, full);
+    if (bgRuleSkips(rule, item.source)) {
+      console.log(BG_LOG_PREFIX, `Message ${item.messageId} ${rule.action === "block" ? "blocked" : "skipped"} by sender rule (${describeSenderRule(rule)}) — not sent to the LLM (${bgQueue.length} remaining)`);
+      bgFinishItem();
       scheduleNext();
       return;
     }
@@ -136,19 +456,14 @@ async function processNextInQueue() {
     if (!emailBody || emailBody.length < BG_MIN_EMAIL_LENGTH) {
       console.log(BG_LOG_PREFIX, `Message ${item.messageId} body too short (${emailBody?.length || 0} chars) — caching as empty`);
       await cacheSet(item.messageId, { summary: "(email too short to analyze)", events: [], tasks: [], contacts: [], tags: [], reply: "", forwardSummary: "" });
-      bgProcessing = false;
+      bgFinishItem();
       scheduleNext();
       return;
     }
 
-    // Truncate if needed
-    let analysisBody = emailBody;
-    const wasTruncated = analysisBody.length > BG_MAX_BODY_LENGTH;
-    if (wasTruncated) {
-      analysisBody = analysisBody.slice(0, BG_MAX_BODY_LENGTH) +
-        "\n\n[… email truncated — there may be additional items beyond this point]";
-    }
-    console.log(BG_LOG_PREFIX, `  Body: ${emailBody.length} chars${wasTruncated ? ` (truncated to ${BG_MAX_BODY_LENGTH})` : ""}`);
+    // Long emails are analyzed in parts rather than truncated
+    const chunks = splitIntoChunks(emailBody, ANALYSIS_CHUNK_CHARS);
+    console.log(BG_LOG_PREFIX, `  Body: ${emailBody.length} chars${chunks.length > 1 ? ` — analyzing in ${chunks.length} parts` : ""}`);
 
     const author       = message.author || "";
     const mailDatetime = formatDatetime(message.date);
@@ -168,76 +483,49 @@ async function processNextInQueue() {
       existingTags = tags.map(t => t.tag);
     } catch {}
 
-    const prompt = buildCombinedExtractionPrompt(
-      analysisBody, subject, author, mailDatetime, currentDt,
-      attendeeHints, categories, existingTags
-    );
-    console.log(BG_LOG_PREFIX, `  Prompt: ${prompt.length} chars — calling ${model}…`);
+    const languages = promptLanguages(settings, browser.i18n.getUILanguage());
 
-    // Call Ollama
+    // Call the LLM
+    const { numCtx, numPredict } = actionLLMSettings(settings, "analyze");
     const ollamaOpts = {
-      num_ctx: Math.max(settings.numCtx || 0, 16384),
-      num_predict: Math.max(settings.numPredict || 0, 16384),
+      num_ctx: Math.max(numCtx, BG_MIN_NUM_CTX),
+      num_predict: Math.max(numPredict, BG_MIN_NUM_PREDICT),
+      thinking: settings.thinking,
     };
 
     const ollamaStartTime = Date.now();
-    let rawResponse;
+    let result = null;
     try {
-      rawResponse = await callOllama(host, model, prompt, ollamaOpts);
+      if (chunks.length > 1) {
+        const context = {
+          subject, author, mailDatetime, currentDt, attendeeHints, categories, existingTags, languages,
+          jsonRetries: settings.jsonRetries,
+        };
+        console.log(BG_LOG_PREFIX, `  Calling ${target.model} for ${chunks.length} parts and a final summary…`);
+        result = await runChunkedAnalysis(target, chunks, context, ollamaOpts);
+      } else {
+        const messages = buildCombinedExtractionPrompt(
+          emailBody, subject, author, mailDatetime, currentDt,
+          attendeeHints, categories, existingTags, languages
+        );
+        const schema = buildCombinedExtractionSchema(categories);
+        console.log(BG_LOG_PREFIX, `  Prompt: ${messagesToText(messages).length} chars — calling ${target.model}…`);
+        result = await requestAnalysisJSON(target, messages, ollamaOpts, schema, settings.jsonRetries);
+      }
     } catch (e) {
       const elapsed = ((Date.now() - ollamaStartTime) / 1000).toFixed(1);
-      console.warn(BG_LOG_PREFIX, `  Ollama error after ${elapsed}s: ${e.message}`);
-      console.warn(BG_LOG_PREFIX, `  Pausing queue — will retry in ${BG_RETRY_DELAY_MS / 1000}s`);
-      bgErrorCount++;
-      bgPaused = true;
-      bgProcessing = false;
-      bgQueue.unshift(item);
-      setTimeout(() => {
-        console.log(BG_LOG_PREFIX, "Retry delay elapsed — resuming queue");
-        bgPaused = false;
-        scheduleNext();
-      }, BG_RETRY_DELAY_MS);
+      console.warn(BG_LOG_PREFIX, `  LLM error after ${elapsed}s: ${e.message}`);
+      await bgHandleLLMError(item, e, target);
       return;
     }
 
     const ollamaElapsed = ((Date.now() - ollamaStartTime) / 1000).toFixed(1);
-    console.log(BG_LOG_PREFIX, `  Ollama responded in ${ollamaElapsed}s — ${rawResponse.length} chars`);
-
-    // Parse response
-    let result = null;
-    try {
-      const jsonStr = extractJSON(rawResponse);
-      result = JSON.parse(jsonStr);
-    } catch (parseErr) {
-      console.warn(BG_LOG_PREFIX, `  JSON parse failed: ${parseErr.message} — attempting repair`);
-      result = typeof repairAnalysisJSON === "function"
-        ? repairAnalysisJSON(rawResponse)
-        : null;
-      if (result) {
-        console.log(BG_LOG_PREFIX, "  Repair succeeded — got:", Object.keys(result).join(", "));
-      }
-    }
+    console.log(BG_LOG_PREFIX, `  ${getLLMProvider(target.provider).label} responded in ${ollamaElapsed}s`);
+    bgFailures = 0;
+    bgRetryClass = null;
+    bgSetHostUp();
 
     if (result) {
-      // Normalize priority field
-      const VALID_PRIORITIES = ["urgent", "action-needed", "informational", "low"];
-      if (!result.priority || !VALID_PRIORITIES.includes(result.priority)) {
-        result.priority = "informational";
-      }
-
-      // Normalize item previews
-      for (const key of ["events", "tasks", "contacts"]) {
-        if (Array.isArray(result[key])) {
-          result[key] = result[key].map(item => {
-            if (typeof item === "string") return { preview: item };
-            if (!item.preview) {
-              item.preview = item.title || item.name || item.description
-                || item.summary || item.label || "";
-            }
-            return item;
-          });
-        }
-      }
       await cacheSet(item.messageId, result);
       bgProcessedCount++;
 
@@ -252,8 +540,7 @@ async function processNextInQueue() {
       console.log(BG_LOG_PREFIX, `  Cached successfully in ${totalElapsed}s — found: ${found.join(", ") || "nothing notable"}`);
       console.log(BG_LOG_PREFIX, `  Session totals: ${bgProcessedCount} processed, ${bgErrorCount} errors, ${bgQueue.length} remaining`);
     } else {
-      console.warn(BG_LOG_PREFIX, `  Invalid JSON for message ${item.messageId} — marking as error`);
-      console.warn(BG_LOG_PREFIX, `  Response preview: ${rawResponse?.substring(0, 200)}…`);
+      console.warn(BG_LOG_PREFIX, `  Invalid response for message ${item.messageId} — marking as error`);
       await cacheSetError(item.messageId);
       bgErrorCount++;
     }
@@ -263,10 +550,87 @@ async function processNextInQueue() {
     await cacheSetError(item.messageId).catch(() => {});
   }
 
-  bgProcessing = false;
+  bgFinishItem();
   scheduleNext();
 }
 
+// --- Response parsing ---
+
+// Parse a JSON analysis response, salvaging truncated output with
+// repairAnalysisJSON (background.js), normalize it as a result of the
+// given kind (validator.js) and check it against the schema.
+// Throws if nothing usable came back — pass it to requestLLMJSON() as the
+// parse step so the model gets a chance to correct its output.
+function parseAnalysisOutput(rawResponse, schema, kind = "analysis") {
+  let result = null;
+  try {
+    const jsonStr = extractJSON(rawResponse);
+    result = JSON.parse(jsonStr);
+  } catch (parseErr) {
+    result = typeof repairAnalysisJSON === "function"
+      ? repairAnalysisJSON(rawResponse)
+      : null;
+    if (!result) throw parseErr;
+    console.log("[ThunderClerk-AI] Repaired truncated analysis JSON — got", Object.keys(result).join(", "));
+  }
+  return assertMatchesSchema(normalizeResult(kind, result), schema);
+}
+
+// Call the model for an analysis step, retrying invalid output. Returns
+// null if the output is still unusable after the retries; LLM errors are
+// thrown.
+async function requestAnalysisJSON(target, messages, llmOptions, schema, retries, kind = "analysis") {
+  try {
+    return await requestLLMJSON(target, "analyze", messages,
+      (text) => parseAnalysisOutput(text, schema, kind), { ...llmOptions, format: schema }, retries);
+  } catch (e) {
+    if (!e.invalidOutput) throw e;
+    console.warn(`[ThunderClerk-AI] No usable response: ${e.message}`);
+    return null;
+  }
+}
+
+// --- Chunked analysis of long emails ---
+
+// Analyze an email split with splitIntoChunks(): extract each part (map),
+// merge the items, then summarize the whole email from the part summaries
+// (reduce). Returns a result shaped like the combined extraction, or null
+// if no part produced a usable response. LLM errors are thrown as-is.
+//
+// context: { subject, author, mailDatetime, currentDt, attendeeHints,
+//            categories, existingTags, languages, jsonRetries }
+// onProgress(status, merged) is called before each step with the items
+// merged so far. Shared by the background queue and Auto Analyze.
+async function runChunkedAnalysis(target, chunks, context, llmOptions, onProgress = null) {
+  const { subject, author, mailDatetime, currentDt, attendeeHints, categories, existingTags, languages, jsonRetries = 0 } = context;
+  const chunkSchema = buildChunkExtractionSchema(categories);
+  const parts = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    if (onProgress) onProgress(`Reading part ${i + 1} of ${chunks.length}`, mergeChunkResults(parts));
+    const messages = buildChunkExtractionPrompt(
+      chunks[i], i, chunks.length, subject, author, mailDatetime, currentDt, attendeeHints, categories, languages
+    );
+    const part = await requestAnalysisJSON(target, messages, llmOptions, chunkSchema, jsonRetries, "analysisPart");
+    if (part) {
+      parts.push(part);
+    } else {
+      console.warn(`[ThunderClerk-AI] Part ${i + 1} of ${chunks.length}: no usable response — skipped`);
+    }
+  }
+  if (parts.length === 0) return null;
+
+  const merged = mergeChunkResults(parts);
+  if (onProgress) onProgress("Summarizing", merged);
+  const reduceSchema = buildAnalysisReduceSchema();
+  const reduceMessages = buildAnalysisReducePrompt(merged, subject, author, mailDatetime, currentDt, existingTags, languages);
+
+  // Without a usable final pass, the part summaries still describe the email
+  const overall = await requestAnalysisJSON(target, reduceMessages, llmOptions, reduceSchema, jsonRetries)
+    || { summary: merged.partSummaries.join(" ") || subject, priority: "informational" };
+  return { ...overall, events: merged.events, tasks: merged.tasks, contacts: merged.contacts };
+}
+
 // --- New mail listener ---
 
 function initBgNewMailListener() {
@@ -278,17 +642,17 @@ function initBgNewMailListener() {
   browser.messages.onNewMailReceived.addListener((folder, messageList) => {
     if (!bgEnabled) return;
     const count = messageList.messages?.length || 0;
-    // Only process inbox messages
-    const isInbox = Array.isArray(folder.specialUse)
-      ? folder.specialUse.includes("inbox")
-      : folder.type === "inbox";
-    if (!isInbox) {
-      console.log(BG_LOG_PREFIX, `New mail in ${folder.name} (${folder.specialUse || folder.type}) — skipping (not inbox)`);
+    // Outside the folders to analyze, only mail with an "analyze" rule is queued
+    const inScope = bgProcessorFolderInScope(folder);
+    const msgs = (messageList.messages || [])
+      .filter(msg => inScope || bgProcessorSenderRule(msg)?.action === "analyze");
+    if (msgs.length === 0 && !inScope) {
+      console.log(BG_LOG_PREFIX, `New mail in ${folder.name} — skipping (not in the folders to analyze)`);
       return;
     }
-    console.log(BG_LOG_PREFIX, `New mail in inbox (${folder.name}): ${count} message(s)`);
-    for (const msg of (messageList.messages || [])) {
-      bgProcessorEnqueue(msg.id);
+    console.log(BG_LOG_PREFIX, `New mail in ${folder.name}: ${count} message(s)${inScope ? "" : `, ${msgs.length} with an "analyze" sender rule`}`);
+    for (const msg of msgs) {
+      bgProcessorEnqueue(msg.id, false, "new-mail", msg);
     }
   });
   console.log(BG_LOG_PREFIX, "New mail listener registered");
@@ -310,6 +674,7 @@ function initBgDeletedMailListener() {
     for (const msg of (messageList.messages || [])) {
       cacheDelete(msg.id).catch(() => {});
     }
+    bgRemoveDeadLetters((messageList.messages || []).map(msg => msg.id));
   });
   console.log(BG_LOG_PREFIX, "Deleted mail listener registered");
 }
@@ -325,28 +690,32 @@ async function bgBackfill() {
   const fromDate = new Date();
   fromDate.setDate(fromDate.getDate() - backfillDays);
 
-  // Find all inbox folders across all accounts
-  let inboxFolders = [];
+  // Find the folders to analyze across all accounts
+  let scopeFolders = [];
   try {
-    inboxFolders = await browser.folders.query({ specialUse: ["inbox"] });
+    const folders = await browser.folders.query({});
+    scopeFolders = folders.filter(f => f.path !== "/" && bgProcessorFolderInScope(f));
   } catch (e) {
-    console.warn(BG_LOG_PREFIX, "Could not query inbox folders:", e.message);
+    console.warn(BG_LOG_PREFIX, "Could not query folders:", e.message);
     return;
   }
 
-  if (inboxFolders.length === 0) {
-    console.log(BG_LOG_PREFIX, "No inbox folders found — skipping backfill");
+  if (scopeFolders.length === 0) {
+    console.log(BG_LOG_PREFIX, "No folders to analyze — skipping backfill");
     return;
   }
 
-  const folderNames = inboxFolders.map(f => `${f.accountId}/${f.name}`).join(", ");
-  console.log(BG_LOG_PREFIX, `Starting backfill — last ${backfillDays} day(s) (since ${fromDate.toLocaleDateString()}) across ${inboxFolders.length} inbox(es): ${folderNames}`);
+  const folderNames = scopeFolders.map(f => `${f.accountId}/${f.name}`).join(", ");
+  console.log(BG_LOG_PREFIX, `Starting backfill — last ${backfillDays} day(s) (since ${fromDate.toLocaleDateString()}) across ${scopeFolders.length} folder(s): ${folderNames}`);
 
   let totalMessages = 0;
   let enqueued = 0;
   let alreadyCached = 0;
 
-  for (const folder of inboxFolders) {
+  for (const folder of scopeFolders) {
+    // Queued together once the folder is read, so the queue is sorted and
+    // saved once per folder rather than once per message
+    const uncached = [];
     try {
       let page = await browser.messages.query({ folderId: folder.id, fromDate });
       while (page) {
@@ -354,8 +723,7 @@ async function bgBackfill() {
         totalMessages += msgs.length;
         for (const msg of msgs) {
           if (!await cacheHas(msg.id)) {
-            bgProcessorEnqueue(msg.id);
-            enqueued++;
+            uncached.push(msg);
           } else {
             alreadyCached++;
           }
@@ -373,9 +741,13 @@ async function bgBackfill() {
     } catch (e) {
       console.warn(BG_LOG_PREFIX, `Backfill query failed for ${folder.accountId}/${folder.name}:`, e.message);
     }
+    const wasEmpty = bgQueue.length === 0;
+    const added = uncached.filter(msg => bgAddToQueue(msg.id, false, "backfill", msg)).length;
+    if (added > 0) bgQueueGrew(wasEmpty);
+    enqueued += added;
   }
 
-  console.log(BG_LOG_PREFIX, `Backfill complete — ${totalMessages} inbox messages found, ${enqueued} enqueued, ${alreadyCached} already cached`);
+  console.log(BG_LOG_PREFIX, `Backfill complete — ${totalMessages} messages found, ${enqueued} enqueued, ${alreadyCached} already cached`);
 }
 
 // --- Periodic cache cleanup ---
@@ -415,17 +787,31 @@ function initBgCleanup() {
 async function initBgProcessor() {
   const settings = await browser.storage.sync.get({
     autoAnalyzeEnabled: DEFAULTS.autoAnalyzeEnabled || false,
+    vipSenders: DEFAULTS.vipSenders,
+    bgFolderScope: DEFAULTS.bgFolderScope,
+    senderRules: DEFAULTS.senderRules,
   });
 
   bgEnabled = !!settings.autoAnalyzeEnabled;
+  bgVipSenders = parseVipSenders(settings.vipSenders);
+  bgFolderScope = settings.bgFolderScope || {};
+  bgSenderRules = normalizeSenderRules(settings.senderRules);
 
   console.log(BG_LOG_PREFIX, `Initializing — autoAnalyzeEnabled: ${settings.autoAnalyzeEnabled}, active: ${bgEnabled}`);
 
+  try {
+    await bgRestoreDeadLetters();
+    await bgRestoreQueue();
+  } catch (e) {
+    console.warn(BG_LOG_PREFIX, "Could not restore the queue:", e.message);
+  }
+
   initBgNewMailListener();
   initBgDeletedMailListener();
   initBgCleanup();
 
   if (bgEnabled) {
+    scheduleNext();
     bgBackfill();
   } else {
     console.log(BG_LOG_PREFIX, "Auto Analyze is disabled — skipping backfill");
@@ -441,23 +827,51 @@ async function initBgProcessor() {
 
       if (bgEnabled && !wasEnabled) {
         console.log(BG_LOG_PREFIX, "Auto Analyze enabled — starting backfill");
+        // A retry that came due while disabled did nothing; check the host now
+        if (bgPaused) {
+          clearTimeout(bgRetryTimer);
+          bgResumeWhenHostUp();
+        }
+        scheduleNext();
         bgBackfill();
       } else if (!bgEnabled && wasEnabled) {
         console.log(BG_LOG_PREFIX, "Auto Analyze disabled — queue will drain without processing");
       }
     }
 
+    if (changes.vipSenders) {
+      bgVipSenders = parseVipSenders(changes.vipSenders.newValue);
+      bgSortQueue();
+      bgSaveQueue();
+    }
+
+    // Queued mail is checked against the new rules when its turn comes
+    if (changes.senderRules) {
+      bgSenderRules = normalizeSenderRules(changes.senderRules.newValue);
+      console.log(BG_LOG_PREFIX, `Sender rules changed — ${bgSenderRules.length} rule(s)`);
+    }
+
+    // Newly included folders are backfilled; mail already queued stays
+    if (changes.bgFolderScope) {
+      bgFolderScope = changes.bgFolderScope.newValue || {};
+      console.log(BG_LOG_PREFIX, "Folders to analyze changed");
+      if (bgEnabled) bgBackfill();
+    }
+
     // Cache duration changed — clean up expired entries and re-backfill
     if (changes.bgCacheMaxDays && bgEnabled) {
       const oldDays = changes.bgCacheMaxDays.oldValue;
       const newDays = changes.bgCacheMaxDays.newValue;
       console.log(BG_LOG_PREFIX, `Cache duration changed: ${oldDays} → ${newDays} day(s)`);
 
-      // Clear the queue — it was built for the old duration
-      const oldQueueLen = bgQueue.length;
-      bgQueue.length = 0;
-      if (oldQueueLen > 0) {
-        console.log(BG_LOG_PREFIX, `  Cleared ${oldQueueLen} queued items`);
+      // Drop the backfilled items — they were found for the old duration.
+      // New mail and messages queued by hand stay queued.
+      const kept = bgQueue.filter(item => item.source !== "backfill");
+      const dropped = bgQueue.length - kept.length;
+      bgQueue.splice(0, bgQueue.length, ...kept);
+      bgSaveQueue();
+      if (dropped > 0) {
+        console.log(BG_LOG_PREFIX, `  Cleared ${dropped} backfilled queue items`);
       }
 
       // Clean up expired entries with the new duration, then re-backfill
@@ -0,0 +1,858 @@
+"use strict";
+
+// LLM backend providers. Each provider knows how to send chat messages to
+// one kind of server and how to list the models it offers. Handlers and the
+// background processor never talk to a backend directly — they resolve a
+// target with resolveLLMTarget() and send the messages through callLLM().
+//
+// Depends on: utils.js (isValidHostUrl, splitReasoning) — loaded before this script.
+//
+// Provider interface:
+//   label                          human-readable name for settings/logs
+//   defaultHost                    suggested base URL
+//   chat(host, model, messages, options) → Promise<string>  model output text
+//   listModels(host, timeoutMs)    → Promise<[{ name, size }]>
+//   warmUp(host, model, options)   → Promise  load the model (optional)
+//   listLoadedModels(host, timeoutMs)
+//                                  → Promise<[{ name, size, sizeVram, expiresAt }]>
+//                                    models currently in memory (optional)
+//
+// messages is [{ role: "system" | "user" | "assistant", content }], as
+// returned by the prompt builders in utils.js.
+//
+// Streaming: pass options.onToken(textSoFar, { tokens, done }) to receive
+// partial output as it is generated. Providers that cannot stream ignore it
+// and simply resolve with the full text.
+//
+// Cancelling: pass options.signal (an AbortSignal). Aborting it rejects
+// with an error for which isCancelledError() is true.
+//
+// Authentication: hosts behind a reverse proxy can require a bearer token
+// or basic auth. Credentials are kept per host in storage.local (never
+// synced) and attached to every request to that host — see
+// loadHostCredentials().
+//
+// Keep-alive: options.keep_alive (see parseKeepAlive) tells Ollama how long
+// to keep the model loaded after the request. Other providers ignore it.
+//
+// Reasoning: chat() returns the answer only. Thinking — Ollama's separate
+// thinking field, reasoning_content from OpenAI-compatible servers, or
+// inline <think> tags — is passed to options.onReasoning(text) when there
+// is any, and to onToken as info.reasoning while streaming.
+// options.thinking ("auto" or "off", the reasoning setting) decides
+// Ollama's think parameter for models that support thinking.
+//
+// Usage: providers pass the token counts the server reported to
+// options.onUsage({ promptTokens, outputTokens }). callLLM() calls it once
+// per successful request, adding the provider, host and model that served it.
+
+const LLM_REQUEST_TIMEOUT_MS      = 60_000;
+const LLM_LONG_REQUEST_TIMEOUT_MS = 180_000;
+const LLM_LONG_PROMPT_CHARS       = 5000;
+const STREAM_IDLE_TIMEOUT_MS      = 60_000;   // streamed output may pause this long
+
+// Strip a trailing slash so paths can be appended safely.
+function trimHost(host) {
+  return String(host || "").replace(/\/+$/, "");
+}
+
+// OpenAI-compatible servers are usually configured with or without the
+// "/v1" suffix — accept both.
+function openaiBaseUrl(host) {
+  return trimHost(host).replace(/\/v1$/i, "") + "/v1";
+}
+
+// --- Request/response shaping (pure, unit-tested) ---
+
+function buildOllamaChatBody(model, messages, options = {}) {
+  const body = { model, messages, stream: typeof options.onToken === "function" };
+  const ollamaOpts = {};
+  if (options.num_predict) ollamaOpts.num_predict = options.num_predict;
+  if (options.num_ctx) ollamaOpts.num_ctx = options.num_ctx;
+  if (options.temperature !== undefined) ollamaOpts.temperature = options.temperature;
+  if (Object.keys(ollamaOpts).length > 0) body.options = ollamaOpts;
+  if (options.format) body.format = options.format;
+  if (options.keep_alive !== undefined && options.keep_alive !== null) body.keep_alive = options.keep_alive;
+  if (options.think !== undefined) body.think = options.think;
+  return body;
+}
+
+// Ollama's think parameter for a reasoning setting: models that can think
+// are asked to return their thinking in a separate field ("auto") or to
+// skip it ("off"). Other models reject the parameter, so nothing is sent.
+function thinkOption(mode, capabilities) {
+  if (!mode || !capabilities.includes("thinking")) return undefined;
+  return mode !== "off";
+}
+
+// Capabilities from Ollama's /api/show, e.g. ["completion", "thinking"].
+// Older servers don't report them.
+function parseModelCapabilities(data) {
+  return data && Array.isArray(data.capabilities)
+    ? data.capabilities.filter(c => typeof c === "string")
+    : [];
+}
+
+// Normalize a keep-alive setting for Ollama: "" means the server default
+// (null), whole numbers are seconds (-1 keeps the model loaded forever, 0
+// unloads it right away) and durations like "10m" or "1h" pass through.
+// Anything else is invalid and returns undefined.
+function parseKeepAlive(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  if (/^-?\d+$/.test(text)) return Number(text);
+  if (/^\d+(\.\d+)?(ms|s|m|h)$/.test(text)) return text;
+  return undefined;
+}
+
+// Map Ollama-style options onto the OpenAI chat completions request.
+// A JSON Schema format becomes a json_schema response_format, which
+// llama.cpp, LM Studio and vLLM all enforce. num_ctx has no equivalent —
+// context size is fixed when the server loads the model — so it is dropped.
+function buildOpenAIChatBody(model, messages, options = {}) {
+  const body = { model, messages, stream: false };
+  if (options.num_predict) body.max_tokens = options.num_predict;
+  if (options.temperature !== undefined) body.temperature = options.temperature;
+  if (options.format === "json") {
+    body.response_format = { type: "json_object" };
+  } else if (options.format && typeof options.format === "object") {
+    body.response_format = {
+      type: "json_schema",
+      json_schema: { name: "response", schema: options.format },
+    };
+  }
+  return body;
+}
+
+function parseOpenAIChatResponse(data) {
+  const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+  if (!choice) throw new Error("No choices in OpenAI-compatible response");
+  const content = choice.message ? choice.message.content : choice.text;
+  return content || "";
+}
+
+// Servers that separate the thinking of reasoning models return it as
+// reasoning_content (llama.cpp, vLLM) or reasoning (LM Studio).
+function parseOpenAIReasoning(data) {
+  const message = data && Array.isArray(data.choices) && data.choices[0] ? data.choices[0].message : null;
+  if (!message) return "";
+  return message.reasoning_content || message.reasoning || "";
+}
+
+// Token counts from a final Ollama response or an OpenAI-compatible
+// response's usage block; null where the server didn't report them.
+function parseUsage(providerId, data) {
+  if (providerId === "openai") {
+    const usage = (data && data.usage) || {};
+    return {
+      promptTokens: Number.isInteger(usage.prompt_tokens) ? usage.prompt_tokens : null,
+      outputTokens: Number.isInteger(usage.completion_tokens) ? usage.completion_tokens : null,
+    };
+  }
+  return {
+    promptTokens: data && Number.isInteger(data.prompt_eval_count) ? data.prompt_eval_count : null,
+    outputTokens: data && Number.isInteger(data.eval_count) ? data.eval_count : null,
+  };
+}
+
+function reportUsage(options, providerId, data) {
+  if (typeof options.onUsage === "function") options.onUsage(parseUsage(providerId, data));
+}
+
+// Split the reasoning off a response, hand it to options.onReasoning and
+// return the answer. separate is reasoning the server already split off.
+function takeReasoning(text, separate, options) {
+  const { reasoning, content } = splitReasoning(text);
+  const all = [separate, reasoning].filter(Boolean).join("\n\n");
+  if (all && typeof options.onReasoning === "function") options.onReasoning(all);
+  return content;
+}
+
+// Split a buffer of newline-delimited JSON into complete objects plus the
+// unterminated remainder, which should be prepended to the next chunk.
+function splitNDJSON(buffer) {
+  const lines = buffer.split("\n");
+  const rest = lines.pop();
+  const objects = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    objects.push(JSON.parse(line));
+  }
+  return { objects, rest };
+}
+
+// Normalize a model list response into [{ name, size }], sorted by name.
+function parseModelList(providerId, data) {
+  let models = [];
+  if (providerId === "openai") {
+    models = (data && Array.isArray(data.data) ? data.data : [])
+      .map(m => ({ name: m.id, size: 0 }));
+  } else {
+    models = (data && Array.isArray(data.models) ? data.models : [])
+      .map(m => ({ name: m.name, size: m.size || 0 }));
+  }
+  return models
+    .filter(m => m.name)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Normalize Ollama's /api/ps response into
+// [{ name, size, sizeVram, expiresAt }], sorted by name.
+function parseLoadedModels(data) {
+  return (data && Array.isArray(data.models) ? data.models : [])
+    .filter(m => m.name)
+    .map(m => ({
+      name:      m.name,
+      size:      m.size || 0,
+      sizeVram:  m.size_vram || 0,
+      expiresAt: m.expires_at || null,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// --- Authentication ---
+
+const AUTH_TYPES = ["none", "bearer", "basic"];
+
+// UTF-8 safe base64, so non-ASCII user names and passwords work.
+function base64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+// Authorization header for one host's credentials
+// ({ type, token, username, password }); {} when there are none.
+function buildAuthHeaders(auth) {
+  if (!auth) return {};
+  if (auth.type === "bearer" && auth.token) {
+    return { Authorization: `Bearer ${auth.token}` };
+  }
+  if (auth.type === "basic" && (auth.username || auth.password)) {
+    return { Authorization: `Basic ${base64(`${auth.username || ""}:${auth.password || ""}`)}` };
+  }
+  return {};
+}
+
+const hostCredentials = new Map();   // trimmed host URL → { type, token, username, password }
+
+// Replace the known credentials with a { hostUrl: auth } map, as stored
+// under hostAuth in storage.local.
+function setHostCredentials(map) {
+  hostCredentials.clear();
+  for (const [host, auth] of Object.entries(map || {})) {
+    if (auth && AUTH_TYPES.includes(auth.type) && auth.type !== "none") {
+      hostCredentials.set(trimHost(host), auth);
+    }
+  }
+}
+
+async function loadHostCredentials() {
+  const { hostAuth } = await browser.storage.local.get({ hostAuth: {} });
+  setHostCredentials(hostAuth);
+}
+
+function authHeadersFor(host) {
+  return buildAuthHeaders(hostCredentials.get(trimHost(host)));
+}
+
+// --- Transport ---
+
+// Errors for non-2xx responses carry the status so callers can decide
+// whether another host might do better. Authentication failures get a
+// message that points at the host's credentials rather than the raw body.
+async function httpError(response) {
+  const text = await response.text();
+  let err;
+  if (response.status === 401 || response.status === 403) {
+    let origin = response.url;
+    try { origin = new URL(response.url).origin; } catch {}
+    err = new Error(
+      `Authentication failed (HTTP ${response.status}) at ${origin || "the LLM host"}. ` +
+      "Check the host's credentials in the extension settings."
+    );
+  } else {
+    err = new Error(`HTTP ${response.status}: ${text}`);
+  }
+  err.status = response.status;
+  return err;
+}
+
+// A request is aborted either by its timeout or by the caller's signal
+// (the user pressing Cancel). Aborting the fetch closes the connection,
+// which also makes Ollama stop generating.
+function cancelledError() {
+  const err = new Error("Request cancelled.");
+  err.cancelled = true;
+  return err;
+}
+
+function isCancelledError(e) {
+  return !!(e && e.cancelled);
+}
+
+function createRequestAbort(timeoutMs, label, signal) {
+  const controller = new AbortController();
+  let timeoutId    = setTimeout(() => controller.abort(), timeoutMs);
+  let timeoutText  = `${label} request timed out after ${Math.round(timeoutMs / 1000)} seconds.`;
+  const onCancel   = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener("abort", onCancel);
+  }
+  return {
+    signal: controller.signal,
+    // Output arrived: restart the clock, allowing idleMs until the next.
+    progress(idleMs) {
+      clearTimeout(timeoutId);
+      timeoutId   = setTimeout(() => controller.abort(), idleMs);
+      timeoutText = `${label} stopped responding (no output for ${Math.round(idleMs / 1000)} seconds).`;
+    },
+    done() {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener("abort", onCancel);
+    },
+    // Translate an AbortError into a cancellation or timeout error
+    translate(e) {
+      if (e.name !== "AbortError") return e;
+      if (signal && signal.aborted) return cancelledError();
+      const err = new Error(timeoutText);
+      err.timeout = true;
+      return err;
+    },
+  };
+}
+
+async function postJSON(url, body, timeoutMs, label, signal, headers = {}) {
+  const abort = createRequestAbort(timeoutMs, label, signal);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: abort.signal,
+    });
+  } catch (e) {
+    throw abort.translate(e);
+  } finally {
+    abort.done();
+  }
+
+  if (!response.ok) throw await httpError(response);
+  return response.json();
+}
+
+// POST and read a newline-delimited JSON stream, calling onObject for each
+// object as it arrives. timeoutMs only covers the wait for the first
+// object; after that the request is aborted only if the stream goes quiet
+// for STREAM_IDLE_TIMEOUT_MS, so slow but steady generation runs to the end.
+async function postNDJSON(url, body, timeoutMs, label, onObject, signal, headers = {}) {
+  const abort = createRequestAbort(timeoutMs, label, signal);
+  let reader = null;
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: abort.signal,
+    });
+    if (!response.ok) throw await httpError(response);
+
+    reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const { objects, rest } = splitNDJSON(buffer);
+      buffer = rest;
+      if (objects.length > 0) abort.progress(STREAM_IDLE_TIMEOUT_MS);
+      for (const obj of objects) onObject(obj);
+    }
+    const { objects } = splitNDJSON(buffer + "\n");
+    for (const obj of objects) onObject(obj);
+  } catch (e) {
+    // Close the stream when onObject throws (e.g. on an error object), so
+    // the connection isn't left open with the server still sending
+    if (reader) reader.cancel().catch(() => {});
+    throw abort.translate(e);
+  } finally {
+    abort.done();
+  }
+}
+
+async function getJSON(url, timeoutMs = LLM_REQUEST_TIMEOUT_MS, headers = {}) {
+  const resp = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  if (!resp.ok) throw await httpError(resp);
+  return resp.json();
+}
+
+// Fixed timeout used until a host and model have timing history.
+function requestTimeoutFor(messages) {
+  const chars = messages.reduce((n, m) => n + m.content.length, 0);
+  return chars > LLM_LONG_PROMPT_CHARS ? LLM_LONG_REQUEST_TIMEOUT_MS : LLM_REQUEST_TIMEOUT_MS;
+}
+
+// --- Adaptive timeouts ---
+//
+// Ollama reports how long each request spent loading the model, reading
+// the prompt and generating (load_duration, prompt_eval_count/_duration,
+// eval_count/_duration, all in nanoseconds). The last few samples per host
+// and model give its speed, and the timeout is sized from the prompt and
+// num_predict at that speed: a CPU-only host gets the time it needs and a
+// fast GPU gives up on a hung request sooner.
+
+const THROUGHPUT_SAMPLES       = 10;
+const CHARS_PER_TOKEN          = 3;        // errs towards more tokens (longer timeouts)
+const DEFAULT_OUTPUT_TOKENS    = 2048;     // assumed when num_predict is the model default
+const TIMEOUT_SAFETY_FACTOR    = 1.5;
+const TIMEOUT_SLACK_MS         = 10_000;
+const ADAPTIVE_TIMEOUT_MIN_MS  = 20_000;
+const ADAPTIVE_TIMEOUT_MAX_MS  = 30 * 60_000;
+
+const hostThroughput = new Map();   // "host|model" → [{ promptRate, evalRate, loadMs }], newest last
+
+// One timing sample from a final Ollama response (or the last chunk of a
+// stream); null when the response has no usable timings.
+function throughputSample(data) {
+  if (!data) return null;
+  const rate = (count, ns) => (count > 0 && ns > 0 ? count / (ns / 1e9) : null);
+  const sample = {
+    promptRate: rate(data.prompt_eval_count, data.prompt_eval_duration),
+    evalRate:   rate(data.eval_count, data.eval_duration),
+    loadMs:     data.load_duration > 0 ? data.load_duration / 1e6 : 0,
+  };
+  return sample.promptRate || sample.evalRate ? sample : null;
+}
+
+function recordThroughput(host, model, data) {
+  const sample = throughputSample(data);
+  if (!sample) return;
+  const key = `${trimHost(host)}|${model}`;
+  const samples = hostThroughput.get(key) || [];
+  samples.push(sample);
+  hostThroughput.set(key, samples.slice(-THROUGHPUT_SAMPLES));
+}
+
+// Estimate how long a request should take from the samples, planning for
+// the slowest recent run. Returns { firstOutputMs, totalMs }, or null
+// without history. firstOutputMs covers loading and reading the prompt —
+// the wait before a streamed response starts.
+function estimateRequestTime(samples, messages, options = {}) {
+  if (!samples || samples.length === 0) return null;
+  const slowest = (key) => {
+    const rates = samples.map(s => s[key]).filter(Boolean);
+    return rates.length > 0 ? Math.min(...rates) : null;
+  };
+  const promptRate = slowest("promptRate");
+  const evalRate   = slowest("evalRate");
+  if (!promptRate || !evalRate) return null;
+
+  const chars         = messages.reduce((n, m) => n + m.content.length, 0);
+  const promptTokens  = Math.ceil(chars / CHARS_PER_TOKEN);
+  const outputTokens  = options.num_predict > 0 ? options.num_predict : DEFAULT_OUTPUT_TOKENS;
+  const loadMs        = Math.max(...samples.map(s => s.loadMs));
+  const firstOutputMs = loadMs + (promptTokens / promptRate) * 1000;
+  return { firstOutputMs, totalMs: firstOutputMs + (outputTokens / evalRate) * 1000 };
+}
+
+// Pad an estimate into a timeout within sane bounds.
+function timeoutFromEstimate(ms) {
+  const padded = ms * TIMEOUT_SAFETY_FACTOR + TIMEOUT_SLACK_MS;
+  return Math.round(Math.min(ADAPTIVE_TIMEOUT_MAX_MS, Math.max(ADAPTIVE_TIMEOUT_MIN_MS, padded)));
+}
+
+// Timeout for an Ollama request: the whole response, or only the wait for
+// the first output when streaming (see postNDJSON).
+function ollamaTimeoutFor(host, model, messages, options = {}) {
+  const estimate = estimateRequestTime(hostThroughput.get(`${trimHost(host)}|${model}`), messages, options);
+  if (!estimate) return requestTimeoutFor(messages);
+  return timeoutFromEstimate(typeof options.onToken === "function" ? estimate.firstOutputMs : estimate.totalMs);
+}
+
+// --- Model capabilities ---
+
+const CAPABILITIES_TIMEOUT_MS = 10_000;
+
+const modelCapabilities = new Map();   // "host|model" → Promise<string[]>
+
+// Cached per host and model. A failed lookup counts as no capabilities
+// and is retried on the next request.
+function ollamaCapabilities(host, model) {
+  const key = `${trimHost(host)}|${model}`;
+  if (!modelCapabilities.has(key)) {
+    const lookup = postJSON(trimHost(host) + "/api/show", { model }, CAPABILITIES_TIMEOUT_MS, "Ollama",
+      null, authHeadersFor(host))
+      .then(parseModelCapabilities)
+      .catch((e) => {
+        modelCapabilities.delete(key);
+        console.warn(`[ThunderClerk-AI] Could not read the capabilities of ${model} on ${host}: ${e.message}`);
+        return [];
+      });
+    modelCapabilities.set(key, lookup);
+  }
+  return modelCapabilities.get(key);
+}
+
+// --- Providers ---
+
+const LLM_PROVIDERS = {
+  ollama: {
+    label: "Ollama",
+    defaultHost: "http://127.0.0.1:11434",
+
+    async chat(host, model, messages, options = {}) {
+      const think = options.thinking
+        ? thinkOption(options.thinking, await ollamaCapabilities(host, model))
+        : undefined;
+      const body = buildOllamaChatBody(model, messages, { ...options, think });
+      const url  = trimHost(host) + "/api/chat";
+      const timeoutMs = ollamaTimeoutFor(host, model, messages, options);
+      if (!body.stream) {
+        const data = await postJSON(url, body, timeoutMs, "Ollama", options.signal, authHeadersFor(host));
+        recordThroughput(host, model, data);
+        reportUsage(options, "ollama", data);
+        const message = data.message || {};
+        return takeReasoning(message.content || "", message.thinking, options);
+      }
+
+      let text = "";
+      let thinking = "";
+      let tokens = 0;
+      let tagged = false;   // inline <think> tags seen — split them off as we go
+      await postNDJSON(url, body, timeoutMs, "Ollama", (chunk) => {
+        if (chunk.error) throw new Error(chunk.error);
+        if (chunk.done) {
+          recordThroughput(host, model, chunk);
+          reportUsage(options, "ollama", chunk);
+        }
+        const content = chunk.message ? chunk.message.content : "";
+        const thought = chunk.message ? chunk.message.thinking : "";
+        if (content) {
+          text += content;
+          tagged = tagged || /<\/?(think|thinking|reasoning)>/i.test(text.slice(-content.length - 12));
+        }
+        if (thought) thinking += thought;
+        if (content || thought) tokens++;
+        const split = tagged ? splitReasoning(text) : { content: text, reasoning: "" };
+        options.onToken(split.content, {
+          tokens: chunk.eval_count || tokens,
+          done: !!chunk.done,
+          reasoning: [thinking, split.reasoning].filter(Boolean).join("\n\n"),
+        });
+      }, options.signal, authHeadersFor(host));
+      return takeReasoning(text, thinking, options);
+    },
+
+    async listModels(host, timeoutMs) {
+      const data = await getJSON(trimHost(host) + "/api/tags", timeoutMs, authHeadersFor(host));
+      return parseModelList("ollama", data);
+    },
+
+    // A chat request without messages just loads the model. num_ctx must
+    // match the real requests, or Ollama reloads the model for them.
+    async warmUp(host, model, options = {}) {
+      const body = buildOllamaChatBody(model, [], { num_ctx: options.num_ctx, keep_alive: options.keep_alive });
+      await postJSON(trimHost(host) + "/api/chat", body, LLM_LONG_REQUEST_TIMEOUT_MS, "Ollama", options.signal, authHeadersFor(host));
+    },
+
+    async listLoadedModels(host, timeoutMs) {
+      const data = await getJSON(trimHost(host) + "/api/ps", timeoutMs, authHeadersFor(host));
+      return parseLoadedModels(data);
+    },
+  },
+
+  // llama.cpp server, LM Studio, vLLM and anything else speaking /v1/chat/completions
+  openai: {
+    label: "OpenAI-compatible",
+    defaultHost: "http://127.0.0.1:8080",
+
+    async chat(host, model, messages, options = {}) {
+      const body = buildOpenAIChatBody(model, messages, options);
+      const data = await postJSON(openaiBaseUrl(host) + "/chat/completions", body, requestTimeoutFor(messages), "LLM",
+        options.signal, authHeadersFor(host));
+      reportUsage(options, "openai", data);
+      return takeReasoning(parseOpenAIChatResponse(data), parseOpenAIReasoning(data), options);
+    },
+
+    async listModels(host, timeoutMs) {
+      const data = await getJSON(openaiBaseUrl(host) + "/models", timeoutMs, authHeadersFor(host));
+      return parseModelList("openai", data);
+    },
+  },
+};
+
+function getLLMProvider(providerId) {
+  return LLM_PROVIDERS[providerId] || LLM_PROVIDERS.ollama;
+}
+
+// --- Per-action model routing ---
+//
+// actionModels maps an action key to { model, numCtx, numPredict }; empty
+// or zero values fall back to the global ollamaModel/numCtx/numPredict.
+
+const LLM_ACTIONS = {
+  calendar: "Add to Calendar",
+  task:     "Add as Task",
+  reply:    "Draft Reply",
+  forward:  "Summarize & Forward",
+  contact:  "Extract Contact",
+  catalog:  "Catalog Email",
+  analyze:  "Auto Analyze",
+};
+
+function actionLLMSettings(settings, action) {
+  const override = (settings.actionModels && settings.actionModels[action]) || {};
+  return {
+    model:      override.model      || settings.ollamaModel || DEFAULTS.ollamaModel,
+    numCtx:     override.numCtx     || settings.numCtx      || 0,
+    numPredict: override.numPredict || settings.numPredict  || 0,
+  };
+}
+
+// --- Host list ---
+//
+// The primary host comes from llmProvider/ollamaHost and the action's model
+// (see actionLLMSettings); any extraHosts ({ provider, url, model, use,
+// keepAlive }) follow it in order and always use their own model. "use"
+// decides which traffic a host takes: "all", "manual" (menu actions and
+// Auto Analyze) or "background" (the queue processor).
+
+const HOST_USES = ["all", "manual", "background"];
+
+function buildHostList(settings, action = null) {
+  const providerOf = (id) => (id in LLM_PROVIDERS ? id : "ollama");
+  const primaryProvider = providerOf(settings.llmProvider);
+  const primaryModel = action
+    ? actionLLMSettings(settings, action).model
+    : settings.ollamaModel || DEFAULTS.ollamaModel;
+  const hosts = [{
+    provider: primaryProvider,
+    host:     settings.ollamaHost || getLLMProvider(primaryProvider).defaultHost,
+    model:    primaryModel,
+    use:      HOST_USES.includes(settings.primaryHostUse) ? settings.primaryHostUse : "all",
+    keepAlive: parseKeepAlive(settings.keepAlive) ?? null,
+  }];
+  for (const extra of (Array.isArray(settings.extraHosts) ? settings.extraHosts : [])) {
+    if (!extra || !extra.url) continue;
+    hosts.push({
+      provider: providerOf(extra.provider),
+      host:     extra.url,
+      model:    extra.model || primaryModel,
+      use:      HOST_USES.includes(extra.use) ? extra.use : "all",
+      keepAlive: parseKeepAlive(extra.keepAlive) ?? null,
+    });
+  }
+  return hosts;
+}
+
+// Hosts that take the given traffic ("manual" or "background"). If none
+// are configured for it, every host is used rather than failing outright.
+function selectHostsFor(hosts, traffic) {
+  const matching = hosts.filter(h => h.use === "all" || h.use === traffic);
+  return matching.length > 0 ? matching : hosts;
+}
+
+// True when manual and background traffic would be sent to the same
+// preferred host, so running both at once would compete for it.
+function trafficSharesHost(hosts) {
+  const manual = selectHostsFor(hosts, "manual")[0];
+  const background = selectHostsFor(hosts, "background")[0];
+  return trimHost(manual.host) === trimHost(background.host);
+}
+
+// --- Host health ---
+
+const HOST_DOWN_RETRY_MS      = 30_000;  // skip a failed host for this long
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const hostHealth = new Map();   // trimmed host URL → { ok, checkedAt, error }
+
+function recordHostHealth(host, ok, error = null) {
+  hostHealth.set(trimHost(host), { ok, checkedAt: Date.now(), error });
+}
+
+// Move hosts that failed within the last HOST_DOWN_RETRY_MS to the end,
+// keeping the configured order otherwise. Down hosts are still tried last
+// so a request never fails just because every host had a bad moment.
+function orderByHealth(hosts, health, now = Date.now()) {
+  const isDown = (h) => {
+    const state = health.get(trimHost(h.host));
+    return !!state && !state.ok && now - state.checkedAt < HOST_DOWN_RETRY_MS;
+  };
+  return [...hosts.filter(h => !isDown(h)), ...hosts.filter(isDown)];
+}
+
+// Probe one host: reachable, and serving the configured model if the
+// server reports its models.
+async function checkHostHealth(target) {
+  let result;
+  try {
+    const models = await getLLMProvider(target.provider).listModels(target.host, HEALTH_CHECK_TIMEOUT_MS);
+    const names = models.map(m => m.name);
+    result = names.length === 0 || names.includes(target.model)
+      ? { ok: true, error: null }
+      : { ok: false, error: `model "${target.model}" not found` };
+  } catch (e) {
+    result = { ok: false, error: e.name === "TimeoutError" ? "no response" : e.message };
+  }
+  recordHostHealth(target.host, result.ok, result.error);
+  return { provider: target.provider, host: target.host, model: target.model, use: target.use, ...result };
+}
+
+function checkLLMHosts(settings, action = null) {
+  return Promise.all(buildHostList(settings, action).map(checkHostHealth));
+}
+
+// Worth retrying on another host: network failures, timeouts, server
+// errors and a missing model (each host has its own). Other 4xx responses
+// would fail the same way everywhere, and a cancelled request is final.
+function isFailoverError(e) {
+  if (isCancelledError(e)) return false;
+  return e.status === undefined || e.status >= 500 || e.status === 404;
+}
+
+// The kind of failure, for deciding how long to wait before trying again:
+//   "unreachable" — no connection to the host (fetch itself failed)
+//   "timeout"     — no answer, or the output stopped, within the timeout
+//   "model"       — HTTP 404: the host doesn't serve the model
+//   "server"      — HTTP 5xx
+//   "config"      — the host settings need fixing: an invalid URL, or
+//                   credentials rejected with HTTP 401/403
+//   "other"       — anything else, e.g. a bad request
+function llmErrorClass(e) {
+  if (e?.invalidHost || e?.status === 401 || e?.status === 403) return "config";
+  if (e?.timeout || e?.name === "TimeoutError") return "timeout";
+  if (e?.status === undefined) return e?.name === "TypeError" ? "unreachable" : "other";
+  if (e.status === 404) return "model";
+  if (e.status >= 500) return "server";
+  return "other";
+}
+
+// --- Entry points used by background.js and processor.js ---
+
+// Resolve where a request for an action (a key of LLM_ACTIONS) should go.
+// traffic is "manual" or "background". The result describes the preferred
+// host; the remaining candidates are in target.fallbacks and are tried in
+// order by callLLM().
+function resolveLLMTarget(settings, action, traffic = "manual") {
+  const [first, ...rest] = orderByHealth(selectHostsFor(buildHostList(settings, action), traffic), hostHealth)
+    .map(({ provider, host, model, keepAlive }) => ({ provider, host, model, keepAlive }));
+  return { ...first, fallbacks: rest };
+}
+
+// Per-host request options: each host has its own keep-alive setting.
+function hostRequestOptions(candidate, options) {
+  return candidate.keepAlive === null || candidate.keepAlive === undefined
+    ? options
+    : { ...options, keep_alive: candidate.keepAlive };
+}
+
+async function callLLM(target, messages, options = {}) {
+  const { fallbacks = [], ...primary } = target;
+  let lastError = null;
+
+  for (const candidate of [primary, ...fallbacks]) {
+    if (!isValidHostUrl(candidate.host)) {
+      lastError = new Error(`Invalid LLM host URL: "${candidate.host}". Check the extension settings.`);
+      lastError.invalidHost = true;
+      continue;
+    }
+    try {
+      let usage = {};
+      const text = await getLLMProvider(candidate.provider).chat(candidate.host, candidate.model, messages,
+        { ...hostRequestOptions(candidate, options), onUsage: (counts) => { usage = counts; } });
+      recordHostHealth(candidate.host, true);
+      if (typeof options.onUsage === "function") {
+        options.onUsage({ provider: candidate.provider, host: candidate.host, model: candidate.model, ...usage });
+      }
+      if (candidate !== primary) {
+        console.log(`[ThunderClerk-AI] Failed over to ${candidate.host} (${candidate.model})`);
+      }
+      return text;
+    } catch (e) {
+      if (!isFailoverError(e)) throw e;
+      recordHostHealth(candidate.host, false, e.message);
+      if (fallbacks.length > 0) {
+        console.warn(`[ThunderClerk-AI] LLM host ${candidate.host} failed: ${e.message}`);
+      }
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+// --- Warm-up ---
+//
+// Loading a large model can take longer than the request itself, so the
+// model can be loaded ahead of time when a request is likely (a message is
+// opened, or mail is queued for background analysis). Warm-ups go to the
+// preferred host only and are throttled per host and model.
+
+const WARM_UP_INTERVAL_MS = 60_000;
+
+const lastWarmUp = new Map();   // "host|model" → time of the last warm-up
+
+// options.num_ctx should match the requests that follow. Resolves true if
+// a warm-up was sent; failures are logged and never thrown.
+async function warmUpLLM(settings, action, traffic, options = {}) {
+  const target = resolveLLMTarget(settings, action, traffic);
+  const provider = getLLMProvider(target.provider);
+  if (typeof provider.warmUp !== "function" || !isValidHostUrl(target.host)) return false;
+  // Keep-alive 0 unloads the model straight after, so warming up is pointless
+  if (target.keepAlive === 0) return false;
+
+  const key = `${trimHost(target.host)}|${target.model}`;
+  const now = Date.now();
+  if (now - (lastWarmUp.get(key) || 0) < WARM_UP_INTERVAL_MS) return false;
+  lastWarmUp.set(key, now);
+
+  try {
+    await provider.warmUp(target.host, target.model, hostRequestOptions(target, options));
+    console.log(`[ThunderClerk-AI] Warmed up ${target.model} on ${target.host} (${Date.now() - now}ms)`);
+    return true;
+  } catch (e) {
+    console.warn(`[ThunderClerk-AI] Warm-up of ${target.model} on ${target.host} failed: ${e.message}`);
+    return false;
+  }
+}
+
+// Node.js export (used by Jest tests). Browser environment ignores this block.
+if (typeof module !== "undefined") {
+  module.exports = {
+    LLM_PROVIDERS,
+    LLM_ACTIONS,
+    getLLMProvider,
+    actionLLMSettings,
+    trimHost,
+    openaiBaseUrl,
+    buildAuthHeaders,
+    setHostCredentials,
+    authHeadersFor,
+    httpError,
+    buildOllamaChatBody,
+    thinkOption,
+    parseModelCapabilities,
+    parseKeepAlive,
+    requestTimeoutFor,
+    throughputSample,
+    estimateRequestTime,
+    timeoutFromEstimate,
+    buildOpenAIChatBody,
+    splitNDJSON,
+    parseOpenAIChatResponse,
+    parseOpenAIReasoning,
+    parseUsage,
+    parseModelList,
+    parseLoadedModels,
+    buildHostList,
+    selectHostsFor,
+    trafficSharesHost,
+    orderByHealth,
+    isFailoverError,
+    llmErrorClass,
+    isCancelledError,
+  };
+}
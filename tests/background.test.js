@@ -0,0 +1,395 @@
+"use strict";
+
+const { loadBackground, settle, fakeOllama } = require("./harness/load.js");
+
+const BODY = "Hi team, the quarterly planning meeting moves to Thursday at 2pm in room B.";
+const INBOX = { id: "account1://INBOX", accountId: "account1", path: "/INBOX", name: "Inbox", specialUse: ["inbox"] };
+const TRASH = { id: "account1://Trash", accountId: "account1", path: "/Trash", name: "Trash", specialUse: ["trash"] };
+const MESSAGE = { id: 1, subject: "Planning", author: "Ann <ann@example.com>", date: new Date("2026-02-20T09:00:00"), folder: INBOX };
+
+let bg;
+let llm;
+
+// Load background.js with every script before it, as the manifest does,
+// and let its start-up work finish. Auto-tagging is off unless a test
+// turns it on, so each action makes a single request.
+async function load(replies = [], settings = {}) {
+  llm = fakeOllama(replies);
+  bg = loadBackground({ fetch: llm });
+  await bg.browser.storage.sync.set({ autoTagAfterAction: false, ...settings });
+  await settle();
+  bg.fake.addMessage({ ...MESSAGE, body: BODY });
+  return bg;
+}
+
+const click = (menuItemId, messages = [MESSAGE]) =>
+  bg.browser.menus.onClicked.dispatch({ menuItemId, selectedMessages: { messages } }, { id: 1 });
+
+const notificationTitles = () => bg.fake.notifications.map(n => n.title);
+
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick", "queueMicrotask"] });
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// ---------------------------------------------------------------------------
+// Menus and toolbar button
+// ---------------------------------------------------------------------------
+describe("menus", () => {
+  test("are created on load with the Auto Analyze items hidden", async () => {
+    await load();
+    expect(bg.fake.menuItems.get("thunderclerk-ai-parent").contexts).toEqual(["message_list"]);
+    expect(bg.fake.menuItems.get("thunderclerk-ai-add-calendar").parentId).toBe("thunderclerk-ai-parent");
+    expect(bg.fake.menuItems.get("thunderclerk-ai-auto-analyze").visible).toBe(false);
+    expect(bg.fake.menuItems.get("thunderclerk-ai-queue-analysis").visible).toBe(false);
+    expect(bg.fake.messageDisplayEnabled).toBe(false);
+  });
+
+  test("follow the Auto Analyze setting", async () => {
+    await load();
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: true });
+    await settle();
+    expect(bg.fake.menuItems.get("thunderclerk-ai-auto-analyze").visible).toBe(true);
+    expect(bg.fake.menuItems.get("thunderclerk-ai-queue-analysis").visible).toBe(true);
+    expect(bg.fake.menuItems.get("thunderclerk-ai-sep-4").visible).toBe(true);
+    expect(bg.fake.messageDisplayEnabled).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Menu actions
+// ---------------------------------------------------------------------------
+describe("menu actions", () => {
+  test("ask for a selection when none is given", async () => {
+    await load();
+    await click("thunderclerk-ai-add-calendar", []);
+    expect(notificationTitles()).toEqual(["ThunderClerk-AI — No message selected"]);
+    expect(llm.chats()).toEqual([]);
+  });
+
+  test("ignore menu items of other extensions", async () => {
+    await load();
+    await click("someone-else");
+    expect(bg.fake.notifications).toEqual([]);
+  });
+
+  test("Add to Calendar opens the event dialog with the extracted event", async () => {
+    await load([JSON.stringify({ summary: "Quarterly planning", startDate: "2026-02-26T14:00:00", endDate: "2026-02-26T15:00:00" })]);
+    await click("thunderclerk-ai-add-calendar");
+    expect(bg.fake.calls.openCalendarDialog).toHaveLength(1);
+    expect(bg.fake.calls.openCalendarDialog[0][0]).toMatchObject({
+      summary: "Quarterly planning", startDate: "20260226T140000", endDate: "20260226T150000",
+    });
+    expect(llm.chats()[0].body.messages[1].content).toContain(BODY);
+  });
+
+  test("Draft Reply opens a reply with the drafted text above the quote", async () => {
+    await load([JSON.stringify({ body: "Thanks — see you <there>." })]);
+    await click("thunderclerk-ai-draft-reply");
+    expect(bg.fake.calls.beginReply).toEqual([[1, "replyToSender"]]);
+    const [[, details]] = bg.fake.calls.setComposeDetails;
+    expect(details.body).toBe("<p>Thanks — see you &lt;there&gt;.</p><br><p>Original message</p>");
+  });
+
+  test("report unusable model output as a parse error", async () => {
+    await load(["no JSON here", "still no JSON"]);
+    await click("thunderclerk-ai-add-task");
+    expect(bg.fake.calls.openTaskDialog).toBeUndefined();
+    expect(notificationTitles()).toContain("ThunderClerk-AI — Parse error");
+  });
+
+  test("report a host that can't be reached", async () => {
+    await load([new TypeError("NetworkError when attempting to fetch resource.")]);
+    await click("thunderclerk-ai-draft-reply");
+    expect(bg.fake.calls.beginReply).toBeUndefined();
+    expect(notificationTitles()).toContain("ThunderClerk-AI — Error");
+  });
+
+  test("tag the email afterwards when auto-tagging is on", async () => {
+    await load([JSON.stringify({ body: "Thanks!" }), JSON.stringify({ tags: ["Planning"] })],
+      { autoTagAfterAction: true, allowNewTags: true });
+    await click("thunderclerk-ai-draft-reply");
+    await settle();
+    expect(bg.fake.calls.createTag).toEqual([["$label_tc_planning", "Planning", expect.any(String)]]);
+    expect(bg.fake.calls.updateMessage).toEqual([[1, { tags: ["$label_tc_planning"] }]]);
+  });
+
+  test("hold background processing while they run", async () => {
+    let flagDuringCall = null;
+    await load((body) => {
+      flagDuringCall = bg.get("manualActionInFlight");
+      return JSON.stringify({ body: "Thanks!" });
+    });
+    await click("thunderclerk-ai-draft-reply");
+    expect(flagDuringCall).toBe(true);
+    expect(bg.get("manualActionInFlight")).toBe(false);
+  });
+
+  test("refuse messages blocked by a sender rule with a notice", async () => {
+    await load([], {
+      autoAnalyzeEnabled: true,
+      senderRules: [
+        { field: "domain", pattern: "example.com", action: "block" },
+        { field: "listId", pattern: "board.example.org", action: "block" },
+      ],
+    });
+    await click("thunderclerk-ai-draft-reply");
+    expect(notificationTitles()).toEqual(["ThunderClerk-AI — AI blocked for this message"]);
+    expect(bg.fake.notifications[0].message).toContain("sender domain is example.com");
+
+    const full = { contentType: "text/plain", body: BODY, headers: { "list-id": ["Board <board.example.org>"] } };
+    bg.fake.addMessage({ id: 2, subject: "Minutes", author: "clerk@board.org", full, folder: INBOX });
+    await click("thunderclerk-ai-auto-analyze", [{ id: 2, subject: "Minutes", author: "clerk@board.org" }]);
+    bg.fake.displayMessage(1, 2);
+    await bg.browser.messageDisplayAction.onClicked.dispatch({ id: 1 });
+    expect(notificationTitles()).toEqual(Array(3).fill("ThunderClerk-AI — AI blocked for this message"));
+    expect(bg.fake.notifications[2].message).toContain("List-Id is board.example.org");
+    expect(llm.chats()).toEqual([]);
+    expect(bg.fake.calls.beginReply).toBeUndefined();
+  });
+});
+
+describe("Queue for Analysis", () => {
+  test("needs background processing", async () => {
+    await load();
+    await click("thunderclerk-ai-queue-analysis");
+    expect(notificationTitles()).toEqual(["ThunderClerk-AI — Background processing disabled"]);
+    expect(bg.get("bgQueue.length")).toBe(0);
+  });
+
+  test("queues the selected messages", async () => {
+    await load();
+    bg.get("bgEnabled = true");
+    await click("thunderclerk-ai-queue-analysis", [{ id: 1, folder: INBOX }, { id: 2, folder: INBOX }]);
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([1, 2]);
+    expect(bg.fake.notifications.at(-1).message).toBe("Queued 2 messages for analysis");
+  });
+
+  test("skips messages outside the folders to analyze", async () => {
+    await load([], { bgFolderScope: { "account1:/Projects": "include" } });
+    bg.get("bgEnabled = true");
+    const messages = [
+      { id: 1, folder: INBOX },
+      { id: 2, folder: TRASH },
+      { id: 3, folder: { accountId: "account1", path: "/Projects/Alpha", name: "Alpha", specialUse: [] } },
+    ];
+    await click("thunderclerk-ai-queue-analysis", messages);
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([1, 3]);
+    expect(bg.fake.notifications.at(-1).message)
+      .toBe("Queued 2 messages for analysis — skipped 1 outside the folders set for background analysis");
+  });
+
+  test("follows the sender rules", async () => {
+    await load([], {
+      senderRules: [
+        { field: "sender", pattern: "hr@example.com", action: "block" },
+        { field: "sender", pattern: "boss@example.com", action: "analyze" },
+        { field: "subject", pattern: "newsletter", action: "skip" },
+      ],
+    });
+    bg.get("bgEnabled = true");
+    const messages = [
+      { id: 1, folder: INBOX, author: "HR <hr@example.com>" },
+      { id: 2, folder: TRASH, author: "Boss <boss@example.com>" },
+      { id: 3, folder: INBOX, author: "ann@example.com", subject: "Weekly newsletter" },
+    ];
+    await click("thunderclerk-ai-queue-analysis", messages);
+    expect(bg.get("bgQueue.map(i => i.messageId)").sort()).toEqual([2, 3]);
+    expect(bg.fake.notifications.at(-1).message)
+      .toBe("Queued 2 messages for analysis — 1 blocked from AI by a sender rule");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Badge
+// ---------------------------------------------------------------------------
+describe("updateMessageDisplayBadge", () => {
+  const TAB = { id: 5 };
+  const badge = async (message = MESSAGE) => {
+    await bg.call("updateMessageDisplayBadge", TAB, message);
+    return bg.fake.badges.get(TAB.id);
+  };
+
+  beforeEach(async () => {
+    await load([], { autoAnalyzeEnabled: true });
+  });
+
+  test("counts detected items in the priority's color", async () => {
+    await bg.call("cacheSet", 1, { priority: "urgent", events: [{}], tasks: [{}, {}], contacts: [] });
+    expect(await badge()).toEqual({ text: "3", color: "#F44336" });
+  });
+
+  test("shows a check mark when nothing was found", async () => {
+    await bg.call("cacheSet", 1, { summary: "FYI", events: [] });
+    expect(await badge()).toEqual({ text: "✓", color: "#9E9E9E" });
+  });
+
+  test("shows queued and failed messages", async () => {
+    bg.call("bgProcessorEnqueue", 1);
+    expect(await badge()).toEqual({ text: "…", color: "#FF9800" });
+    bg.get("bgQueue.length = 0");
+    await bg.call("cacheSetError", 1);
+    expect(await badge()).toEqual({ text: "!", color: "#F44336" });
+  });
+
+  test("is empty for unknown messages and when Auto Analyze is off", async () => {
+    expect((await badge()).text).toBe("");
+    await bg.call("cacheSet", 1, { events: [{}] });
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: false });
+    expect((await badge()).text).toBe("");
+  });
+
+  test("opening a queued message moves it to the front of the queue", async () => {
+    bg.call("bgProcessorEnqueue", 2, false, "manual");
+    bg.call("bgProcessorEnqueue", 1, false, "backfill");
+    await bg.browser.messageDisplay.onMessageDisplayed.dispatch(TAB, MESSAGE);
+    await settle();
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([1, 2]);
+    expect(bg.fake.badges.get(TAB.id).text).toBe("…");
+  });
+
+  test("refreshes when the displayed message gets analyzed", async () => {
+    bg.fake.displayMessage(TAB.id, 1);
+    await bg.call("cacheSet", 1, { tasks: [{}] });
+    await settle();
+    expect(bg.fake.badges.get(TAB.id).text).toBe("1");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Runtime messages from the options page
+// ---------------------------------------------------------------------------
+describe("runtime messages", () => {
+  test("getBgStatus reports the queue and the cache", async () => {
+    await load();
+    await bg.call("cacheSet", 1, {});
+    bg.call("bgProcessorEnqueue", 2);
+    expect(await bg.fake.sendMessage({ action: "getBgStatus" })).toMatchObject({
+      enabled: false, queueLength: 1, count: 1, errorCount: 0,
+    });
+  });
+
+  test("getBgQueue lists pending messages with their subject and sender", async () => {
+    await load();
+    bg.call("bgProcessorEnqueue", 1, true, "manual");
+    bg.call("bgProcessorEnqueue", 2, false, "new-mail");
+    bg.call("bgProcessorEnqueue", 3, false, "backfill");
+    expect(await bg.fake.sendMessage({ action: "getBgQueue", limit: 2 })).toEqual([
+      expect.objectContaining({ messageId: 1, force: true, subject: "Planning", author: "Ann <ann@example.com>" }),
+      expect.not.objectContaining({ subject: expect.anything() }),
+    ]);
+  });
+
+  test("getBgDeadLetters, retryBgDeadLetters and clearBgDeadLetters manage failed messages", async () => {
+    await load();
+    bg.get(`bgDeadLetters.push(
+      { messageId: 1, source: "backfill", attempts: 3, errorClass: "server", error: "HTTP 500: boom" },
+      { messageId: 2, source: "new-mail", attempts: 2, errorClass: "timeout", error: "timed out" },
+      { messageId: 3, source: "new-mail", attempts: 2, errorClass: "timeout", error: "timed out" })`);
+    expect(await bg.fake.sendMessage({ action: "getBgDeadLetters" })).toEqual([
+      expect.objectContaining({ messageId: 3, errorClass: "timeout" }),
+      expect.objectContaining({ messageId: 2 }),
+      expect.objectContaining({ messageId: 1, subject: "Planning", author: "Ann <ann@example.com>" }),
+    ]);
+    expect(await bg.fake.sendMessage({ action: "retryBgDeadLetters", messageIds: [1] })).toEqual({ queued: 1 });
+    expect(bg.get("bgQueue.map(i => [i.messageId, i.source])")).toEqual([[1, "manual"]]);
+    expect(await bg.fake.sendMessage({ action: "clearBgDeadLetters" })).toEqual({ removed: 2 });
+    expect(await bg.fake.sendMessage({ action: "getBgStatus" })).toMatchObject({ deadLetterCount: 0, queueLength: 1 });
+  });
+
+  test("clearBgCache removes every entry", async () => {
+    await load();
+    await bg.call("cacheSet", 1, {});
+    await bg.call("cacheSetError", 2);
+    expect(await bg.fake.sendMessage({ action: "clearBgCache" })).toEqual({ removed: 2 });
+    expect(await bg.call("cacheHas", 1)).toBe(false);
+  });
+
+  test("stopBgProcessor and startBgProcessor toggle the processor", async () => {
+    await load();
+    expect(await bg.fake.sendMessage({ action: "startBgProcessor" })).toEqual({ ok: true });
+    expect(bg.call("bgProcessorGetStatus").enabled).toBe(true);
+    expect(await bg.fake.sendMessage({ action: "stopBgProcessor" })).toEqual({ ok: true });
+    expect(bg.call("bgProcessorGetStatus").enabled).toBe(false);
+  });
+
+  test("cancelLLMRequest reports whether anything was running", async () => {
+    await load();
+    expect(await bg.fake.sendMessage({ action: "cancelLLMRequest" })).toEqual({ cancelled: false });
+  });
+
+  test("cancelLLMRequest aborts the request in flight", async () => {
+    // The model never answers; the request only ends when it is aborted
+    await load((body, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => reject(signal.reason));
+    }));
+    const action = click("thunderclerk-ai-add-calendar");
+    await settle();
+    expect(llm.chats()).toHaveLength(1);
+    expect(bg.get("activeProgress")).not.toBeNull();
+
+    expect(await bg.fake.sendMessage({ action: "cancelLLMRequest" })).toEqual({ cancelled: true });
+    await action;
+    expect(bg.get("activeProgress")).toBeNull();
+    expect(bg.fake.calls.clearNotification).toContainEqual(["thunderclerk-ai-thinking"]);
+    expect(bg.fake.calls.openCalendarDialog).toBeUndefined();
+    expect(notificationTitles().filter(title => title !== "ThunderClerk-AI")).toEqual([]);
+    expect(bg.get("manualActionInFlight")).toBe(false);
+    expect(await bg.fake.sendMessage({ action: "cancelLLMRequest" })).toEqual({ cancelled: false });
+  });
+
+  test("cancelling Auto Analyze keeps the queue paused for a manual action still running", async () => {
+    await load((body, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => reject(signal.reason));
+    }), { autoAnalyzeEnabled: true });
+    click("thunderclerk-ai-draft-reply");
+    await settle();
+    const analyze = click("thunderclerk-ai-auto-analyze");
+    await settle();
+    expect(llm.chats()).toHaveLength(2);
+    expect(bg.get("manualActionInFlight")).toBe(true);
+
+    expect(await bg.fake.sendMessage({ action: "cancelLLMRequest" })).toEqual({ cancelled: true });
+    await analyze;
+    expect(bg.get("manualActionInFlight")).toBe(true);
+  });
+
+  test("an Auto Analyze dialog that fails to open leaves no progress behind", async () => {
+    await load([], { autoAnalyzeEnabled: true });
+    bg.browser.windows.create = async () => { throw new Error("No window for you"); };
+    await click("thunderclerk-ai-auto-analyze").catch(() => {});
+    await settle();
+    expect(bg.get("activeProgress")).toBeNull();
+    expect(bg.fake.notifications.filter(n => n.id === "thunderclerk-ai-thinking")).toEqual([]);
+    expect(llm.chats()).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Start-up
+// ---------------------------------------------------------------------------
+describe("start-up", () => {
+  test("opens the settings on first install", async () => {
+    await load();
+    await bg.browser.runtime.onInstalled.dispatch({ reason: "install" });
+    expect(bg.fake.calls.openOptionsPage).toHaveLength(1);
+    expect(await bg.browser.storage.local.get("firstRun")).toEqual({ firstRun: true });
+
+    await bg.browser.runtime.onInstalled.dispatch({ reason: "update" });
+    expect(bg.fake.calls.openOptionsPage).toHaveLength(1);
+  });
+
+  test("picks up edited prompt templates", async () => {
+    await load([JSON.stringify({ body: "Thanks!" })]);
+    await bg.browser.storage.local.set({ promptTemplates: { reply: { instructions: "Custom reply rules." } } });
+    await settle();
+    await click("thunderclerk-ai-draft-reply");
+    expect(llm.chats()[0].body.messages[0].content).toMatch(/^Custom reply rules\.\n\n/);
+  });
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+const { loadScripts } = require("./harness/load.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let bg;
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick", "queueMicrotask"] });
+  jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+  bg = loadScripts(["cache.js"]);
+});
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const stored = async () => bg.browser.storage.local.get(null);
+
+// ---------------------------------------------------------------------------
+// cacheSet / cacheGet / cacheHas / cacheDelete
+// ---------------------------------------------------------------------------
+describe("cache entries", () => {
+  test("are stored per message with an index entry", async () => {
+    await bg.call("cacheSet", 7, { summary: "Lunch" });
+    const entry = await bg.call("cacheGet", 7);
+    expect(entry).toEqual({ version: 1, ts: Date.now(), raw: { summary: "Lunch" } });
+    expect(await bg.call("cacheHas", 7)).toBe(true);
+    expect((await stored())._bgCacheIndex).toEqual({ entries: { 7: { ts: Date.now(), status: "ok" } } });
+  });
+
+  test("missing and old-version entries read as absent", async () => {
+    expect(await bg.call("cacheGet", 1)).toBeNull();
+    await bg.browser.storage.local.set({ cache_2: { version: 0, ts: 1, raw: {} } });
+    expect(await bg.call("cacheGet", 2)).toBeNull();
+    expect(await bg.call("cacheHas", 2)).toBe(false);
+  });
+
+  test("cacheDelete removes the entry and its index record", async () => {
+    await bg.call("cacheSet", 7, { summary: "Lunch" });
+    await bg.call("cacheSet", 8, { summary: "Dinner" });
+    await bg.call("cacheDelete", 7);
+    const all = await stored();
+    expect(all.cache_7).toBeUndefined();
+    expect(Object.keys(all._bgCacheIndex.entries)).toEqual(["8"]);
+  });
+
+  test("cacheSetError marks a message without storing a result", async () => {
+    await bg.call("cacheSetError", 9);
+    expect(await bg.call("cacheHas", 9)).toBe(false);
+    expect((await stored())._bgCacheIndex.entries[9].status).toBe("error");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Cleanup
+// ---------------------------------------------------------------------------
+describe("cacheCleanup", () => {
+  test("removes entries older than the maximum age, including errors", async () => {
+    await bg.call("cacheSet", 1, { summary: "old" });
+    await bg.call("cacheSetError", 2);
+    jest.setSystemTime(Date.now() + 2 * DAY_MS);
+    await bg.call("cacheSet", 3, { summary: "new" });
+
+    expect(await bg.call("cacheCleanup", DAY_MS)).toBe(2);
+    const all = await stored();
+    expect(all.cache_1).toBeUndefined();
+    expect(all.cache_3).toBeDefined();
+    expect(Object.keys(all._bgCacheIndex.entries)).toEqual(["3"]);
+  });
+
+  test("keeps everything within the maximum age", async () => {
+    await bg.call("cacheSet", 1, { summary: "recent" });
+    jest.setSystemTime(Date.now() + DAY_MS - 1);
+    expect(await bg.call("cacheCleanup", DAY_MS)).toBe(0);
+    expect(await bg.call("cacheHas", 1)).toBe(true);
+  });
+});
+
+describe("cacheCleanupOrphans", () => {
+  test("removes entries whose message no longer exists", async () => {
+    bg.fake.addMessage({ id: 1, subject: "Still here" });
+    await bg.call("cacheSet", 1, { summary: "kept" });
+    await bg.call("cacheSet", 2, { summary: "orphan" });
+    await bg.call("cacheSetError", 3);
+
+    expect(await bg.call("cacheCleanupOrphans")).toBe(2);
+    const all = await stored();
+    expect(all.cache_1).toBeDefined();
+    expect(all.cache_2).toBeUndefined();
+    expect(Object.keys(all._bgCacheIndex.entries)).toEqual(["1"]);
+  });
+});
+
+describe("cacheClearAll / cacheGetStats", () => {
+  test("count results and errors, then clear them all", async () => {
+    await bg.call("cacheSet", 1, {});
+    await bg.call("cacheSet", 2, {});
+    await bg.call("cacheSetError", 3);
+    expect(await bg.call("cacheGetStats")).toEqual({ count: 2, errorCount: 1, sizeEstimate: 2 * 3 * 1024 });
+
+    expect(await bg.call("cacheClearAll")).toBe(3);
+    expect(await stored()).toEqual({ _bgCacheIndex: { entries: {} } });
+    expect(await bg.call("cacheGetStats")).toEqual({ count: 0, errorCount: 0, sizeEstimate: 0 });
+  });
+});
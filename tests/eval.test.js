@@ -0,0 +1,153 @@
+"use strict";
+
+const {
+  matchItems,
+  scoreAnalysis,
+  mergeCounts,
+  precisionRecall,
+  formatReport,
+} = require("./eval/score.js");
+const { parseArgs, loadFixtures, evaluateFixture } = require("./eval/run.js");
+const { fakeOllama } = require("./harness/load.js");
+
+describe("matchItems", () => {
+  test("pairs expected items with the first actual item holding all keywords", () => {
+    const actual = [{ preview: "Opening Keynote" }, { summary: "Workshop: Testing" }, { preview: "Badge pickup" }];
+    const { pairs, extra } = matchItems([{ keywords: ["workshop"] }, { keywords: ["KEYNOTE"] }, { keywords: ["lunch"] }], actual);
+    expect(pairs.map(p => p.actual)).toEqual([actual[1], actual[0], null]);
+    expect(extra).toEqual([actual[2]]);
+  });
+
+  test("matches contacts by name, company or email", () => {
+    const { pairs } = matchItems([{ keywords: ["jane", "acme"] }], [{ firstName: "Jane", lastName: "Smith", company: "Acme" }]);
+    expect(pairs[0].actual).not.toBeNull();
+  });
+
+  test("uses each actual item once", () => {
+    const { pairs } = matchItems([{ keywords: ["class"] }, { keywords: ["class"] }], [{ preview: "Kayak class" }]);
+    expect(pairs[1].actual).toBeNull();
+  });
+});
+
+describe("scoreAnalysis", () => {
+  test("scores found items and each labelled attribute", () => {
+    const { counts, misses } = scoreAnalysis({
+      events: [
+        { keywords: ["kayak"], startDate: "20260314T100000", endDate: "20260314T130000", forceAllDay: false },
+        { keywords: ["open house"], startDate: "20260307" },
+      ],
+    }, {
+      events: [
+        { preview: "Kayak Basics", startDate: "20260314T100000", endDate: "20260314T120000" },
+        { preview: "Pier cleanup", startDate: "20260321T090000" },
+      ],
+    });
+
+    expect(counts.events).toEqual({ tp: 1, fp: 1, fn: 1 });
+    expect(counts["events.startDate"]).toEqual({ tp: 1, fp: 1, fn: 1 });
+    expect(counts["events.endDate"]).toEqual({ tp: 0, fp: 1, fn: 1 });
+    expect(counts["events.forceAllDay"]).toEqual({ tp: 0, fp: 0, fn: 1 });
+    expect(misses).toEqual([
+      'events[kayak].endDate: expected "20260314T130000", got "20260314T120000"',
+      "events[kayak].forceAllDay: missing",
+      "events[open house]: not found",
+      'events: unexpected "Pier cleanup"',
+    ]);
+  });
+
+  test("matches a day-only date at any time, phones by digits and text ignoring case", () => {
+    const { counts } = scoreAnalysis({
+      tasks: [{ keywords: ["invoice"], dueDate: "20260305" }],
+      contacts: [{ keywords: ["maria"], phone: "+1 555 318 7720", company: "Northwind Supplies" }],
+    }, {
+      tasks: [{ summary: "Pay invoice", dueDate: "20260305T170000" }],
+      contacts: [{ firstName: "Maria", phone: "+1 (555) 318-7720", company: "northwind supplies " }],
+    });
+    expect(counts["tasks.dueDate"]).toEqual({ tp: 1, fp: 0, fn: 0 });
+    expect(counts["contacts.phone"]).toEqual({ tp: 1, fp: 0, fn: 0 });
+    expect(counts["contacts.company"]).toEqual({ tp: 1, fp: 0, fn: 0 });
+  });
+
+  test("counts every item as extra when none are expected", () => {
+    const { counts } = scoreAnalysis({ events: [] }, { events: [{ preview: "Sale", startDate: "20260301T000000" }] });
+    expect(counts.events).toEqual({ tp: 0, fp: 1, fn: 0 });
+    expect(counts["events.startDate"]).toEqual({ tp: 0, fp: 1, fn: 0 });
+  });
+
+  test("scores priority as one label", () => {
+    expect(scoreAnalysis({ priority: "urgent" }, { priority: "urgent" }).counts.priority).toEqual({ tp: 1, fp: 0, fn: 0 });
+    expect(scoreAnalysis({ priority: "urgent" }, { priority: "low" }).counts.priority).toEqual({ tp: 0, fp: 1, fn: 1 });
+    expect(scoreAnalysis({ priority: "urgent" }, {}).counts.priority).toEqual({ tp: 0, fp: 0, fn: 1 });
+  });
+
+  test("compares tags as sets ignoring case", () => {
+    const { counts, misses } = scoreAnalysis({ tags: ["Events", "Outdoors"] }, { tags: ["events", "Sports"] });
+    expect(counts.tags).toEqual({ tp: 1, fp: 1, fn: 1 });
+    expect(misses).toEqual(["tags: missing outdoors", "tags: unexpected sports"]);
+  });
+
+  test("only scores labelled sections", () => {
+    expect(Object.keys(scoreAnalysis({ priority: "low" }, { events: [{ preview: "X" }] }).counts)).toEqual(["priority"]);
+  });
+
+  test("scores a missing result as all misses", () => {
+    const { counts } = scoreAnalysis({ tasks: [{ keywords: ["slides"], dueDate: "20260225" }] }, null);
+    expect(counts.tasks).toEqual({ tp: 0, fp: 0, fn: 1 });
+    expect(counts["tasks.dueDate"]).toEqual({ tp: 0, fp: 0, fn: 1 });
+  });
+});
+
+describe("mergeCounts / precisionRecall", () => {
+  test("adds counts per field", () => {
+    expect(mergeCounts([
+      { events: { tp: 1, fp: 0, fn: 1 } },
+      { events: { tp: 2, fp: 1, fn: 0 }, tags: { tp: 1, fp: 0, fn: 0 } },
+    ])).toEqual({ events: { tp: 3, fp: 1, fn: 1 }, tags: { tp: 1, fp: 0, fn: 0 } });
+  });
+
+  test("computes precision, recall and F1", () => {
+    const { precision, recall, f1 } = precisionRecall({ tp: 3, fp: 1, fn: 3 });
+    expect(precision).toBe(0.75);
+    expect(recall).toBe(0.5);
+    expect(f1).toBeCloseTo(0.6);
+  });
+
+  test("reports null when nothing was counted", () => {
+    expect(precisionRecall({ tp: 0, fp: 0, fn: 2 })).toEqual({ precision: null, recall: 0, f1: null });
+    expect(precisionRecall({ tp: 0, fp: 0, fn: 0 })).toEqual({ precision: null, recall: null, f1: null });
+  });
+});
+
+describe("formatReport", () => {
+  test("lists fields in report order", () => {
+    const report = formatReport({
+      tags: { tp: 1, fp: 1, fn: 0 },
+      "events.startDate": { tp: 1, fp: 0, fn: 0 },
+      events: { tp: 1, fp: 0, fn: 1 },
+    });
+    expect(report.split("\n").map(line => line.split(/\s+/)[0])).toEqual(["Field", "events", "events.startDate", "tags"]);
+    expect(report).toContain("50%");
+  });
+});
+
+describe("evaluateFixture", () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  test("asks the model through the provider and scores the answer", async () => {
+    const answer = { summary: "Checkout is down", priority: "urgent", tags: ["Work"], events: [], tasks: [], contacts: [] };
+    global.fetch = fakeOllama(["not JSON", JSON.stringify(answer)]);
+    const opts = parseArgs(["--host", "http://127.0.0.1:18765", "--model", "mistral:7b"]);
+    const [fixture] = loadFixtures(opts.fixtures, "outage");
+
+    const result = await evaluateFixture(opts, fixture);
+    expect(result).toMatchObject({ name: "outage", attempts: 2, error: "", misses: [] });
+    expect(result.result.priority).toBe("urgent");
+    const [first] = global.fetch.chats();
+    expect(first.url).toBe("http://127.0.0.1:18765/api/chat");
+    expect(first.body).toMatchObject({ model: "mistral:7b", format: expect.any(Object) });
+    expect(first.body.messages[1].content).toContain("checkout is down");
+  });
+});
@@ -0,0 +1,226 @@
+"use strict";
+
+// Model evaluation harness — runs the Auto Analyze prompt against labelled
+// fixture emails and reports precision and recall for each field, so models
+// and prompt changes can be compared on the same mail.
+//
+//   npm run eval -- [options]
+//
+//   --provider ollama|openai   backend (default: ollama)
+//   --host URL                 LLM host (default: OLLAMA_HOST, config.test.js, 127.0.0.1)
+//   --model NAME               model (default: OLLAMA_MODEL, config.test.js, mistral:7b)
+//   --fixtures DIR             fixture directory (default: tests/eval/fixtures)
+//   --only NAME                run the fixtures whose file name contains NAME
+//   --retries N                JSON self-correction retries (default: 1)
+//   --num-ctx N, --num-predict N
+//   --templates FILE           custom prompt templates, as saved under
+//                              promptTemplates in storage.local
+//   --record DIR               save every response to DIR/<fixture>.json
+//   --replay DIR               score responses saved with --record, no LLM needed
+//   --json FILE                also write the full results as JSON
+//   --verbose                  list what was missed for each fixture
+//
+// Fixtures are JSON files: { subject, author, date, body, expected } where
+// date is the local mail date and time (also used as "today"), body is a
+// string or a list of lines, and expected is described in score.js.
+// Optional: attendees, existingTags.
+
+const fs = require("fs");
+const path = require("path");
+
+const utils = require("../../utils.js");
+// validator.js and providers.js run after utils.js in the extension and
+// use its helpers as globals.
+global.normalizeCalDate = utils.normalizeCalDate;
+global.ANALYSIS_PRIORITIES = utils.ANALYSIS_PRIORITIES;
+global.splitReasoning = utils.splitReasoning;
+global.isValidHostUrl = utils.isValidHostUrl;
+const { validateResult } = require("../../validator.js");
+const { getLLMProvider } = require("../../providers.js");
+const { scoreAnalysis, mergeCounts, formatReport } = require("./score.js");
+
+const {
+  buildCombinedExtractionPrompt,
+  buildCombinedExtractionSchema,
+  setPromptTemplates,
+  callWithJSONRetry,
+  extractJSON,
+  assertMatchesSchema,
+  formatDatetime,
+} = utils;
+
+let testConfig = {};
+try { testConfig = require("../../config.test.js"); } catch {}
+
+const EVAL_NUM_CTX     = 16384;   // same floor as background processing
+const EVAL_NUM_PREDICT = 16384;
+
+// --- Options ---
+
+function parseArgs(argv) {
+  const opts = {
+    provider:   "ollama",
+    host:       process.env.OLLAMA_HOST  || testConfig.ollamaHost  || "",
+    model:      process.env.OLLAMA_MODEL || testConfig.ollamaModel || "mistral:7b",
+    fixtures:   path.join(__dirname, "fixtures"),
+    only:       "",
+    retries:    1,
+    numCtx:     EVAL_NUM_CTX,
+    numPredict: EVAL_NUM_PREDICT,
+    record:     "",
+    replay:     "",
+    json:       "",
+    templates:  "",
+    verbose:    false,
+  };
+  const flags = {
+    "--provider": "provider", "--host": "host", "--model": "model", "--fixtures": "fixtures",
+    "--only": "only", "--record": "record", "--replay": "replay", "--json": "json",
+    "--templates": "templates",
+  };
+  const numbers = { "--retries": "retries", "--num-ctx": "numCtx", "--num-predict": "numPredict" };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--verbose") {
+      opts.verbose = true;
+    } else if (flags[arg] || numbers[arg]) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      if (numbers[arg]) {
+        const n = parseInt(value, 10);
+        if (!Number.isInteger(n) || n < 0) throw new Error(`${arg} must be a whole number`);
+        opts[numbers[arg]] = n;
+      } else {
+        opts[flags[arg]] = value;
+      }
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  opts.host = opts.host || getLLMProvider(opts.provider).defaultHost;
+  return opts;
+}
+
+function loadFixtures(dir, only) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith(".json") && file.includes(only))
+    .sort()
+    .map((file) => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      return { ...fixture, name: path.basename(file, ".json") };
+    });
+}
+
+// --- Analysis ---
+
+// Same parse step as parseAnalysisOutput() in processor.js, with the
+// validator's fixes counted instead of logged.
+function parseAnalysis(raw, schema, fixes) {
+  const { value, problems } = validateResult("analysis", JSON.parse(extractJSON(raw)));
+  fixes.push(...problems);
+  return assertMatchesSchema(value, schema);
+}
+
+// Send function for callWithJSONRetry(): asks the model, or hands back the
+// recorded responses in order.
+function responseSource(opts, fixture, responses) {
+  if (opts.replay) {
+    const file = path.join(opts.replay, `${fixture.name}.json`);
+    if (!fs.existsSync(file)) throw new Error(`No recorded response for ${fixture.name} in ${opts.replay}`);
+    const queue = [...JSON.parse(fs.readFileSync(file, "utf8")).responses];
+    return async () => {
+      if (queue.length === 0) throw new Error(`Recorded responses for ${fixture.name} ran out`);
+      const text = queue.shift();
+      responses.push(text);
+      return text;
+    };
+  }
+  const provider = getLLMProvider(opts.provider);
+  return async (messages, schema) => {
+    const text = await provider.chat(opts.host, opts.model, messages, {
+      format: schema, num_ctx: opts.numCtx, num_predict: opts.numPredict, thinking: "auto",
+    });
+    responses.push(text);
+    return text;
+  };
+}
+
+async function evaluateFixture(opts, fixture) {
+  const mailDatetime = formatDatetime(fixture.date);
+  const body = Array.isArray(fixture.body) ? fixture.body.join("\n") : fixture.body;
+  const messages = buildCombinedExtractionPrompt(
+    body, fixture.subject || "", fixture.author || "", mailDatetime, mailDatetime,
+    fixture.attendees || [], null, fixture.existingTags || []
+  );
+  const schema = buildCombinedExtractionSchema(null);
+
+  const responses = [];
+  const fixes = [];
+  const send = responseSource(opts, fixture, responses);
+  const startedAt = Date.now();
+  let result = null;
+  let error = "";
+  try {
+    result = await callWithJSONRetry(
+      (msgs) => send(msgs, schema), messages, (raw) => parseAnalysis(raw, schema, fixes), opts.retries
+    );
+  } catch (e) {
+    // Unusable output scores as an empty result; anything else stops the run
+    if (!e.invalidOutput) throw e;
+    error = e.message;
+  }
+  const latencyMs = Date.now() - startedAt;
+
+  if (opts.record) {
+    fs.mkdirSync(opts.record, { recursive: true });
+    fs.writeFileSync(path.join(opts.record, `${fixture.name}.json`),
+      JSON.stringify({ provider: opts.provider, model: opts.model, responses }, null, 2) + "\n");
+  }
+
+  return { name: fixture.name, latencyMs, attempts: responses.length, fixes, error, result,
+    ...scoreAnalysis(fixture.expected || {}, result) };
+}
+
+// --- Main ---
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const fixtures = loadFixtures(opts.fixtures, opts.only);
+  if (fixtures.length === 0) throw new Error(`No fixtures in ${opts.fixtures}`);
+  if (opts.templates) setPromptTemplates(JSON.parse(fs.readFileSync(opts.templates, "utf8")));
+
+  const source = opts.replay ? `recorded responses in ${opts.replay}` : `${opts.model} at ${opts.host}`;
+  console.log(`Evaluating ${fixtures.length} fixtures against ${source}\n`);
+
+  const results = [];
+  for (const fixture of fixtures) {
+    const r = await evaluateFixture(opts, fixture);
+    results.push(r);
+    const status = r.error ? `invalid output — ${r.error}` : `${r.misses.length} misses`;
+    const extra = [r.attempts > 1 ? `${r.attempts} attempts` : "", r.fixes.length > 0 ? `${r.fixes.length} fixes` : ""]
+      .filter(Boolean).join(", ");
+    console.log(`  ${r.name}: ${status} (${(r.latencyMs / 1000).toFixed(1)}s${extra ? `, ${extra}` : ""})`);
+    if (opts.verbose) r.misses.forEach(m => console.log(`      ${m}`));
+  }
+
+  const total = mergeCounts(results.map(r => r.counts));
+  console.log(`\n${formatReport(total)}`);
+
+  if (opts.json) {
+    fs.writeFileSync(opts.json, JSON.stringify({ source, fixtures: results, total }, null, 2) + "\n");
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(`Evaluation failed: ${e.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  loadFixtures,
+  evaluateFixture,
+};
@@ -0,0 +1,216 @@
+"use strict";
+
+// Scoring for the model evaluation harness (run.js).
+//
+// A fixture labels what a correct analysis of its email contains:
+//
+//   expected: {
+//     priority: "action-needed",
+//     tags:     ["Events"],
+//     events:   [{ keywords: ["kayak"], startDate: "20260314T100000", forceAllDay: false }],
+//     tasks:    [{ keywords: ["renew"], dueDate: "20260331" }],
+//     contacts: [{ keywords: ["jane"], email: "jane@example.com", company: "Acme" }],
+//   }
+//
+// Sections left out of expected aren't scored. An item is found when its
+// text (preview, summary, names, company, email) contains all its keywords;
+// every other labelled attribute is then scored on its own. Dates without a
+// time match any time on that day.
+//
+// Scores are { tp, fp, fn } counts per field:
+//   events, tasks, contacts   items found / extra items / missed items
+//   events.startDate, …       attribute correct / wrong or extra / wrong or missing
+//   priority                  one label per email, so precision = recall = accuracy
+//   tags                      tags in common / extra tags / missing tags
+
+const ITEM_SECTIONS = ["events", "tasks", "contacts"];
+
+// Attributes scored for found items; anything else the model adds is ignored.
+const ITEM_ATTRIBUTES = {
+  events:   ["startDate", "endDate", "forceAllDay"],
+  tasks:    ["initialDate", "dueDate"],
+  contacts: ["firstName", "lastName", "email", "phone", "company", "jobTitle"],
+};
+
+const DATE_ATTRIBUTES = ["startDate", "endDate", "initialDate", "dueDate"];
+
+// --- Matching ---
+
+function itemText(item) {
+  return ["preview", "summary", "firstName", "lastName", "company", "email", "jobTitle"]
+    .map(key => (typeof item[key] === "string" ? item[key] : ""))
+    .join(" ")
+    .toLowerCase();
+}
+
+function matchesKeywords(item, keywords) {
+  const text = itemText(item);
+  return keywords.every(k => text.includes(k.toLowerCase()));
+}
+
+function sameValue(attribute, expected, actual) {
+  if (actual === undefined || actual === null || actual === "") return false;
+  if (DATE_ATTRIBUTES.includes(attribute)) {
+    // "20260314" labels the day only
+    return /^\d{8}$/.test(expected) ? String(actual).startsWith(expected) : actual === expected;
+  }
+  if (attribute === "phone") {
+    return String(actual).replace(/\D/g, "") === String(expected).replace(/\D/g, "");
+  }
+  if (typeof expected === "string") {
+    return String(actual).trim().toLowerCase() === expected.trim().toLowerCase();
+  }
+  return actual === expected;
+}
+
+// Pair each expected item with the first unused actual item that has all
+// its keywords. Returns [{ expected, actual }] (actual null when missed)
+// and the actual items left over.
+function matchItems(expectedItems, actualItems) {
+  const unused = [...actualItems];
+  const pairs = expectedItems.map((expected) => {
+    const index = unused.findIndex(item => matchesKeywords(item, expected.keywords || []));
+    const actual = index >= 0 ? unused.splice(index, 1)[0] : null;
+    return { expected, actual };
+  });
+  return { pairs, extra: unused };
+}
+
+// --- Scoring ---
+
+function addCount(counts, field, key, n = 1) {
+  if (!counts[field]) counts[field] = { tp: 0, fp: 0, fn: 0 };
+  counts[field][key] += n;
+}
+
+function scoreItems(counts, misses, section, expectedItems, actualItems) {
+  const { pairs, extra } = matchItems(expectedItems, actualItems);
+  const attributes = ITEM_ATTRIBUTES[section];
+  addCount(counts, section, "tp", 0);
+
+  for (const { expected, actual } of pairs) {
+    const label = `${section}[${(expected.keywords || []).join(" ")}]`;
+    addCount(counts, section, actual ? "tp" : "fn");
+    if (!actual) misses.push(`${label}: not found`);
+
+    for (const attribute of attributes) {
+      if (!(attribute in expected)) continue;
+      const field = `${section}.${attribute}`;
+      const value = actual ? actual[attribute] : undefined;
+      if (sameValue(attribute, expected[attribute], value)) {
+        addCount(counts, field, "tp");
+        continue;
+      }
+      addCount(counts, field, "fn");
+      if (value !== undefined && value !== null && value !== "") {
+        addCount(counts, field, "fp");
+        misses.push(`${label}.${attribute}: expected ${JSON.stringify(expected[attribute])}, got ${JSON.stringify(value)}`);
+      } else if (actual) {
+        misses.push(`${label}.${attribute}: missing`);
+      }
+    }
+  }
+
+  for (const item of extra) {
+    addCount(counts, section, "fp");
+    misses.push(`${section}: unexpected ${JSON.stringify(item.preview || item.summary || "")}`);
+    // Attributes of an item that shouldn't exist are wrong too
+    for (const attribute of attributes) {
+      if (item[attribute] !== undefined && item[attribute] !== null && item[attribute] !== "") {
+        addCount(counts, `${section}.${attribute}`, "fp");
+      }
+    }
+  }
+}
+
+// Score one analysis result against a fixture's expected labels.
+// Returns { counts: { field: { tp, fp, fn } }, misses: [description] }.
+function scoreAnalysis(expected, actual) {
+  const counts = {};
+  const misses = [];
+  actual = actual || {};
+
+  for (const section of ITEM_SECTIONS) {
+    if (!Array.isArray(expected[section])) continue;
+    scoreItems(counts, misses, section, expected[section], Array.isArray(actual[section]) ? actual[section] : []);
+  }
+
+  if (expected.priority) {
+    if (actual.priority === expected.priority) {
+      addCount(counts, "priority", "tp");
+    } else {
+      addCount(counts, "priority", "fn");
+      if (actual.priority) addCount(counts, "priority", "fp");
+      misses.push(`priority: expected "${expected.priority}", got ${JSON.stringify(actual.priority || null)}`);
+    }
+  }
+
+  if (Array.isArray(expected.tags)) {
+    const want = new Set(expected.tags.map(t => t.toLowerCase()));
+    const got = new Set((Array.isArray(actual.tags) ? actual.tags : []).map(t => String(t).toLowerCase()));
+    const missing = [...want].filter(t => !got.has(t));
+    const extra = [...got].filter(t => !want.has(t));
+    addCount(counts, "tags", "tp", got.size - extra.length);
+    addCount(counts, "tags", "fp", extra.length);
+    addCount(counts, "tags", "fn", missing.length);
+    if (missing.length > 0) misses.push(`tags: missing ${missing.join(", ")}`);
+    if (extra.length > 0) misses.push(`tags: unexpected ${extra.join(", ")}`);
+  }
+
+  return { counts, misses };
+}
+
+// Add up per-fixture counts.
+function mergeCounts(countsList) {
+  const total = {};
+  for (const counts of countsList) {
+    for (const [field, c] of Object.entries(counts)) {
+      addCount(total, field, "tp", c.tp);
+      addCount(total, field, "fp", c.fp);
+      addCount(total, field, "fn", c.fn);
+    }
+  }
+  return total;
+}
+
+// Precision, recall and F1 for one field; null where nothing was counted.
+function precisionRecall({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? (2 * precision * recall) / (precision + recall)
+    : null;
+  return { precision, recall, f1 };
+}
+
+// Fields in report order: sections, their attributes, then priority and tags.
+function orderedFields(counts) {
+  const order = [];
+  for (const section of ITEM_SECTIONS) {
+    order.push(section, ...ITEM_ATTRIBUTES[section].map(a => `${section}.${a}`));
+  }
+  order.push("priority", "tags");
+  return Object.keys(counts).sort((a, b) => order.indexOf(a) - order.indexOf(b));
+}
+
+// Plain-text table of per-field precision and recall.
+function formatReport(counts) {
+  const pct = (v) => (v === null ? "—" : `${(v * 100).toFixed(0)}%`);
+  const rows = orderedFields(counts).map((field) => {
+    const c = counts[field];
+    const { precision, recall, f1 } = precisionRecall(c);
+    return [field, String(c.tp), String(c.fp), String(c.fn), pct(precision), pct(recall), pct(f1)];
+  });
+  const header = ["Field", "TP", "FP", "FN", "Precision", "Recall", "F1"];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+  return [line(header), ...rows.map(line)].join("\n");
+}
+
+module.exports = {
+  matchItems,
+  scoreAnalysis,
+  mergeCounts,
+  precisionRecall,
+  formatReport,
+};
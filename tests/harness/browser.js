@@ -0,0 +1,329 @@
+"use strict";
+
+// In-memory stand-in for the parts of the Thunderbird WebExtension API the
+// background scripts use, for Jest tests (see load.js).
+//
+// createFakeBrowser() returns { browser, ... }: the `browser` object the
+// scripts see, plus helpers to seed it and look at what the scripts did.
+//
+//   addMessage({ id, subject, author, date, body, folder, tags })
+//   addFolder({ id, accountId, name, specialUse })
+//   sendMessage(msg)          runtime message to the background script,
+//                             resolves with its sendResponse() answer
+//   calls.<api>               arguments of each recorded call, e.g.
+//                             calls.openCalendarDialog, calls.beginReply
+//   notifications             every notification created, in order
+//   menuItems, badges         menu items by id, badges by tab id
+//
+// Every event has addListener/removeListener/hasListener and
+// dispatch(...args), which calls the listeners and resolves with their
+// return values. Storage changes fire storage.onChanged a microtask later,
+// like the real thing.
+
+function fakeEvent() {
+  const listeners = [];
+  return {
+    addListener(fn) { listeners.push(fn); },
+    removeListener(fn) {
+      const index = listeners.indexOf(fn);
+      if (index >= 0) listeners.splice(index, 1);
+    },
+    hasListener(fn) { return listeners.includes(fn); },
+    listeners() { return [...listeners]; },
+    dispatch(...args) { return Promise.all(listeners.map(fn => fn(...args))); },
+  };
+}
+
+// --- Storage ---
+
+function storageArea(areaName, onChanged) {
+  let data = {};
+
+  function changed(changes) {
+    if (Object.keys(changes).length > 0) queueMicrotask(() => onChanged.dispatch(changes, areaName));
+  }
+
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(data);
+      if (typeof keys === "string") keys = [keys];
+      const result = {};
+      if (Array.isArray(keys)) {
+        for (const key of keys) {
+          if (key in data) result[key] = structuredClone(data[key]);
+        }
+        return result;
+      }
+      for (const [key, fallback] of Object.entries(keys)) {
+        result[key] = structuredClone(key in data ? data[key] : fallback);
+      }
+      return result;
+    },
+
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      }
+      changed(changes);
+    },
+
+    async remove(keys) {
+      const changes = {};
+      for (const key of (typeof keys === "string" ? [keys] : keys)) {
+        if (!(key in data)) continue;
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      }
+      changed(changes);
+    },
+
+    async clear() {
+      const changes = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, { oldValue: value }]));
+      data = {};
+      changed(changes);
+    },
+  };
+}
+
+// --- Browser ---
+
+function createFakeBrowser({ uiLanguage = "en-US", categories = [], tags = [] } = {}) {
+  const calls = {};
+  const record = (name, ...args) => {
+    (calls[name] ||= []).push(args);
+  };
+
+  const messages = new Map();   // id → { header, full }
+  const folders = [];
+  const notifications = [];
+  const menuItems = new Map();
+  const badges = new Map();     // tab id → { text, color }
+  const displayed = new Map();  // tab id → message id
+  const messageTags = tags.map(t => ({ ordinal: "", ...t }));
+  const composeBodies = new Map();
+  const pages = new Map();      // continueList id → remaining messages
+  let nextId = 1000;
+
+  const onChanged = fakeEvent();
+
+  function header(id) {
+    if (!messages.has(id)) throw new Error(`Message not found: ${id}`);
+    return structuredClone(messages.get(id).header);
+  }
+
+  // First page of a message list; the rest follow via continueList().
+  function messageList(list, pageSize) {
+    if (list.length <= pageSize) return { id: null, messages: list };
+    const pageId = `page-${nextId++}`;
+    pages.set(pageId, list.slice(pageSize));
+    return { id: pageId, messages: list.slice(0, pageSize) };
+  }
+
+  const fake = {
+    calls,
+    notifications,
+    menuItems,
+    badges,
+    messagePageSize: 100,
+    messageDisplayEnabled: null,
+
+    addMessage({ id, body = "", full = null, date = new Date(), folder = null, tags = [], ...rest }) {
+      messages.set(id, {
+        header: { id, subject: "", author: "", recipients: [], ccList: [], ...rest, date: new Date(date), folder, tags },
+        full: full || { contentType: "text/plain", body },
+      });
+    },
+
+    removeMessage(id) {
+      messages.delete(id);
+    },
+
+    hasMessage(id) {
+      return messages.has(id);
+    },
+
+    addFolder(folder) {
+      folders.push({ type: "", specialUse: [], ...folder });
+    },
+
+    displayMessage(tabId, messageId) {
+      displayed.set(tabId, messageId);
+    },
+
+    // Send a runtime message as another extension page would.
+    sendMessage(msg) {
+      return new Promise((resolve) => {
+        let async = false;
+        for (const fn of fake.browser.runtime.onMessage.listeners()) {
+          const result = fn(msg, {}, resolve);
+          if (result === true) async = true;
+          else if (result && typeof result.then === "function") return result.then(resolve);
+        }
+        if (!async) resolve(undefined);
+      });
+    },
+  };
+
+  fake.browser = {
+    storage: {
+      local: storageArea("local", onChanged),
+      sync: storageArea("sync", onChanged),
+      onChanged,
+    },
+
+    runtime: {
+      onInstalled: fakeEvent(),
+      onMessage: fakeEvent(),
+      async sendMessage(msg) { record("sendMessage", msg); },
+      getURL: (path) => `moz-extension://test/${path}`,
+      async openOptionsPage() { record("openOptionsPage"); },
+    },
+
+    i18n: {
+      getUILanguage: () => uiLanguage,
+    },
+
+    messages: {
+      onNewMailReceived: fakeEvent(),
+      onDeleted: fakeEvent(),
+      async get(id) { return header(id); },
+      async getFull(id) {
+        if (!messages.has(id)) throw new Error(`Message not found: ${id}`);
+        return structuredClone(messages.get(id).full);
+      },
+      async query({ folderId, fromDate } = {}) {
+        const found = [...messages.values()]
+          .map(m => m.header)
+          .filter(h => !folderId || (h.folder && h.folder.id === folderId))
+          .filter(h => !fromDate || h.date >= fromDate)
+          .map(h => structuredClone(h));
+        return messageList(found, fake.messagePageSize);
+      },
+      async continueList(pageId) {
+        if (!pages.has(pageId)) throw new Error(`Unknown message list: ${pageId}`);
+        const rest = pages.get(pageId);
+        pages.delete(pageId);
+        return messageList(rest, fake.messagePageSize);
+      },
+      async update(id, properties) {
+        record("updateMessage", id, properties);
+        if (messages.has(id)) Object.assign(messages.get(id).header, structuredClone(properties));
+      },
+      async archive(ids) { record("archive", ids); },
+      async delete(ids) { record("deleteMessages", ids); },
+      tags: {
+        async list() { return structuredClone(messageTags); },
+        async create(key, tag, color) {
+          record("createTag", key, tag, color);
+          if (messageTags.some(t => t.key === key)) throw new Error(`Tag exists: ${key}`);
+          messageTags.push({ key, tag, color, ordinal: "" });
+        },
+      },
+    },
+
+    folders: {
+      async query({ specialUse } = {}) {
+        return folders
+          .filter(f => !specialUse || specialUse.every(use => f.specialUse.includes(use)))
+          .map(f => structuredClone(f));
+      },
+    },
+
+    menus: {
+      onClicked: fakeEvent(),
+      create(properties) {
+        menuItems.set(properties.id, { ...properties });
+        return properties.id;
+      },
+      async update(id, properties) {
+        Object.assign(menuItems.get(id) || {}, properties);
+      },
+    },
+
+    notifications: {
+      onClicked: fakeEvent(),
+      onClosed: fakeEvent(),
+      async create(id, options) {
+        if (typeof id !== "string") {
+          options = id;
+          id = `notification-${nextId++}`;
+        }
+        notifications.push({ id, ...options });
+        return id;
+      },
+      async clear(id) { record("clearNotification", id); return true; },
+    },
+
+    compose: {
+      async beginReply(messageId, replyType) {
+        record("beginReply", messageId, replyType);
+        return { id: nextId++ };
+      },
+      async beginForward(messageId, forwardType) {
+        record("beginForward", messageId, forwardType);
+        return { id: nextId++ };
+      },
+      async beginNew(details) {
+        record("beginNew", details);
+        return { id: nextId++ };
+      },
+      async getComposeDetails(tabId) {
+        return { body: composeBodies.get(tabId) || "<p>Original message</p>" };
+      },
+      async setComposeDetails(tabId, details) {
+        record("setComposeDetails", tabId, details);
+        if (details.body !== undefined) composeBodies.set(tabId, details.body);
+      },
+    },
+
+    CalendarTools: {
+      async getCategories() { return [...categories]; },
+      async openCalendarDialog(data) { record("openCalendarDialog", structuredClone(data)); },
+      async openTaskDialog(data) { record("openTaskDialog", structuredClone(data)); },
+    },
+
+    messageDisplay: {
+      onMessageDisplayed: fakeEvent(),
+      async getDisplayedMessage(tabId) {
+        return displayed.has(tabId) ? header(displayed.get(tabId)) : null;
+      },
+    },
+
+    messageDisplayAction: {
+      onClicked: fakeEvent(),
+      async enable() { fake.messageDisplayEnabled = true; },
+      async disable() { fake.messageDisplayEnabled = false; },
+      async setBadgeText({ tabId, text }) {
+        badges.set(tabId, { ...badges.get(tabId), text });
+      },
+      async setBadgeBackgroundColor({ tabId, color }) {
+        badges.set(tabId, { ...badges.get(tabId), color });
+      },
+    },
+
+    tabs: {
+      async query() { return [...displayed.keys()].map(id => ({ id, active: true })); },
+      async create(properties) { record("createTab", properties); return { id: nextId++ }; },
+    },
+
+    windows: {
+      onRemoved: fakeEvent(),
+      async create(properties) {
+        record("createWindow", properties);
+        return { id: nextId++, ...properties };
+      },
+      async get(id) { return { id }; },
+      async remove(id) { record("removeWindow", id); },
+      async openDefaultBrowser(url) { record("openDefaultBrowser", url); },
+    },
+  };
+
+  return fake;
+}
+
+module.exports = {
+  fakeEvent,
+  createFakeBrowser,
+};
@@ -0,0 +1,166 @@
+"use strict";
+
+// Loads the extension's background scripts for Jest the way the manifest
+// does: each file runs as a classic script in one fresh global scope, so
+// their top-level functions and constants see each other exactly as in the
+// background page, and nothing is shared between tests.
+//
+//   const bg = loadBackground({ fetch: fakeOllama(['{"summary":"…"}']) });
+//   bg.fake.addMessage({ id: 1, subject: "Lunch", body: "…" });
+//   await bg.call("cacheSet", 1, { summary: "Lunch" });
+//   bg.get("bgQueue");
+//
+// Timers and Date are looked up in the test's own globals on every use, so
+// jest.useFakeTimers() covers the scripts too. Keep setImmediate real
+// (doNotFake) and use settle() to let pending promise chains finish.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { createFakeBrowser } = require("./browser.js");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// manifest.json background.scripts, with config.prod.js standing in for the
+// config.js that build.sh generates.
+function backgroundScripts() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+  return manifest.background.scripts.map(file => (file === "config.js" ? "config.prod.js" : file));
+}
+
+function noNetwork(url) {
+  return Promise.reject(new TypeError(`No network in tests: ${url}`));
+}
+
+function createGlobals(browser, fetchImpl) {
+  const globals = {
+    browser,
+    console,
+    URL,
+    AbortController,
+    AbortSignal,
+    TextEncoder,
+    TextDecoder,
+    btoa,
+    performance,
+    structuredClone,
+    fetch: (...args) => fetchImpl(...args),
+  };
+  for (const name of ["setTimeout", "clearTimeout", "setInterval", "clearInterval", "Date"]) {
+    Object.defineProperty(globals, name, { get: () => globalThis[name], enumerable: true });
+  }
+  return globals;
+}
+
+// Load scripts (default: all background scripts in manifest order) into a
+// new scope. options.fetch answers the scripts' network requests; by
+// default every request fails as unreachable. options.browser takes
+// createFakeBrowser() options.
+function loadScripts(files = backgroundScripts(), { fetch = noNetwork, browser = {} } = {}) {
+  const fake = createFakeBrowser(browser);
+  const context = vm.createContext(createGlobals(fake.browser, fetch));
+  for (const file of files) {
+    const code = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(code, context, { filename: path.join(ROOT, file) });
+  }
+  return {
+    fake,
+    browser: fake.browser,
+    // Value of an expression in the scripts' scope, e.g. get("bgQueue.length")
+    get: (expression) => vm.runInContext(expression, context),
+    // Call a function defined by the scripts
+    call: (name, ...args) => vm.runInContext(name, context)(...args),
+  };
+}
+
+function loadBackground(options = {}) {
+  return loadScripts(backgroundScripts(), options);
+}
+
+// Let every pending promise chain run to completion — anything that isn't
+// waiting on a timer.
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// --- Fake Ollama server ---
+
+function fakeResponse(status, text, contentType = "application/json") {
+  const bytes = new TextEncoder().encode(text);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    url: "",
+    headers: { get: (name) => (name.toLowerCase() === "content-type" ? contentType : null) },
+    text: async () => text,
+    json: async () => JSON.parse(text),
+    body: {
+      getReader() {
+        let done = false;
+        return {
+          async read() {
+            if (done) return { done: true, value: undefined };
+            done = true;
+            return { done: false, value: bytes };
+          },
+          async cancel() { done = true; },
+        };
+      },
+    },
+  };
+}
+
+// A fetch() that answers like an Ollama server. Each /api/chat request gets
+// the next reply: a string is the model's answer, an Error is thrown as a
+// network failure, and { status, text } is an HTTP error. replies can also
+// be a (possibly async) function (body, init) → reply; init.signal lets it
+// stand for a request that only ends when aborted. Requests are kept in
+// fetch.requests; set fetch.down to make the server unreachable.
+function fakeOllama(replies = [], { models = ["mistral:7b"] } = {}) {
+  const requests = [];
+  const next = (body, init) => {
+    if (typeof replies === "function") return replies(body, init);
+    if (replies.length === 0) throw new Error("fakeOllama: no reply left for this request");
+    return replies.shift();
+  };
+
+  const fetchImpl = async (url, init = {}) => {
+    const { pathname } = new URL(String(url));
+    const body = init.body ? JSON.parse(init.body) : null;
+    requests.push({ url: String(url), path: pathname, body });
+    if (fetchImpl.down) throw new TypeError("NetworkError when attempting to fetch resource.");
+
+    if (pathname.endsWith("/api/tags")) {
+      return fakeResponse(200, JSON.stringify({ models: models.map(name => ({ name, size: 1 })) }));
+    }
+    if (pathname.endsWith("/api/show")) {
+      return fakeResponse(200, JSON.stringify({ capabilities: ["completion"] }));
+    }
+    if (!pathname.endsWith("/api/chat")) return fakeResponse(404, "not found", "text/plain");
+    // A chat without messages only loads the model
+    if (!body.messages || body.messages.length === 0) return fakeResponse(200, JSON.stringify({ done: true }));
+
+    const reply = await next(body, init);
+    if (reply instanceof Error) throw reply;
+    if (reply && typeof reply === "object") return fakeResponse(reply.status, reply.text || "", "text/plain");
+    const counts = { prompt_eval_count: 100, eval_count: 20 };
+    if (body.stream) {
+      return fakeResponse(200, JSON.stringify({ message: { content: reply }, done: true, ...counts }) + "\n",
+        "application/x-ndjson");
+    }
+    return fakeResponse(200, JSON.stringify({ message: { role: "assistant", content: reply }, done: true, ...counts }));
+  };
+  fetchImpl.requests = requests;
+  fetchImpl.down = false;
+  fetchImpl.chats = () => requests.filter(r => r.path.endsWith("/api/chat") && r.body.messages?.length > 0);
+  return fetchImpl;
+}
+
+module.exports = {
+  backgroundScripts,
+  loadScripts,
+  loadBackground,
+  settle,
+  fakeOllama,
+};
@@ -6,6 +6,10 @@
 //
 // The tests skip automatically if Ollama is not reachable. Set OLLAMA_HOST and
 // OLLAMA_MODEL env vars to override defaults.
+//
+// Set LLM_REPLAY=record to save every response under tests/fixtures/recorded,
+// and LLM_REPLAY=replay to run the tests offline against those recordings
+// (see replay.js).
 
 const {
   buildCalendarPrompt,
@@ -17,6 +21,7 @@ const {
   advancePastYear,
   applyCalendarDefaults,
 } = require("../utils.js");
+const { createReplayFetch } = require("./replay.js");
 
 let testConfig = {};
 try { testConfig = require("../config.test.js"); } catch {}
@@ -24,6 +29,9 @@ try { testConfig = require("../config.test.js"); } catch {}
 const OLLAMA_HOST  = process.env.OLLAMA_HOST  || testConfig.ollamaHost  || "http://127.0.0.1:11434";
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || testConfig.ollamaModel || "mistral:7b";
 
+const REPLAY_MODE = process.env.LLM_REPLAY || "live";
+const llmFetch    = createReplayFetch({ mode: REPLAY_MODE });
+
 // Reference dates — Feb 20 2026 is a Friday.
 const MAIL_DATE = "02/20/2026";
 const TODAY     = "02/20/2026";
@@ -36,23 +44,27 @@ let ollamaAvailable = false;
 
 beforeAll(async () => {
   try {
-    const res = await fetch(`${OLLAMA_HOST}/api/tags`, {
+    const res = await llmFetch(`${OLLAMA_HOST}/api/tags`, {
       signal: AbortSignal.timeout(5_000),
     });
     ollamaAvailable = res.ok;
-  } catch {
+  } catch (e) {
+    // Without a recording there is nothing to replay — fail, don't skip
+    if (REPLAY_MODE === "replay") throw e;
     ollamaAvailable = false;
   }
-  if (!ollamaAvailable) {
+  if (REPLAY_MODE === "replay") {
+    console.log(`\n  ✓ Replaying recorded responses for model: ${OLLAMA_MODEL}\n`);
+  } else if (!ollamaAvailable) {
     console.warn(`\n  ⚠ Ollama not reachable at ${OLLAMA_HOST} — all integration tests will be skipped.\n`);
   } else {
     console.log(`\n  ✓ Ollama reachable — running against model: ${OLLAMA_MODEL}\n`);
   }
 }, 10_000);
 
-async function callOllama(prompt, options = {}) {
+async function callOllama(messages, options = {}) {
   const timeoutMs = options.timeout || 90_000;
-  const body = { model: OLLAMA_MODEL, prompt, stream: false };
+  const body = { model: OLLAMA_MODEL, messages, stream: false };
   const ollamaOpts = {};
   if (options.num_predict) ollamaOpts.num_predict = options.num_predict;
   if (options.num_ctx) ollamaOpts.num_ctx = options.num_ctx;
@@ -60,14 +72,14 @@ async function callOllama(prompt, options = {}) {
   if (Object.keys(ollamaOpts).length > 0) body.options = ollamaOpts;
   if (options.format) body.format = options.format;
 
-  const res = await fetch(`${OLLAMA_HOST}/api/generate`, {
+  const res = await llmFetch(`${OLLAMA_HOST}/api/chat`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body),
     signal: AbortSignal.timeout(timeoutMs),
   });
   if (!res.ok) throw new Error(`HTTP ${res.status}: ${await res.text()}`);
-  return (await res.json()).response;
+  return (await res.json()).message.content;
 }
 
 // Run the full extraction pipeline (same as background.js does).
@@ -75,8 +87,8 @@ async function extractCalendar(emailBody, subject, opts = {}) {
   const mailDate  = opts.mailDate   || MAIL_DATE;
   const currentDt = opts.currentDate || TODAY;
   const attendees = opts.attendees  || [];
-  const prompt = buildCalendarPrompt(emailBody, subject, mailDate, currentDt, attendees, null);
-  const raw    = await callOllama(prompt);
+  const messages = buildCalendarPrompt(emailBody, subject, mailDate, currentDt, attendees, null);
+  const raw    = await callOllama(messages);
   const parsed = JSON.parse(extractJSON(raw));
   if (parsed.startDate) parsed.startDate = normalizeCalDate(parsed.startDate);
   if (parsed.endDate)   parsed.endDate   = normalizeCalDate(parsed.endDate);
@@ -319,8 +331,8 @@ describe("calendar integration", () => {
   itOnline("includeDescription → AI returns a non-empty description string", async () => {
     const emailBody = "Hi team, please join us for the Q1 review presentation on March 10, 2026 at 2pm in Conference Room B. We will cover revenue targets, customer feedback, and plans for Q2.";
     const subject = "Q1 Review Presentation";
-    const prompt = buildCalendarPrompt(emailBody, subject, MAIL_DATE, TODAY, [], null, true);
-    const raw = await callOllama(prompt);
+    const messages = buildCalendarPrompt(emailBody, subject, MAIL_DATE, TODAY, [], null, true);
+    const raw = await callOllama(messages);
     const parsed = JSON.parse(extractJSON(raw));
     expect(typeof parsed.description).toBe("string");
     expect(parsed.description.length).toBeGreaterThan(0);
@@ -336,8 +348,8 @@ describe("calendar integration", () => {
 async function extractTask(emailBody, subject, opts = {}) {
   const mailDate  = opts.mailDate   || MAIL_DATE;
   const currentDt = opts.currentDate || TODAY;
-  const prompt = buildTaskPrompt(emailBody, subject, mailDate, currentDt, null);
-  const raw    = await callOllama(prompt);
+  const messages = buildTaskPrompt(emailBody, subject, mailDate, currentDt, null);
+  const raw    = await callOllama(messages);
   const parsed = JSON.parse(extractJSON(raw));
   // normalizeTaskData (from background.js)
   if (parsed.dueDate)     parsed.dueDate     = normalizeCalDate(parsed.dueDate);
@@ -415,15 +427,15 @@ jane.smith@acme.com
     const subject = "Q1 Budget Review Meeting - Thursday 2pm";
     const author = "Jane Smith <jane.smith@acme.com>";
 
-    const prompt = buildCombinedExtractionPrompt(
+    const messages = buildCombinedExtractionPrompt(
       body, subject, author, MAIL_DATE, TODAY,
       ["jane.smith@acme.com", "team@acme.com"],
       ["Work", "Finance", "Personal"],
       ["Work", "Finance", "Meetings"]
     );
 
-    console.log("  Combined prompt length:", prompt.length, "chars");
-    const raw = await callOllama(prompt, {
+    console.log("  Combined prompt length:", messages.reduce((n, m) => n + m.content.length, 0), "chars");
+    const raw = await callOllama(messages, {
       num_ctx: 16384, num_predict: 16384, timeout: 300_000,
     });
     console.log("  Raw response length:", raw.length, "chars");
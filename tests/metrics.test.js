@@ -0,0 +1,100 @@
+"use strict";
+
+const {
+  METRICS_MAX_ENTRIES,
+  pruneMetrics,
+  summarizeMetrics,
+  bucketMetrics,
+} = require("../metrics.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function entry(fields) {
+  return {
+    ts: 0, action: "calendar", provider: "ollama", host: "http://a:11434", model: "m1",
+    promptTokens: null, outputTokens: null, latencyMs: 0, outcome: "ok",
+    ...fields,
+  };
+}
+
+describe("pruneMetrics", () => {
+  test("drops entries older than the maximum age", () => {
+    const now = 100 * DAY_MS;
+    const entries = [entry({ ts: 5 * DAY_MS }), entry({ ts: 20 * DAY_MS }), entry({ ts: 99 * DAY_MS })];
+    expect(pruneMetrics(entries, now).map(e => e.ts)).toEqual([20 * DAY_MS, 99 * DAY_MS]);
+  });
+
+  test("keeps the newest entries when over the limit", () => {
+    const entries = [1, 2, 3, 4].map(ts => entry({ ts }));
+    expect(pruneMetrics(entries, 10, 2).map(e => e.ts)).toEqual([3, 4]);
+  });
+
+  test("defaults to a bounded store", () => {
+    const entries = Array.from({ length: METRICS_MAX_ENTRIES + 5 }, (_, i) => entry({ ts: i }));
+    expect(pruneMetrics(entries, 0)).toHaveLength(METRICS_MAX_ENTRIES);
+  });
+});
+
+describe("summarizeMetrics", () => {
+  test("compares models, most used first", () => {
+    const summary = summarizeMetrics([
+      entry({ model: "m1", latencyMs: 2000, promptTokens: 1000, outputTokens: 100 }),
+      entry({ model: "m2", host: "http://b:11434", latencyMs: 1000, outputTokens: 40 }),
+      entry({ model: "m2", host: "http://c:11434", latencyMs: 3000, promptTokens: 500, outputTokens: 60, outcome: "invalid" }),
+      entry({ model: "m2", outcome: "error", latencyMs: 50 }),
+      entry({ model: "m2", outcome: "cancelled", latencyMs: 400 }),
+    ]);
+
+    expect(summary.map(s => s.model)).toEqual(["m2", "m1"]);
+    expect(summary[0]).toEqual({
+      model: "m2",
+      hosts: ["http://b:11434", "http://c:11434", "http://a:11434"],
+      calls: 4,
+      ok: 1,
+      invalid: 1,
+      error: 1,
+      cancelled: 1,
+      successRate: 1 / 3,
+      avgLatencyMs: 2000,
+      avgPromptTokens: 500,
+      avgOutputTokens: 50,
+      tokensPerSecond: 25,
+    });
+    expect(summary[1]).toMatchObject({ calls: 1, successRate: 1, avgPromptTokens: 1000, tokensPerSecond: 50 });
+  });
+
+  test("reports unknown averages as null", () => {
+    const [s] = summarizeMetrics([entry({ outcome: "cancelled" })]);
+    expect(s.successRate).toBeNull();
+    expect(s.avgLatencyMs).toBeNull();
+    expect(s.avgOutputTokens).toBeNull();
+    expect(s.tokensPerSecond).toBeNull();
+  });
+
+  test("returns nothing for no entries", () => {
+    expect(summarizeMetrics([])).toEqual([]);
+  });
+});
+
+describe("bucketMetrics", () => {
+  test("counts outcomes and averages latency per model in each bucket", () => {
+    const buckets = bucketMetrics([
+      entry({ ts: 0, latencyMs: 100 }),
+      entry({ ts: 5, latencyMs: 300 }),
+      entry({ ts: 12, model: "m2", latencyMs: 50, outcome: "invalid" }),
+      entry({ ts: 15, outcome: "error", latencyMs: 9 }),
+      entry({ ts: 25, outcome: "cancelled" }),
+    ], 0, 30, 10);
+
+    expect(buckets).toEqual([
+      { start: 0, calls: 2, ok: 2, failed: 0, latencyByModel: { m1: 200 } },
+      { start: 10, calls: 2, ok: 0, failed: 2, latencyByModel: { m2: 50 } },
+      { start: 20, calls: 1, ok: 0, failed: 0, latencyByModel: {} },
+    ]);
+  });
+
+  test("ignores entries outside the range", () => {
+    const buckets = bucketMetrics([entry({ ts: -1 }), entry({ ts: 20 })], 0, 20, 10);
+    expect(buckets.map(b => b.calls)).toEqual([0, 0]);
+  });
+});
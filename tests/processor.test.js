@@ -0,0 +1,760 @@
+"use strict";
+
+const { backgroundScripts, loadScripts, settle, fakeOllama } = require("./harness/load.js");
+const { createReplayFetch } = require("./replay.js");
+const { ANALYSIS_PRIORITIES } = require("../utils.js");
+
+// Everything up to processor.js; background.js would start the processor
+// on load.
+const SCRIPTS = backgroundScripts().filter(file => file !== "background.js");
+
+const INBOX = { id: "account1://INBOX", accountId: "account1", path: "/INBOX", name: "Inbox", specialUse: ["inbox"] };
+const ARCHIVE = { id: "account1://Archive", accountId: "account1", path: "/Archive", name: "Archive", specialUse: ["archives"] };
+const PROJECTS = { id: "account1://Projects", accountId: "account1", path: "/Projects", name: "Projects", specialUse: [] };
+const ALPHA = { id: "account1://Projects/Alpha", accountId: "account1", path: "/Projects/Alpha", name: "Alpha", specialUse: [] };
+const SHARED_INBOX = { id: "account2://INBOX", accountId: "account2", path: "/INBOX", name: "Inbox", specialUse: ["inbox"] };
+
+const BODY = "Hi team, the quarterly planning meeting moves to Thursday at 2pm in room B.";
+
+let bg;
+let llm;
+
+function load(replies) {
+  llm = fakeOllama(replies);
+  bg = loadScripts(SCRIPTS, { fetch: llm });
+  return bg;
+}
+
+function addMail(id, overrides = {}) {
+  bg.fake.addMessage({ id, subject: `Message ${id}`, author: "Ann <ann@example.com>", body: BODY, folder: INBOX, ...overrides });
+}
+
+function enable() {
+  bg.get("bgEnabled = true");
+}
+
+// Run the timers due in the next ms and let the work they start finish.
+async function advance(ms) {
+  await jest.advanceTimersByTimeAsync(ms);
+  await settle();
+}
+
+const analysis = (summary) => JSON.stringify({ summary, priority: "informational" });
+
+// Subjects of the emails sent to the model, in order
+const analyzedSubjects = () => llm.chats().map(r => r.body.messages[1].content.match(/Subject: (.*)/)[1]);
+
+beforeEach(() => {
+  jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick", "queueMicrotask"] });
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// ---------------------------------------------------------------------------
+// Queue
+// ---------------------------------------------------------------------------
+describe("bgProcessorEnqueue", () => {
+  test("skips duplicates unless forced", () => {
+    load([]);
+    bg.call("bgProcessorEnqueue", 1);
+    bg.call("bgProcessorEnqueue", 1);
+    bg.call("bgProcessorEnqueue", 2);
+    bg.call("bgProcessorEnqueue", 1, true);
+    expect(bg.get("bgQueue.map(i => [i.messageId, i.force])")).toEqual([[1, false], [2, false], [1, true]]);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ enabled: false, queueLength: 3, processing: false });
+  });
+
+  test("nothing is processed while disabled", async () => {
+    load([]);
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(5000);
+    expect(llm.chats()).toEqual([]);
+    expect(bg.get("bgQueue.length")).toBe(1);
+  });
+});
+
+describe("processing", () => {
+  test("analyzes queued messages in order and caches the results", async () => {
+    load((body) => analysis(body.messages[1].content.includes("Message 1") ? "First" : "Second"));
+    enable();
+    addMail(1);
+    addMail(2);
+    bg.call("bgProcessorEnqueue", 1);
+    bg.call("bgProcessorEnqueue", 2);
+
+    await advance(2000);
+    await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 1", "Message 2"]);
+
+    expect((await bg.call("cacheGet", 1)).raw.summary).toBe("First");
+    expect((await bg.call("cacheGet", 2)).raw.summary).toBe("Second");
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ queueLength: 0, processing: false, processedCount: 2, errorCount: 0 });
+  });
+
+  test("uses the background context window minimums", async () => {
+    load([analysis("Done")]);
+    enable();
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(llm.chats()[0].body.options).toMatchObject({ num_ctx: 16384, num_predict: 16384 });
+  });
+
+  test("skips cached messages unless forced", async () => {
+    load([analysis("Fresh")]);
+    enable();
+    addMail(1);
+    await bg.call("cacheSet", 1, { summary: "Cached" });
+
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(llm.chats()).toEqual([]);
+
+    bg.call("bgProcessorEnqueue", 1, true);
+    await advance(2000);
+    expect((await bg.call("cacheGet", 1)).raw.summary).toBe("Fresh");
+  });
+
+  test("caches very short emails as empty without asking the model", async () => {
+    load([]);
+    enable();
+    addMail(1, { body: "Thanks!" });
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(llm.chats()).toEqual([]);
+    expect((await bg.call("cacheGet", 1)).raw).toMatchObject({ summary: "(email too short to analyze)", events: [] });
+  });
+
+  test("skips messages that no longer exist", async () => {
+    load([analysis("Second")]);
+    enable();
+    addMail(2);
+    bg.call("bgProcessorEnqueue", 1);
+    bg.call("bgProcessorEnqueue", 2);
+    await advance(2000);
+    await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 2"]);
+    expect(await bg.call("cacheHas", 1)).toBe(false);
+  });
+
+  test("marks unusable output as an error after the correction attempt", async () => {
+    load(["not JSON", "still not JSON"]);
+    enable();
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(llm.chats()).toHaveLength(2);
+    expect(await bg.call("cacheHas", 1)).toBe(false);
+    expect((await bg.browser.storage.local.get("_bgCacheIndex"))._bgCacheIndex.entries[1].status).toBe("error");
+    expect(bg.call("bgProcessorGetStatus").errorCount).toBe(1);
+  });
+
+  // Runs offline against tests/fixtures/recorded; LLM_REPLAY=record refreshes
+  // the recording from a real Ollama (see replay.js).
+  test("analyzes a message with a recorded model response", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    llm = createReplayFetch({ mode: process.env.LLM_REPLAY === "record" ? "record" : "replay" });
+    bg = loadScripts(SCRIPTS, { fetch: llm });
+    enable();
+    addMail(1, {
+      subject: "Quarterly planning moved",
+      author: "Jane Smith <jane.smith@acme.com>",
+      date: new Date("2026-02-20T09:00:00"),
+    });
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+
+    const cached = await bg.call("cacheGet", 1);
+    expect(cached.raw.summary).toMatch(/planning/i);
+    expect(ANALYSIS_PRIORITIES).toContain(cached.raw.priority);
+    expect(cached.raw.events[0].startDate).toMatch(/^20260226T14/);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ processedCount: 1, errorCount: 0 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Retry and pause
+// ---------------------------------------------------------------------------
+describe("LLM errors", () => {
+  const hostNotifications = () => bg.fake.notifications
+    .filter(n => n.id === "thunderclerk-ai-bg-host").map(n => n.title);
+
+  // Retry delays at the top of their jitter range
+  const noJitter = () => bg.get("Math.random = () => 1");
+
+  test("an unreachable host pauses the queue without using up the message's attempts", async () => {
+    load([new TypeError("fetch failed"), analysis("Recovered"), analysis("Next")]);
+    noJitter();
+    enable();
+    addMail(1);
+    addMail(2);
+    bg.call("bgProcessorEnqueue", 1);
+    bg.call("bgProcessorEnqueue", 2);
+
+    await advance(2000);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({
+      paused: true, hostDown: true, processing: false, errorCount: 0, queueLength: 2,
+    });
+    expect(bg.get("bgQueue[0]")).toMatchObject({ messageId: 1 });
+    expect(bg.get("bgQueue[0].attempts")).toBeUndefined();
+    expect(hostNotifications()).toEqual(["ThunderClerk-AI — LLM host unavailable"]);
+
+    // Nothing runs while paused
+    await advance(20000);
+    expect(llm.chats()).toHaveLength(1);
+
+    // The health check after 30s finds the host and the queue resumes
+    await advance(10000);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ paused: false, hostDown: false, retryAt: null });
+    await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 1", "Message 1"]);
+    expect((await bg.call("cacheGet", 1)).raw.summary).toBe("Recovered");
+    expect(hostNotifications()).toEqual(["ThunderClerk-AI — LLM host unavailable", "ThunderClerk-AI — LLM host is back"]);
+  });
+
+  test("health checks back off exponentially while the host stays down", async () => {
+    const replies = [];
+    load(replies);
+    noJitter();
+    enable();
+    addMail(1);
+    llm.down = true;
+    bg.call("bgProcessorEnqueue", 1);
+    const probes = () => llm.requests.filter(r => r.path === "/api/tags").length;
+
+    await advance(2000);
+    await advance(30000);
+    expect(probes()).toBe(1);
+    await advance(59000);
+    expect(probes()).toBe(1);
+    await advance(1000);
+    expect(probes()).toBe(2);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ paused: true, retryAt: Date.now() + 120000 });
+
+    llm.down = false;
+    replies.push(analysis("Back"));
+    await advance(120000);
+    await advance(2000);
+    expect((await bg.call("cacheGet", 1)).raw.summary).toBe("Back");
+    expect(hostNotifications()).toEqual(["ThunderClerk-AI — LLM host unavailable", "ThunderClerk-AI — LLM host is back"]);
+  });
+
+  test("a different kind of failure starts its own backoff", async () => {
+    const replies = [];
+    load(replies);
+    noJitter();
+    enable();
+    addMail(1);
+    llm.down = true;
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    await advance(30000 + 60000);
+    expect(bg.call("bgProcessorGetStatus").retryAt).toBe(Date.now() + 120000);
+
+    // The host is back but fails this message: wait the server base delay,
+    // not the outage's
+    llm.down = false;
+    replies.push({ status: 500, text: "boom" });
+    await advance(120000);
+    await advance(2000);
+    expect(bg.get("bgQueue[0].attempts")).toBe(1);
+    expect(bg.call("bgProcessorGetStatus").retryAt).toBe(Date.now() + 30000);
+  });
+
+  test("resume when Auto Analyze is turned back on during a pause", async () => {
+    load([new TypeError("fetch failed"), analysis("Recovered")]);
+    noJitter();
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: true });
+    await bg.call("initBgProcessor");
+    await settle();
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(bg.call("bgProcessorGetStatus").paused).toBe(true);
+
+    // The retry comes due while disabled
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: false });
+    await settle();
+    await advance(30000);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ paused: true, queueLength: 1 });
+
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: true });
+    await settle();
+    expect(bg.call("bgProcessorGetStatus").paused).toBe(false);
+    await advance(2000);
+    expect((await bg.call("cacheGet", 1)).raw.summary).toBe("Recovered");
+    expect(bg.get("bgQueue.length")).toBe(0);
+  });
+
+  test("a missing model counts as the host being down", async () => {
+    load([{ status: 404, text: '{"error":"model \\"mistral:7b\\" not found, try pulling it first"}' }]);
+    enable();
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ paused: true, hostDown: true, queueLength: 1 });
+    expect(bg.fake.notifications[0].message).toContain("the model mistral:7b was not found");
+  });
+
+  test("rejected credentials pause the queue instead of failing each message", async () => {
+    load([{ status: 401, text: "unauthorized" }]);
+    enable();
+    addMail(1);
+    addMail(2);
+    bg.call("bgProcessorEnqueue", 1);
+    bg.call("bgProcessorEnqueue", 2);
+    await advance(2000);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({
+      paused: true, hostDown: true, queueLength: 2, deadLetterCount: 0, errorCount: 0,
+    });
+    expect(bg.get("bgQueue[0].attempts")).toBeUndefined();
+    expect(hostNotifications()).toEqual(["ThunderClerk-AI — LLM host unavailable"]);
+    expect(bg.fake.notifications[0].message).toContain("Authentication failed (HTTP 401)");
+  });
+
+  test("server errors retry the message, then move it to the failed messages", async () => {
+    load([{ status: 500, text: "boom" }, { status: 500, text: "boom" }, { status: 500, text: "boom" }, analysis("Fine")]);
+    noJitter();
+    enable();
+    addMail(1, { date: new Date("2026-02-20T09:00:00") });
+    addMail(2, { date: new Date("2026-02-20T08:00:00") });
+    bg.call("bgProcessorEnqueue", 1, false, "new-mail", { id: 1, date: new Date("2026-02-20T09:00:00") });
+    bg.call("bgProcessorEnqueue", 2, false, "new-mail", { id: 2, date: new Date("2026-02-20T08:00:00") });
+
+    await advance(2000);
+    expect(bg.get("bgQueue.map(i => [i.messageId, i.attempts])")).toEqual([[1, 1], [2, undefined]]);
+    await advance(30000 + 2000);
+    expect(bg.get("bgQueue[0].attempts")).toBe(2);
+    await advance(60000 + 2000);
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([2]);
+    expect(bg.call("bgProcessorGetDeadLetters")).toEqual([
+      expect.objectContaining({ messageId: 1, attempts: 3, errorClass: "server", error: "HTTP 500: boom", failedAt: Date.now() }),
+    ]);
+    expect(bg.call("bgProcessorGetStatus")).toMatchObject({ errorCount: 1, deadLetterCount: 1, hostDown: false });
+    expect((await bg.browser.storage.local.get("_bgCacheIndex"))._bgCacheIndex.entries[1].status).toBe("error");
+
+    // The rest of the queue carries on; the host was up all along
+    await advance(30000 + 2000);
+    expect(analyzedSubjects()).toEqual(["Message 1", "Message 1", "Message 1", "Message 2"]);
+    expect(hostNotifications()).toEqual([]);
+    const { _bgDeadLetters } = await bg.browser.storage.local.get("_bgDeadLetters");
+    expect(_bgDeadLetters.map(i => i.messageId)).toEqual([1]);
+  });
+
+  test("failed messages are skipped by new mail and backfill until queued again", async () => {
+    load([analysis("Second try")]);
+    await bg.browser.storage.local.set({
+      _bgDeadLetters: [{ messageId: 1, source: "backfill", attempts: 2, errorClass: "timeout", error: "timed out" }],
+    });
+    await bg.call("initBgProcessor");
+    enable();
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1, false, "backfill");
+    expect(bg.get("bgQueue.length")).toBe(0);
+
+    expect(bg.call("bgProcessorRetryDeadLetters")).toBe(1);
+    expect(bg.get("bgQueue.map(i => [i.messageId, i.source])")).toEqual([[1, "manual"]]);
+    expect(bg.call("bgProcessorGetStatus").deadLetterCount).toBe(0);
+    await advance(2000);
+    expect((await bg.call("cacheGet", 1)).raw.summary).toBe("Second try");
+  });
+
+  test("bgProcessorClearDeadLetters empties the list", async () => {
+    load([]);
+    await bg.browser.storage.local.set({ _bgDeadLetters: [{ messageId: 1 }, { messageId: 2 }] });
+    await bg.call("initBgProcessor");
+    expect(bg.call("bgProcessorGetDeadLetters").map(i => i.messageId)).toEqual([2, 1]);
+    expect(bg.call("bgProcessorClearDeadLetters")).toBe(2);
+    await settle();
+    expect((await bg.browser.storage.local.get("_bgDeadLetters"))._bgDeadLetters).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Manual actions
+// ---------------------------------------------------------------------------
+describe("bgProcessorSetManualFlag", () => {
+  test("holds the queue while a manual action uses the same host", async () => {
+    load([analysis("Later")]);
+    enable();
+    addMail(1);
+    bg.call("bgProcessorSetManualFlag", true);
+    bg.call("bgProcessorEnqueue", 1);
+
+    await advance(2000);
+    await advance(3000);
+    expect(llm.chats()).toEqual([]);
+
+    bg.call("bgProcessorSetManualFlag", false);
+    await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 1"]);
+  });
+
+  test("doesn't hold the queue when background traffic has its own host", async () => {
+    load([analysis("Now")]);
+    await bg.browser.storage.sync.set({
+      primaryHostUse: "manual",
+      extraHosts: [{ provider: "ollama", url: "http://10.0.0.2:11434", model: "mistral:7b", use: "background" }],
+    });
+    enable();
+    addMail(1);
+    bg.call("bgProcessorSetManualFlag", true);
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(llm.chats().map(r => r.url)).toEqual(["http://10.0.0.2:11434/api/chat"]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Queue order
+// ---------------------------------------------------------------------------
+describe("queue order", () => {
+  const header = (id, date, author = "Ann <ann@example.com>") => ({ id, date: new Date(date), author });
+  const queued = () => bg.get("bgQueue.map(i => i.messageId)");
+
+  test("manual items, then new mail, then backfill, newest first", async () => {
+    load([]);
+    bg.call("bgProcessorEnqueue", 1, false, "backfill", header(1, "2026-02-19T08:00:00"));
+    bg.call("bgProcessorEnqueue", 2, false, "backfill", header(2, "2026-02-20T08:00:00"));
+    bg.call("bgProcessorEnqueue", 3, false, "new-mail", header(3, "2026-02-20T09:00:00"));
+    bg.call("bgProcessorEnqueue", 4, false, "manual", header(4, "2026-01-01T08:00:00"));
+    expect(queued()).toEqual([4, 3, 2, 1]);
+  });
+
+  test("analyzes mail that arrives during a backfill next", async () => {
+    // Message 4 arrives while the first backfilled message is analyzed
+    load(() => {
+      if (!bg.fake.hasMessage(4)) {
+        addMail(4);
+        bg.call("bgProcessorEnqueue", 4, false, "new-mail", header(4, "2026-02-20T09:00:00"));
+      }
+      return analysis("Done");
+    });
+    enable();
+    for (const id of [1, 2, 3]) {
+      addMail(id);
+      bg.call("bgProcessorEnqueue", id, false, "backfill", header(id, `2026-02-19T0${id}:00:00`));
+    }
+    for (let i = 0; i < 4; i++) await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 3", "Message 4", "Message 2", "Message 1"]);
+  });
+
+  test("VIP senders go ahead of other mail of their tier", async () => {
+    load([]);
+    await bg.browser.storage.sync.set({ vipSenders: "boss@example.com" });
+    await bg.call("initBgProcessor");
+    bg.call("bgProcessorEnqueue", 1, false, "new-mail", header(1, "2026-02-20T09:00:00"));
+    bg.call("bgProcessorEnqueue", 2, false, "new-mail", header(2, "2026-02-20T08:00:00", "Boss <boss@example.com>"));
+    bg.call("bgProcessorEnqueue", 3, false, "new-mail", header(3, "2026-02-20T07:00:00", "Partner <p@partner.net>"));
+    expect(queued()).toEqual([2, 1, 3]);
+
+    await bg.browser.storage.sync.set({ vipSenders: "partner.net" });
+    await settle();
+    expect(queued()).toEqual([3, 1, 2]);
+  });
+
+  test("a queued message that is opened moves to the front", async () => {
+    load([]);
+    bg.call("bgProcessorEnqueue", 1, false, "manual");
+    bg.call("bgProcessorEnqueue", 2, false, "backfill", header(2, "2026-02-19T08:00:00"));
+    expect(bg.call("bgProcessorPromote", 2)).toBe(true);
+    expect(queued()).toEqual([2, 1]);
+    expect(bg.call("bgProcessorPromote", 9)).toBe(false);
+    await settle();
+    const { _bgQueue } = await bg.browser.storage.local.get("_bgQueue");
+    expect(_bgQueue[0]).toMatchObject({ messageId: 2, openedAt: Date.now() });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Saved queue
+// ---------------------------------------------------------------------------
+describe("saved queue", () => {
+  const saved = async () => (await bg.browser.storage.local.get("_bgQueue"))._bgQueue;
+
+  test("is written on every change with the source and enqueue time", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    load([]);
+    const date = new Date("2026-02-20T09:00:00");
+    bg.call("bgProcessorEnqueue", 1, false, "new-mail", { id: 1, date, author: "Ann <ann@example.com>" });
+    bg.call("bgProcessorEnqueue", 2, true);
+    await settle();
+    expect(await saved()).toEqual([
+      { messageId: 2, force: true, enqueuedAt: Date.now(), source: "manual", date: null, author: "" },
+      { messageId: 1, force: false, enqueuedAt: Date.now(), source: "new-mail", date: date.getTime(), author: "Ann <ann@example.com>" },
+    ]);
+  });
+
+  test("keeps the message being analyzed until it is done", async () => {
+    let savedDuringCall = null;
+    load(async () => {
+      savedDuringCall = await saved();
+      return analysis("Done");
+    });
+    enable();
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1);
+    await advance(2000);
+    expect(savedDuringCall.map(i => i.messageId)).toEqual([1]);
+    expect(bg.call("bgProcessorGetQueue")).toEqual([]);
+    expect(await saved()).toEqual([]);
+  });
+
+  test("keeps a message whose analysis failed on an LLM error", async () => {
+    load([new TypeError("fetch failed")]);
+    enable();
+    addMail(1);
+    bg.call("bgProcessorEnqueue", 1, false, "backfill");
+    await advance(2000);
+    expect((await saved()).map(i => [i.messageId, i.source])).toEqual([[1, "backfill"]]);
+  });
+
+  test("is restored at startup, ahead of newly found mail", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    load([analysis("First"), analysis("Second")]);
+    bg.fake.addFolder(INBOX);
+    addMail(1, { date: new Date("2026-01-01T08:00:00") });
+    addMail(2, { date: new Date("2026-02-20T08:00:00") });
+    const earlier = new Date("2026-02-19T08:00:00").getTime();
+    await bg.browser.storage.local.set({
+      _bgQueue: [{ messageId: 1, force: true, enqueuedAt: earlier, source: "manual" }],
+    });
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: true });
+    await bg.call("initBgProcessor");
+    await settle();
+
+    expect(bg.call("bgProcessorGetQueue")).toEqual([
+      { messageId: 1, force: true, enqueuedAt: earlier, source: "manual", date: null, author: "", processing: false },
+      {
+        messageId: 2, force: false, enqueuedAt: Date.now(), source: "backfill",
+        date: new Date("2026-02-20T08:00:00").getTime(), author: "Ann <ann@example.com>", processing: false,
+      },
+    ]);
+    await advance(2000);
+    await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 1", "Message 2"]);
+  });
+
+  test("waits while disabled and runs once Auto Analyze is turned on", async () => {
+    load([analysis("Later")]);
+    addMail(1);
+    await bg.browser.storage.local.set({ _bgQueue: [{ messageId: 1, force: false, enqueuedAt: 1, source: "manual" }] });
+    await bg.call("initBgProcessor");
+    await advance(5000);
+    expect(llm.chats()).toEqual([]);
+
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: true });
+    await settle();
+    await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 1"]);
+  });
+
+  test("a new cache duration drops only the backfilled items", async () => {
+    load([]);
+    await bg.call("initBgProcessor");
+    bg.get("bgEnabled = true");
+    bg.call("bgProcessorEnqueue", 1, false, "backfill");
+    bg.call("bgProcessorEnqueue", 2, false, "new-mail");
+    bg.call("bgProcessorEnqueue", 3, false, "manual");
+    await bg.browser.storage.sync.set({ bgCacheMaxDays: 7 });
+    await settle();
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([3, 2]);
+    expect((await saved()).map(i => i.messageId)).toEqual([3, 2]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Sender rules
+// ---------------------------------------------------------------------------
+describe("sender rules", () => {
+  const RULES = [
+    { field: "sender", pattern: "hr@example.com", action: "block" },
+    { field: "domain", pattern: "news.example.com", action: "skip" },
+    { field: "listId", pattern: "dev.example.org", action: "skip" },
+    { field: "sender", pattern: "boss@example.com", action: "analyze" },
+  ];
+
+  async function start() {
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: true, senderRules: RULES });
+    await bg.call("initBgProcessor");
+    await settle();
+  }
+
+  test("keep blocked mail out of the queue and skipped mail out of automatic sources", async () => {
+    load([]);
+    await start();
+    bg.call("bgProcessorEnqueue", 1, false, "manual", { id: 1, author: "HR <hr@example.com>" });
+    bg.call("bgProcessorEnqueue", 2, false, "new-mail", { id: 2, author: "digest@news.example.com" });
+    bg.call("bgProcessorEnqueue", 3, false, "backfill", { id: 3, author: "digest@news.example.com" });
+    bg.call("bgProcessorEnqueue", 4, false, "manual", { id: 4, author: "digest@news.example.com" });
+    bg.call("bgProcessorEnqueue", 5, false, "new-mail", { id: 5, author: "Ann <ann@example.com>" });
+    expect(bg.get("bgQueue.map(i => i.messageId)").sort()).toEqual([4, 5]);
+  });
+
+  test("queue new mail with an \"analyze\" rule outside the folders to analyze", async () => {
+    load([]);
+    await start();
+    await bg.browser.messages.onNewMailReceived.dispatch(ARCHIVE, {
+      messages: [{ id: 1, author: "Boss <boss@example.com>" }, { id: 2, author: "ann@example.com" }],
+    });
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([1]);
+  });
+
+  test("check List-Id and changed rules before a message is sent to the model", async () => {
+    load([analysis("Kept")]);
+    await start();
+    const listFull = { contentType: "text/plain", body: BODY, headers: { "list-id": ["Dev list <dev.example.org>"] } };
+    bg.fake.addMessage({ id: 1, subject: "List mail", author: "a@lists.example.org", full: listFull, folder: INBOX });
+    addMail(2, { author: "Carol <carol@example.com>" });
+    addMail(3);
+    bg.call("bgProcessorEnqueue", 1, false, "new-mail", { id: 1, author: "a@lists.example.org" });
+    bg.call("bgProcessorEnqueue", 2, false, "new-mail", { id: 2, author: "carol@example.com" });
+    bg.call("bgProcessorEnqueue", 3, false, "new-mail", { id: 3, author: "ann@example.com" });
+    expect(bg.get("bgQueue.length")).toBe(3);
+
+    await bg.browser.storage.sync.set({ senderRules: [...RULES, { field: "sender", pattern: "carol@example.com", action: "block" }] });
+    await settle();
+    for (let i = 0; i < 3; i++) await advance(2000);
+    expect(analyzedSubjects()).toEqual(["Message 3"]);
+    expect(await bg.call("cacheHas", 1)).toBe(false);
+    expect(await bg.call("cacheHas", 2)).toBe(false);
+    expect(bg.get("bgQueue.length")).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Listeners, backfill and settings
+// ---------------------------------------------------------------------------
+describe("initBgProcessor", () => {
+  async function start(enabled = true) {
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: enabled });
+    await bg.call("initBgProcessor");
+    await settle();
+  }
+
+  test("queues new inbox mail only", async () => {
+    load([]);
+    await start();
+    await bg.browser.messages.onNewMailReceived.dispatch(INBOX, { messages: [{ id: 1 }, { id: 2 }] });
+    await bg.browser.messages.onNewMailReceived.dispatch(ARCHIVE, { messages: [{ id: 3 }] });
+    expect(bg.get("bgQueue.map(i => [i.messageId, i.source])")).toEqual([[1, "new-mail"], [2, "new-mail"]]);
+  });
+
+  test("follows the folders set for background analysis", async () => {
+    load([]);
+    await bg.browser.storage.sync.set({
+      bgFolderScope: { "account1:/Projects": "include", "account2:/": "exclude" },
+    });
+    await start();
+    await bg.browser.messages.onNewMailReceived.dispatch(ALPHA, { messages: [{ id: 1 }] });
+    await bg.browser.messages.onNewMailReceived.dispatch(SHARED_INBOX, { messages: [{ id: 2 }] });
+    await bg.browser.messages.onNewMailReceived.dispatch(INBOX, { messages: [{ id: 3 }] });
+    expect(bg.get("bgQueue.map(i => i.messageId)").sort()).toEqual([1, 3]);
+  });
+
+  test("ignores new mail while disabled", async () => {
+    load([]);
+    await start(false);
+    await bg.browser.messages.onNewMailReceived.dispatch(INBOX, { messages: [{ id: 1 }] });
+    expect(bg.get("bgQueue.length")).toBe(0);
+  });
+
+  test("drops deleted messages from the cache", async () => {
+    load([]);
+    await start(false);
+    await bg.call("cacheSet", 1, { summary: "Gone" });
+    await bg.browser.messages.onDeleted.dispatch({ messages: [{ id: 1 }] });
+    await settle();
+    expect(await bg.call("cacheHas", 1)).toBe(false);
+  });
+
+  test("backfills recent, uncached inbox mail across pages", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    load([]);
+    bg.fake.addFolder(INBOX);
+    bg.fake.addFolder(ARCHIVE);
+    bg.fake.messagePageSize = 1;
+    addMail(1, { date: new Date("2026-02-20T08:00:00") });
+    addMail(2, { date: new Date("2026-02-19T18:00:00") });
+    addMail(3, { date: new Date("2026-02-20T09:00:00") });
+    addMail(4, { date: new Date("2026-02-10T09:00:00") });
+    addMail(5, { date: new Date("2026-02-20T10:00:00"), folder: ARCHIVE });
+    await bg.call("cacheSet", 3, { summary: "Cached" });
+
+    await start();
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([1, 2]);
+  });
+
+  test("saves the queue once per backfilled folder", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    load([]);
+    bg.fake.addFolder(INBOX);
+    bg.fake.addFolder(SHARED_INBOX);
+    bg.fake.messagePageSize = 2;
+    for (const id of [1, 2, 3, 4, 5]) addMail(id, { date: new Date(`2026-02-20T0${id}:00:00`) });
+    addMail(6, { date: new Date("2026-02-20T06:00:00"), folder: SHARED_INBOX });
+    const set = jest.spyOn(bg.browser.storage.local, "set");
+
+    await start();
+    expect(set.mock.calls.filter(([items]) => "_bgQueue" in items)).toHaveLength(2);
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([6, 5, 4, 3, 2, 1]);
+  });
+
+  test("backfills the included folders and their subfolders", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    load([]);
+    for (const folder of [INBOX, ARCHIVE, PROJECTS, ALPHA, SHARED_INBOX]) bg.fake.addFolder(folder);
+    bg.fake.addMessage({ id: 1, date: new Date("2026-02-20T08:00:00"), folder: INBOX });
+    bg.fake.addMessage({ id: 2, date: new Date("2026-02-20T07:00:00"), folder: ARCHIVE });
+    bg.fake.addMessage({ id: 3, date: new Date("2026-02-20T06:00:00"), folder: PROJECTS });
+    bg.fake.addMessage({ id: 4, date: new Date("2026-02-20T05:00:00"), folder: ALPHA });
+    bg.fake.addMessage({ id: 5, date: new Date("2026-02-20T04:00:00"), folder: SHARED_INBOX });
+    await bg.browser.storage.sync.set({ bgFolderScope: { "account1:/Projects": "include", "account2:/": "exclude" } });
+
+    await start();
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([1, 3, 4]);
+  });
+
+  test("backfills folders once they are included", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    load([]);
+    bg.fake.addFolder(INBOX);
+    bg.fake.addFolder(PROJECTS);
+    bg.fake.addMessage({ id: 3, date: new Date("2026-02-20T06:00:00"), folder: PROJECTS });
+    await start();
+    expect(bg.get("bgQueue.length")).toBe(0);
+
+    await bg.browser.storage.sync.set({ bgFolderScope: { "account1:/Projects": "include" } });
+    await settle();
+    expect(bg.get("bgQueue.map(i => i.messageId)")).toEqual([3]);
+  });
+
+  test("follows the Auto Analyze setting", async () => {
+    load([]);
+    await start(false);
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: true });
+    await settle();
+    expect(bg.call("bgProcessorGetStatus").enabled).toBe(true);
+    await bg.browser.storage.sync.set({ autoAnalyzeEnabled: false });
+    await settle();
+    expect(bg.call("bgProcessorGetStatus").enabled).toBe(false);
+  });
+
+  test("cleans up expired cache entries hourly", async () => {
+    jest.setSystemTime(new Date("2026-02-20T12:00:00"));
+    load([]);
+    bg.fake.addMessage({ id: 1 });
+    await bg.call("cacheSet", 1, { summary: "Old" });
+    await start(false);
+    expect(await bg.call("cacheHas", 1)).toBe(true);
+
+    jest.setSystemTime(new Date("2026-02-21T12:30:00"));
+    await advance(60 * 60 * 1000);
+    expect(await bg.call("cacheHas", 1)).toBe(false);
+  });
+});
@@ -0,0 +1,813 @@
+"use strict";
+
+const {
+  LLM_PROVIDERS,
+  getLLMProvider,
+  trimHost,
+  openaiBaseUrl,
+  buildAuthHeaders,
+  setHostCredentials,
+  authHeadersFor,
+  httpError,
+  buildOllamaChatBody,
+  thinkOption,
+  parseModelCapabilities,
+  parseKeepAlive,
+  requestTimeoutFor,
+  throughputSample,
+  estimateRequestTime,
+  timeoutFromEstimate,
+  buildOpenAIChatBody,
+  splitNDJSON,
+  parseOpenAIChatResponse,
+  parseOpenAIReasoning,
+  parseUsage,
+  parseModelList,
+  parseLoadedModels,
+  LLM_ACTIONS,
+  actionLLMSettings,
+  buildHostList,
+  selectHostsFor,
+  trafficSharesHost,
+  orderByHealth,
+  isFailoverError,
+  llmErrorClass,
+  isCancelledError,
+} = require("../providers.js");
+const { backgroundScripts, loadScripts, fakeOllama } = require("./harness/load.js");
+
+// The scripts providers.js needs, in manifest order, for tests that need a
+// fresh copy of its state
+const PROVIDER_SCRIPTS = backgroundScripts().slice(0, backgroundScripts().indexOf("providers.js") + 1);
+
+// ---------------------------------------------------------------------------
+// getLLMProvider
+// ---------------------------------------------------------------------------
+describe("getLLMProvider", () => {
+  test("returns the named provider", () => {
+    expect(getLLMProvider("openai")).toBe(LLM_PROVIDERS.openai);
+    expect(getLLMProvider("ollama")).toBe(LLM_PROVIDERS.ollama);
+  });
+
+  test("falls back to Ollama for unknown or missing ids", () => {
+    expect(getLLMProvider("nope")).toBe(LLM_PROVIDERS.ollama);
+    expect(getLLMProvider(undefined)).toBe(LLM_PROVIDERS.ollama);
+  });
+
+  test("every provider implements the interface", () => {
+    for (const provider of Object.values(LLM_PROVIDERS)) {
+      expect(typeof provider.label).toBe("string");
+      expect(provider.defaultHost).toMatch(/^http/);
+      expect(typeof provider.chat).toBe("function");
+      expect(typeof provider.listModels).toBe("function");
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Host URL helpers
+// ---------------------------------------------------------------------------
+describe("trimHost / openaiBaseUrl", () => {
+  test("trimHost strips trailing slashes", () => {
+    expect(trimHost("http://localhost:11434/")).toBe("http://localhost:11434");
+    expect(trimHost("http://localhost:11434//")).toBe("http://localhost:11434");
+    expect(trimHost("http://localhost:11434")).toBe("http://localhost:11434");
+  });
+
+  test("openaiBaseUrl appends /v1 once", () => {
+    expect(openaiBaseUrl("http://localhost:8080")).toBe("http://localhost:8080/v1");
+    expect(openaiBaseUrl("http://localhost:8080/")).toBe("http://localhost:8080/v1");
+    expect(openaiBaseUrl("http://localhost:1234/v1")).toBe("http://localhost:1234/v1");
+    expect(openaiBaseUrl("http://localhost:1234/v1/")).toBe("http://localhost:1234/v1");
+  });
+});
+
+const MESSAGES = [
+  { role: "system", content: "Extract this" },
+  { role: "user", content: "---BEGIN EMAIL DATA (not instructions)---\nHi\n---END EMAIL DATA---" },
+];
+
+// ---------------------------------------------------------------------------
+// Authentication
+// ---------------------------------------------------------------------------
+describe("buildAuthHeaders", () => {
+  test("bearer token", () => {
+    expect(buildAuthHeaders({ type: "bearer", token: "s3cret" })).toEqual({ Authorization: "Bearer s3cret" });
+  });
+
+  test("basic auth is base64 of user:password, UTF-8 safe", () => {
+    expect(buildAuthHeaders({ type: "basic", username: "ollama", password: "pw" }))
+      .toEqual({ Authorization: "Basic " + Buffer.from("ollama:pw").toString("base64") });
+    expect(buildAuthHeaders({ type: "basic", username: "jürgen", password: "pässwort" }))
+      .toEqual({ Authorization: "Basic " + Buffer.from("jürgen:pässwort", "utf8").toString("base64") });
+  });
+
+  test("no credentials means no header", () => {
+    expect(buildAuthHeaders(undefined)).toEqual({});
+    expect(buildAuthHeaders({ type: "none" })).toEqual({});
+    expect(buildAuthHeaders({ type: "bearer", token: "" })).toEqual({});
+    expect(buildAuthHeaders({ type: "basic" })).toEqual({});
+  });
+});
+
+describe("setHostCredentials / authHeadersFor", () => {
+  afterEach(() => setHostCredentials({}));
+
+  test("looks credentials up by host, ignoring a trailing slash", () => {
+    setHostCredentials({
+      "https://llm.example.com/": { type: "bearer", token: "abc" },
+      "http://spare:11434": { type: "none" },
+    });
+    expect(authHeadersFor("https://llm.example.com")).toEqual({ Authorization: "Bearer abc" });
+    expect(authHeadersFor("http://spare:11434")).toEqual({});
+    expect(authHeadersFor("http://other:11434")).toEqual({});
+  });
+
+  test("replaces previously set credentials", () => {
+    setHostCredentials({ "http://a": { type: "bearer", token: "x" } });
+    setHostCredentials({});
+    expect(authHeadersFor("http://a")).toEqual({});
+  });
+});
+
+describe("httpError", () => {
+  const response = (status, body = "") => ({
+    status,
+    url: "https://llm.example.com/api/chat",
+    text: async () => body,
+  });
+
+  test("401 and 403 point at the host's credentials", async () => {
+    for (const status of [401, 403]) {
+      const err = await httpError(response(status, "<html>nginx</html>"));
+      expect(err.status).toBe(status);
+      expect(err.message).toContain(`Authentication failed (HTTP ${status}) at https://llm.example.com`);
+      expect(err.message).not.toContain("nginx");
+    }
+  });
+
+  test("other errors include the response body", async () => {
+    const err = await httpError(response(500, "model crashed"));
+    expect(err.status).toBe(500);
+    expect(err.message).toBe("HTTP 500: model crashed");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildOllamaChatBody
+// ---------------------------------------------------------------------------
+describe("buildOllamaChatBody", () => {
+  test("minimal body has no options", () => {
+    expect(buildOllamaChatBody("mistral:7b", MESSAGES)).toEqual({
+      model: "mistral:7b", messages: MESSAGES, stream: false,
+    });
+  });
+
+  test("passes think when set", () => {
+    expect(buildOllamaChatBody("m", MESSAGES, { think: true }).think).toBe(true);
+    expect(buildOllamaChatBody("m", MESSAGES, { think: false }).think).toBe(false);
+    expect(buildOllamaChatBody("m", MESSAGES, {})).not.toHaveProperty("think");
+  });
+
+  test("passes num_ctx, num_predict, temperature and format", () => {
+    const body = buildOllamaChatBody("m", MESSAGES, { num_ctx: 8192, num_predict: 2048, temperature: 0, format: "json" });
+    expect(body.options).toEqual({ num_ctx: 8192, num_predict: 2048, temperature: 0 });
+    expect(body.format).toBe("json");
+  });
+
+  test("passes a JSON Schema format through unchanged", () => {
+    const schema = { type: "object", properties: { tags: { type: "array" } } };
+    expect(buildOllamaChatBody("m", MESSAGES, { format: schema }).format).toBe(schema);
+  });
+
+  test("omits zero token limits (model default)", () => {
+    const body = buildOllamaChatBody("m", MESSAGES, { num_ctx: 0, num_predict: 0 });
+    expect(body.options).toBeUndefined();
+  });
+
+  test("streams only when an onToken callback is given", () => {
+    expect(buildOllamaChatBody("m", MESSAGES, { onToken: () => {} }).stream).toBe(true);
+    expect(buildOllamaChatBody("m", MESSAGES, { onToken: "nope" }).stream).toBe(false);
+  });
+
+  test("passes keep_alive including zero", () => {
+    expect(buildOllamaChatBody("m", MESSAGES, { keep_alive: "30m" }).keep_alive).toBe("30m");
+    expect(buildOllamaChatBody("m", MESSAGES, { keep_alive: 0 }).keep_alive).toBe(0);
+    expect(buildOllamaChatBody("m", MESSAGES, { keep_alive: null })).not.toHaveProperty("keep_alive");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseKeepAlive
+// ---------------------------------------------------------------------------
+describe("parseKeepAlive", () => {
+  test("empty means the server default", () => {
+    expect(parseKeepAlive("")).toBeNull();
+    expect(parseKeepAlive(undefined)).toBeNull();
+    expect(parseKeepAlive("  ")).toBeNull();
+  });
+
+  test("whole numbers are seconds", () => {
+    expect(parseKeepAlive("-1")).toBe(-1);
+    expect(parseKeepAlive("0")).toBe(0);
+    expect(parseKeepAlive(300)).toBe(300);
+  });
+
+  test("durations pass through", () => {
+    expect(parseKeepAlive("10m")).toBe("10m");
+    expect(parseKeepAlive(" 1h ")).toBe("1h");
+    expect(parseKeepAlive("1.5h")).toBe("1.5h");
+  });
+
+  test("anything else is invalid", () => {
+    expect(parseKeepAlive("forever")).toBeUndefined();
+    expect(parseKeepAlive("10 minutes")).toBeUndefined();
+    expect(parseKeepAlive("-5m")).toBeUndefined();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// requestTimeoutFor
+// ---------------------------------------------------------------------------
+describe("requestTimeoutFor", () => {
+  test("uses the longer timeout when the messages together are long", () => {
+    const half = "x".repeat(3000);
+    const short = requestTimeoutFor([{ role: "system", content: half }]);
+    const long  = requestTimeoutFor([{ role: "system", content: half }, { role: "user", content: half }]);
+    expect(long).toBeGreaterThan(short);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Adaptive timeouts
+// ---------------------------------------------------------------------------
+describe("throughputSample", () => {
+  test("computes token rates and load time from Ollama's nanosecond timings", () => {
+    expect(throughputSample({
+      prompt_eval_count: 600, prompt_eval_duration: 2e9,
+      eval_count: 100, eval_duration: 5e9,
+      load_duration: 3e9,
+    })).toEqual({ promptRate: 300, evalRate: 20, loadMs: 3000 });
+  });
+
+  test("returns null without usable timings", () => {
+    expect(throughputSample(null)).toBeNull();
+    expect(throughputSample({ message: { content: "hi" } })).toBeNull();
+    expect(throughputSample({ eval_count: 10, eval_duration: 0 })).toBeNull();
+  });
+});
+
+describe("estimateRequestTime", () => {
+  const MESSAGES = [{ role: "system", content: "x".repeat(1500) }, { role: "user", content: "y".repeat(1500) }];
+
+  test("null without history", () => {
+    expect(estimateRequestTime(undefined, MESSAGES)).toBeNull();
+    expect(estimateRequestTime([], MESSAGES)).toBeNull();
+  });
+
+  test("sizes the estimate from the prompt and num_predict", () => {
+    // 3000 chars ≈ 1000 tokens at 100 tok/s = 10s; 500 tokens at 10 tok/s = 50s
+    const samples = [{ promptRate: 100, evalRate: 10, loadMs: 0 }];
+    expect(estimateRequestTime(samples, MESSAGES, { num_predict: 500 }))
+      .toEqual({ firstOutputMs: 10_000, totalMs: 60_000 });
+  });
+
+  test("plans for the slowest recent run and the longest load", () => {
+    const samples = [
+      { promptRate: 200, evalRate: 20, loadMs: 0 },
+      { promptRate: 100, evalRate: 40, loadMs: 4000 },
+    ];
+    const est = estimateRequestTime(samples, MESSAGES, { num_predict: 200 });
+    expect(est.firstOutputMs).toBe(4000 + 10_000);
+    expect(est.totalMs).toBe(14_000 + 10_000);
+  });
+
+  test("assumes a default output length when num_predict is the model default", () => {
+    const samples = [{ promptRate: 1000, evalRate: 100, loadMs: 0 }];
+    const withDefault = estimateRequestTime(samples, MESSAGES, {});
+    const withLimit   = estimateRequestTime(samples, MESSAGES, { num_predict: 100 });
+    expect(withDefault.totalMs).toBeGreaterThan(withLimit.totalMs);
+  });
+
+  test("a slow CPU-only host gets far more than the fixed long timeout", () => {
+    const samples = [{ promptRate: 20, evalRate: 3, loadMs: 20_000 }];
+    const est = estimateRequestTime(samples, MESSAGES, { num_predict: 1024 });
+    expect(timeoutFromEstimate(est.totalMs)).toBeGreaterThan(requestTimeoutFor(MESSAGES) * 3);
+  });
+});
+
+describe("timeoutFromEstimate", () => {
+  test("pads the estimate", () => {
+    expect(timeoutFromEstimate(60_000)).toBe(100_000);
+  });
+
+  test("stays within bounds", () => {
+    expect(timeoutFromEstimate(100)).toBe(20_000);
+    expect(timeoutFromEstimate(10 * 60 * 60_000)).toBe(30 * 60_000);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// splitNDJSON
+// ---------------------------------------------------------------------------
+describe("splitNDJSON", () => {
+  test("parses complete lines and keeps the remainder", () => {
+    const { objects, rest } = splitNDJSON('{"response":"a"}\n{"response":"b"}\n{"resp');
+    expect(objects).toEqual([{ response: "a" }, { response: "b" }]);
+    expect(rest).toBe('{"resp');
+  });
+
+  test("skips blank lines", () => {
+    const { objects, rest } = splitNDJSON('\n{"done":true}\n\n');
+    expect(objects).toEqual([{ done: true }]);
+    expect(rest).toBe("");
+  });
+
+  test("remainder joins with the next chunk", () => {
+    const first = splitNDJSON('{"response":"He');
+    expect(first.objects).toEqual([]);
+    const second = splitNDJSON(first.rest + 'llo"}\n');
+    expect(second.objects).toEqual([{ response: "Hello" }]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildOpenAIChatBody / parseOpenAIChatResponse
+// ---------------------------------------------------------------------------
+describe("buildOpenAIChatBody", () => {
+  test("sends the system and user messages as given", () => {
+    const body = buildOpenAIChatBody("qwen2.5-7b", MESSAGES);
+    expect(body.model).toBe("qwen2.5-7b");
+    expect(body.messages).toEqual(MESSAGES);
+    expect(body.stream).toBe(false);
+  });
+
+  test("maps num_predict to max_tokens and drops num_ctx", () => {
+    const body = buildOpenAIChatBody("m", MESSAGES, { num_ctx: 16384, num_predict: 4096 });
+    expect(body.max_tokens).toBe(4096);
+    expect(body).not.toHaveProperty("num_ctx");
+    expect(body).not.toHaveProperty("options");
+  });
+
+  test("maps format json to response_format", () => {
+    const body = buildOpenAIChatBody("m", MESSAGES, { format: "json" });
+    expect(body.response_format).toEqual({ type: "json_object" });
+  });
+
+  test("maps a JSON Schema format to a json_schema response_format", () => {
+    const schema = { type: "object", properties: { body: { type: "string" } }, required: ["body"] };
+    const body = buildOpenAIChatBody("m", MESSAGES, { format: schema });
+    expect(body.response_format).toEqual({
+      type: "json_schema",
+      json_schema: { name: "response", schema },
+    });
+  });
+
+  test("passes temperature including zero", () => {
+    expect(buildOpenAIChatBody("m", MESSAGES, { temperature: 0 }).temperature).toBe(0);
+  });
+});
+
+describe("parseOpenAIChatResponse", () => {
+  test("returns the first choice's message content", () => {
+    const data = { choices: [{ message: { role: "assistant", content: "{\"a\":1}" } }] };
+    expect(parseOpenAIChatResponse(data)).toBe("{\"a\":1}");
+  });
+
+  test("accepts legacy text completions", () => {
+    expect(parseOpenAIChatResponse({ choices: [{ text: "hello" }] })).toBe("hello");
+  });
+
+  test("returns empty string for null content", () => {
+    expect(parseOpenAIChatResponse({ choices: [{ message: { content: null } }] })).toBe("");
+  });
+
+  test("throws when there are no choices", () => {
+    expect(() => parseOpenAIChatResponse({ choices: [] })).toThrow(/No choices/);
+    expect(() => parseOpenAIChatResponse({})).toThrow(/No choices/);
+  });
+});
+
+describe("parseOpenAIReasoning", () => {
+  test("reads reasoning_content or reasoning", () => {
+    expect(parseOpenAIReasoning({ choices: [{ message: { content: "{}", reasoning_content: "Hmm." } }] })).toBe("Hmm.");
+    expect(parseOpenAIReasoning({ choices: [{ message: { content: "{}", reasoning: "Well." } }] })).toBe("Well.");
+  });
+
+  test("returns empty string without reasoning", () => {
+    expect(parseOpenAIReasoning({ choices: [{ message: { content: "{}" } }] })).toBe("");
+    expect(parseOpenAIReasoning({ choices: [{ text: "x" }] })).toBe("");
+    expect(parseOpenAIReasoning({})).toBe("");
+  });
+});
+
+describe("parseUsage", () => {
+  test("reads Ollama token counts", () => {
+    expect(parseUsage("ollama", { done: true, prompt_eval_count: 812, eval_count: 143 }))
+      .toEqual({ promptTokens: 812, outputTokens: 143 });
+  });
+
+  test("reads OpenAI-compatible usage", () => {
+    expect(parseUsage("openai", { usage: { prompt_tokens: 90, completion_tokens: 12, total_tokens: 102 } }))
+      .toEqual({ promptTokens: 90, outputTokens: 12 });
+  });
+
+  test("reports missing counts as null", () => {
+    expect(parseUsage("ollama", { done: true })).toEqual({ promptTokens: null, outputTokens: null });
+    expect(parseUsage("openai", {})).toEqual({ promptTokens: null, outputTokens: null });
+    expect(parseUsage("openai", null)).toEqual({ promptTokens: null, outputTokens: null });
+  });
+});
+
+describe("thinkOption", () => {
+  test("asks thinking models to think, or not to", () => {
+    expect(thinkOption("auto", ["completion", "thinking"])).toBe(true);
+    expect(thinkOption("off", ["completion", "thinking"])).toBe(false);
+  });
+
+  test("sends nothing to other models or without a setting", () => {
+    expect(thinkOption("auto", ["completion"])).toBeUndefined();
+    expect(thinkOption("off", [])).toBeUndefined();
+    expect(thinkOption(undefined, ["thinking"])).toBeUndefined();
+  });
+});
+
+describe("parseModelCapabilities", () => {
+  test("returns the reported capabilities", () => {
+    expect(parseModelCapabilities({ capabilities: ["completion", "thinking", 3] })).toEqual(["completion", "thinking"]);
+  });
+
+  test("older servers report none", () => {
+    expect(parseModelCapabilities({ modelfile: "" })).toEqual([]);
+    expect(parseModelCapabilities(null)).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseModelList
+// ---------------------------------------------------------------------------
+describe("parseModelList", () => {
+  test("Ollama /api/tags → names and sizes, sorted", () => {
+    const data = { models: [{ name: "mistral:7b", size: 4100 }, { name: "gemma3:4b", size: 3300 }] };
+    expect(parseModelList("ollama", data)).toEqual([
+      { name: "gemma3:4b", size: 3300 },
+      { name: "mistral:7b", size: 4100 },
+    ]);
+  });
+
+  test("OpenAI /v1/models → ids with zero size", () => {
+    const data = { object: "list", data: [{ id: "qwen2.5-7b-instruct" }, { id: "llama-3.1-8b" }] };
+    expect(parseModelList("openai", data)).toEqual([
+      { name: "llama-3.1-8b", size: 0 },
+      { name: "qwen2.5-7b-instruct", size: 0 },
+    ]);
+  });
+
+  test("malformed responses produce an empty list", () => {
+    expect(parseModelList("ollama", {})).toEqual([]);
+    expect(parseModelList("openai", null)).toEqual([]);
+    expect(parseModelList("ollama", { models: [{ size: 1 }] })).toEqual([]);
+  });
+});
+
+describe("parseLoadedModels", () => {
+  test("Ollama /api/ps → names, sizes and expiry, sorted", () => {
+    const data = {
+      models: [
+        { name: "mistral:7b", size: 5e9, size_vram: 5e9, expires_at: "2026-10-19T12:05:00Z" },
+        { name: "gpt-oss:20b", size: 14e9, size_vram: 12e9, expires_at: "2026-10-19T12:30:00Z" },
+      ],
+    };
+    expect(parseLoadedModels(data)).toEqual([
+      { name: "gpt-oss:20b", size: 14e9, sizeVram: 12e9, expiresAt: "2026-10-19T12:30:00Z" },
+      { name: "mistral:7b", size: 5e9, sizeVram: 5e9, expiresAt: "2026-10-19T12:05:00Z" },
+    ]);
+  });
+
+  test("nothing loaded or malformed responses produce an empty list", () => {
+    expect(parseLoadedModels({ models: [] })).toEqual([]);
+    expect(parseLoadedModels(null)).toEqual([]);
+    expect(parseLoadedModels({ models: [{ size: 1 }] })).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Host list, routing and failover ordering
+// ---------------------------------------------------------------------------
+describe("buildHostList", () => {
+  const base = { llmProvider: "ollama", ollamaHost: "http://gpu:11434", ollamaModel: "qwen2.5:14b" };
+
+  test("primary host only by default", () => {
+    expect(buildHostList(base)).toEqual([
+      { provider: "ollama", host: "http://gpu:11434", model: "qwen2.5:14b", use: "all", keepAlive: null },
+    ]);
+  });
+
+  test("extra hosts follow the primary in order, each with its own model", () => {
+    const hosts = buildHostList({
+      ...base,
+      primaryHostUse: "background",
+      extraHosts: [
+        { provider: "openai", url: "http://laptop:8080", model: "llama-3.1-8b", use: "manual" },
+        { provider: "ollama", url: "http://spare:11434", model: "mistral:7b" },
+      ],
+    });
+    expect(hosts.map(h => [h.host, h.model, h.use])).toEqual([
+      ["http://gpu:11434", "qwen2.5:14b", "background"],
+      ["http://laptop:8080", "llama-3.1-8b", "manual"],
+      ["http://spare:11434", "mistral:7b", "all"],
+    ]);
+    expect(hosts[1].provider).toBe("openai");
+  });
+
+  test("extra hosts without a model use the primary model; entries without a URL are ignored", () => {
+    const hosts = buildHostList({ ...base, extraHosts: [{ url: "http://spare:11434" }, { model: "x" }, null] });
+    expect(hosts).toHaveLength(2);
+    expect(hosts[1]).toEqual({ provider: "ollama", host: "http://spare:11434", model: "qwen2.5:14b", use: "all", keepAlive: null });
+  });
+
+  test("each host has its own keep-alive; invalid values fall back to the server default", () => {
+    const hosts = buildHostList({
+      ...base,
+      keepAlive: "-1",
+      extraHosts: [{ url: "http://spare:11434", keepAlive: "10m" }, { url: "http://old:11434", keepAlive: "soon" }],
+    });
+    expect(hosts.map(h => h.keepAlive)).toEqual([-1, "10m", null]);
+  });
+
+  test("unknown providers and uses fall back to defaults", () => {
+    const hosts = buildHostList({ ...base, primaryHostUse: "nope", extraHosts: [{ provider: "x", url: "http://a", use: "y" }] });
+    expect(hosts[0].use).toBe("all");
+    expect(hosts[1].provider).toBe("ollama");
+    expect(hosts[1].use).toBe("all");
+  });
+});
+
+describe("selectHostsFor / trafficSharesHost", () => {
+  const hosts = [
+    { host: "http://a", use: "manual" },
+    { host: "http://b", use: "background" },
+    { host: "http://c", use: "all" },
+  ];
+
+  test("keeps hosts for the traffic type plus shared ones, in order", () => {
+    expect(selectHostsFor(hosts, "manual").map(h => h.host)).toEqual(["http://a", "http://c"]);
+    expect(selectHostsFor(hosts, "background").map(h => h.host)).toEqual(["http://b", "http://c"]);
+  });
+
+  test("falls back to every host when none takes the traffic", () => {
+    const manualOnly = [{ host: "http://a", use: "manual" }];
+    expect(selectHostsFor(manualOnly, "background")).toEqual(manualOnly);
+  });
+
+  test("detects whether both kinds of traffic go to the same host first", () => {
+    expect(trafficSharesHost(hosts)).toBe(false);
+    expect(trafficSharesHost([{ host: "http://a/", use: "all" }, { host: "http://a", use: "background" }])).toBe(true);
+    expect(trafficSharesHost([{ host: "http://a", use: "all" }])).toBe(true);
+  });
+});
+
+describe("orderByHealth", () => {
+  const hosts = [{ host: "http://a" }, { host: "http://b/" }, { host: "http://c" }];
+  const now = 1_000_000;
+
+  test("keeps configured order when nothing is known", () => {
+    expect(orderByHealth(hosts, new Map(), now)).toEqual(hosts);
+  });
+
+  test("moves recently failed hosts to the end", () => {
+    const health = new Map([["http://a", { ok: false, checkedAt: now - 1000 }], ["http://b", { ok: true, checkedAt: now }]]);
+    expect(orderByHealth(hosts, health, now).map(h => h.host)).toEqual(["http://b/", "http://c", "http://a"]);
+  });
+
+  test("a host that failed long ago is tried again in order", () => {
+    const health = new Map([["http://a", { ok: false, checkedAt: now - 10 * 60_000 }]]);
+    expect(orderByHealth(hosts, health, now)[0].host).toBe("http://a");
+  });
+});
+
+describe("isFailoverError", () => {
+  const httpErr = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+  test("network errors, timeouts, 5xx and 404 fail over", () => {
+    expect(isFailoverError(new TypeError("NetworkError when attempting to fetch resource."))).toBe(true);
+    expect(isFailoverError(new Error("Ollama request timed out after 60 seconds."))).toBe(true);
+    expect(isFailoverError(httpErr(503))).toBe(true);
+    expect(isFailoverError(httpErr(404))).toBe(true);
+  });
+
+  test("other client errors do not", () => {
+    expect(isFailoverError(httpErr(400))).toBe(false);
+    expect(isFailoverError(httpErr(401))).toBe(false);
+  });
+
+  test("cancelled requests never fail over", () => {
+    const cancelled = Object.assign(new Error("Request cancelled."), { cancelled: true });
+    expect(isFailoverError(cancelled)).toBe(false);
+    expect(isCancelledError(cancelled)).toBe(true);
+    expect(isCancelledError(new Error("Ollama request timed out after 60 seconds."))).toBe(false);
+    expect(isCancelledError(null)).toBe(false);
+  });
+});
+
+describe("llmErrorClass", () => {
+  const httpErr = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+  test("tells host, model, server and timeout failures apart", () => {
+    expect(llmErrorClass(new TypeError("NetworkError when attempting to fetch resource."))).toBe("unreachable");
+    expect(llmErrorClass(Object.assign(new Error("Ollama request timed out after 60 seconds."), { timeout: true })))
+      .toBe("timeout");
+    expect(llmErrorClass(new DOMException("The operation timed out.", "TimeoutError"))).toBe("timeout");
+    expect(llmErrorClass(httpErr(404))).toBe("model");
+    expect(llmErrorClass(httpErr(500))).toBe("server");
+    expect(llmErrorClass(httpErr(503))).toBe("server");
+    expect(llmErrorClass(httpErr(401))).toBe("config");
+    expect(llmErrorClass(httpErr(403))).toBe("config");
+    expect(llmErrorClass(Object.assign(new Error("Invalid LLM host URL"), { invalidHost: true }))).toBe("config");
+    expect(llmErrorClass(httpErr(400))).toBe("other");
+    expect(llmErrorClass(new Error("model requires more system memory"))).toBe("other");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Per-action model routing
+// ---------------------------------------------------------------------------
+describe("actionLLMSettings", () => {
+  const settings = {
+    ollamaModel: "mistral:7b",
+    numCtx: 8192,
+    numPredict: 0,
+    actionModels: {
+      catalog: { model: "llama3.2:3b", numCtx: 2048, numPredict: 0 },
+      analyze: { model: "gpt-oss:20b", numCtx: 0, numPredict: 16384 },
+    },
+  };
+
+  test("uses the action's overrides where set", () => {
+    expect(actionLLMSettings(settings, "catalog")).toEqual({ model: "llama3.2:3b", numCtx: 2048, numPredict: 0 });
+  });
+
+  test("falls back to the global values for zero or missing overrides", () => {
+    expect(actionLLMSettings(settings, "analyze")).toEqual({ model: "gpt-oss:20b", numCtx: 8192, numPredict: 16384 });
+    expect(actionLLMSettings(settings, "reply")).toEqual({ model: "mistral:7b", numCtx: 8192, numPredict: 0 });
+  });
+
+  test("works without any actionModels setting", () => {
+    expect(actionLLMSettings({ ollamaModel: "m" }, "task")).toEqual({ model: "m", numCtx: 0, numPredict: 0 });
+  });
+
+  test("every handler has an action key", () => {
+    expect(Object.keys(LLM_ACTIONS)).toEqual(
+      expect.arrayContaining(["calendar", "task", "reply", "forward", "contact", "catalog", "analyze"]));
+  });
+
+  test("buildHostList uses the action's model on the primary host only", () => {
+    const hosts = buildHostList({
+      ...settings,
+      ollamaHost: "http://gpu:11434",
+      extraHosts: [{ url: "http://spare:11434", model: "qwen2.5:7b" }],
+    }, "catalog");
+    expect(hosts.map(h => h.model)).toEqual(["llama3.2:3b", "qwen2.5:7b"]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// callLLM failover
+// ---------------------------------------------------------------------------
+describe("callLLM failover", () => {
+  const GPU = "http://gpu:11434";
+  const SPARE = "http://spare:11434";
+  const settings = { llmProvider: "ollama", ollamaHost: GPU, ollamaModel: "mistral:7b", extraHosts: [{ url: SPARE }] };
+
+  let gpu;
+  let spare;
+  let scope;
+
+  function load(gpuReplies, spareReplies) {
+    gpu = fakeOllama(gpuReplies);
+    spare = fakeOllama(spareReplies);
+    const fetchImpl = (url, init) => (String(url).startsWith(SPARE) ? spare : gpu)(url, init);
+    scope = loadScripts(PROVIDER_SCRIPTS, { fetch: fetchImpl });
+  }
+
+  const call = () => scope.call("callLLM", scope.call("resolveLLMTarget", settings, "analyze"), [{ role: "user", content: "Hi" }]);
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("fails over to the next host and tries the failed one last afterwards", async () => {
+    load([new TypeError("fetch failed")], ["From spare", "Spare again"]);
+    await expect(call()).resolves.toBe("From spare");
+    expect(gpu.chats()).toHaveLength(1);
+
+    // The failed host is skipped for a while: the spare is tried first
+    await expect(call()).resolves.toBe("Spare again");
+    expect(gpu.chats()).toHaveLength(1);
+    expect(spare.chats()).toHaveLength(2);
+  });
+
+  test("a missing model on one host fails over too", async () => {
+    load([{ status: 404, text: "model not found" }], ["From spare"]);
+    await expect(call()).resolves.toBe("From spare");
+  });
+
+  test("other client errors are thrown without trying the other hosts", async () => {
+    load([{ status: 400, text: "bad request" }], ["unused"]);
+    await expect(call()).rejects.toMatchObject({ status: 400 });
+    expect(spare.chats()).toEqual([]);
+  });
+
+  test("when every host fails, the last error is thrown", async () => {
+    load([{ status: 503, text: "overloaded" }], [{ status: 500, text: "crashed" }]);
+    await expect(call()).rejects.toMatchObject({ status: 500, message: "HTTP 500: crashed" });
+    expect(gpu.chats()).toHaveLength(1);
+    expect(spare.chats()).toHaveLength(1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// warmUpLLM
+// ---------------------------------------------------------------------------
+describe("warmUpLLM", () => {
+  const settings = { llmProvider: "ollama", ollamaHost: "http://gpu:11434", ollamaModel: "mistral:7b", keepAlive: "30m" };
+
+  let llm;
+  let scope;
+
+  function load(replies = []) {
+    llm = fakeOllama(replies);
+    scope = loadScripts(PROVIDER_SCRIPTS, { fetch: llm });
+  }
+
+  const warmUp = (overrides = {}, action = "analyze") =>
+    scope.call("warmUpLLM", { ...settings, ...overrides }, action, "background", { num_ctx: 16384 });
+  const loads = () => llm.requests.filter(r => r.path === "/api/chat");
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick", "queueMicrotask"] });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("loads the model with an empty chat, the request's context size and the host's keep-alive", async () => {
+    load();
+    await expect(warmUp()).resolves.toBe(true);
+    expect(loads()).toHaveLength(1);
+    expect(loads()[0].body).toMatchObject({ model: "mistral:7b", messages: [], keep_alive: "30m" });
+    expect(loads()[0].body.options).toMatchObject({ num_ctx: 16384 });
+  });
+
+  test("warms each host and model up at most once a minute", async () => {
+    load();
+    await expect(warmUp()).resolves.toBe(true);
+    jest.advanceTimersByTime(30_000);
+    await expect(warmUp()).resolves.toBe(false);
+    await expect(warmUp({ ollamaModel: "qwen3:8b" })).resolves.toBe(true);
+    jest.advanceTimersByTime(30_000);
+    await expect(warmUp()).resolves.toBe(true);
+    expect(loads().map(r => r.body.model)).toEqual(["mistral:7b", "qwen3:8b", "mistral:7b"]);
+  });
+
+  test("skips hosts that unload the model straight away", async () => {
+    load();
+    await expect(warmUp({ keepAlive: "0" })).resolves.toBe(false);
+    expect(loads()).toEqual([]);
+  });
+
+  test("a failed warm-up resolves false instead of throwing", async () => {
+    load();
+    llm.down = true;
+    await expect(warmUp()).resolves.toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Ollama streaming
+// ---------------------------------------------------------------------------
+describe("Ollama streaming", () => {
+  test("an error object ends the stream and is thrown", async () => {
+    let cancelled = false;
+    const fetchImpl = async () => new Response(new ReadableStream({
+      start(controller) {
+        // The server reports the error and leaves the connection open
+        controller.enqueue(new TextEncoder().encode('{"message":{"content":"Hel"}}\n{"error":"model runner crashed"}\n'));
+      },
+      cancel() { cancelled = true; },
+    }), { status: 200, headers: { "Content-Type": "application/x-ndjson" } });
+    const scope = loadScripts(PROVIDER_SCRIPTS, { fetch: fetchImpl });
+    const tokens = [];
+
+    const chat = scope.call("getLLMProvider", "ollama").chat("http://gpu:11434", "mistral:7b",
+      [{ role: "user", content: "Hi" }], { onToken: (text) => tokens.push(text) });
+    await expect(chat).rejects.toThrow("model runner crashed");
+    expect(tokens).toEqual(["Hel"]);
+    expect(cancelled).toBe(true);
+  });
+});
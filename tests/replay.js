@@ -0,0 +1,141 @@
+"use strict";
+
+// Record and replay LLM responses, so tests that go through a model can run
+// offline and get the same answer every time.
+//
+//   LLM_REPLAY=record npm run test:integration   save every response
+//   LLM_REPLAY=replay npm run test:integration   serve the saved responses
+//
+// createReplayFetch() wraps fetch(). Requests to Ollama's /api/chat are
+// keyed by a hash of the model, the messages and the request options (see
+// requestKey) and saved to, or served from, <dir>/<key>.json together with
+// the request, so recordings can be reviewed in a diff. The model list
+// (/api/tags, used for health checks) and model details (/api/show) are
+// recorded the same way, keyed by the endpoint and the request body. When
+// replaying, anything else — and any request that wasn't recorded — fails
+// instead of reaching the network.
+//
+// The wrapper can stand in for the global fetch() used by providers.js, so
+// the extension's own request code can be run against recordings too.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const REPLAY_MODES = ["live", "record", "replay"];
+const DEFAULT_RECORDING_DIR = path.join(__dirname, "fixtures", "recorded");
+
+// Request fields that change the answer. keep_alive only affects how long
+// the model stays loaded.
+const KEYED_FIELDS = ["model", "messages", "format", "options", "think", "stream"];
+
+// Endpoints besides /api/chat whose responses are recorded.
+const RECORDED_ENDPOINTS = ["/api/tags", "/api/show"];
+
+// JSON with object keys sorted, so equal requests always hash the same.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function keyedRequest(body) {
+  const request = {};
+  for (const field of KEYED_FIELDS) {
+    if (body[field] !== undefined) request[field] = body[field];
+  }
+  return request;
+}
+
+function hashKey(request) {
+  return crypto.createHash("sha256").update(stableStringify(request)).digest("hex").slice(0, 16);
+}
+
+// Recording key for an /api/chat request body.
+function requestKey(body) {
+  return hashKey(keyedRequest(body));
+}
+
+// What to record for a request: its key, the request as saved with the
+// response, and a label for errors — or null if it isn't recorded. The
+// host isn't part of the key, so recordings work against any host.
+function recordedRequest(url, init) {
+  const method = (init?.method || "GET").toUpperCase();
+  const { pathname } = new URL(String(url));
+  const body = init?.body ? JSON.parse(init.body) : undefined;
+  if (method === "POST" && pathname.endsWith("/api/chat")) {
+    return { key: requestKey(body), request: keyedRequest(body), label: `${body.model} request` };
+  }
+  const endpoint = RECORDED_ENDPOINTS.find(suffix => pathname.endsWith(suffix));
+  if (!endpoint) return null;
+  const request = { method, endpoint, body };
+  return { key: hashKey(request), request, label: `${method} ${endpoint} request` };
+}
+
+function recordingFile(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+function replayResponse(recording) {
+  const { status, contentType, body } = recording.response;
+  return new Response(body, { status, headers: { "Content-Type": contentType } });
+}
+
+// mode: "live" (or empty) returns fetchImpl itself; "record" or "replay"
+// wrap it as described above. dir defaults to tests/fixtures/recorded.
+function createReplayFetch({ mode = "live", dir = DEFAULT_RECORDING_DIR, fetch: fetchImpl = globalThis.fetch } = {}) {
+  mode = mode || "live";
+  if (!REPLAY_MODES.includes(mode)) {
+    throw new Error(`Unknown replay mode "${mode}" — use ${REPLAY_MODES.join(", ")}`);
+  }
+  if (mode === "live") return fetchImpl;
+
+  return async (url, init = {}) => {
+    const recorded = recordedRequest(url, init);
+    if (!recorded) {
+      if (mode === "replay") throw new Error(`Replay mode: no network access for ${url}`);
+      return fetchImpl(url, init);
+    }
+
+    const { key, request, label } = recorded;
+    const file = recordingFile(dir, key);
+
+    if (mode === "replay") {
+      if (!fs.existsSync(file)) {
+        throw new Error(`No recorded response for this ${label} (${key}) in ${dir} — record it with LLM_REPLAY=record`);
+      }
+      return replayResponse(JSON.parse(fs.readFileSync(file, "utf8")));
+    }
+
+    const response = await fetchImpl(url, init);
+    const text = await response.text();
+    const recording = {
+      key,
+      request,
+      response: {
+        status: response.status,
+        contentType: response.headers.get("Content-Type") || "application/json",
+        body: text,
+      },
+    };
+    // Errors aren't saved, so a flaky server doesn't end up in the fixtures
+    if (response.ok) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(recording, null, 2) + "\n");
+    }
+    return replayResponse(recording);
+  };
+}
+
+module.exports = {
+  REPLAY_MODES,
+  DEFAULT_RECORDING_DIR,
+  stableStringify,
+  requestKey,
+  createReplayFetch,
+};
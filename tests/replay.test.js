@@ -0,0 +1,163 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { stableStringify, requestKey, createReplayFetch } = require("./replay.js");
+
+const utils = require("../utils.js");
+// providers.js uses utils.js helpers as globals, as in the extension.
+global.splitReasoning = utils.splitReasoning;
+const { getLLMProvider } = require("../providers.js");
+
+const HOST = "http://127.0.0.1:11434";
+const CHAT_URL = `${HOST}/api/chat`;
+
+const chatBody = (overrides = {}) => ({
+  model: "mistral:7b",
+  messages: [{ role: "system", content: "Extract." }, { role: "user", content: "Lunch on Friday" }],
+  stream: false,
+  options: { num_ctx: 8192 },
+  ...overrides,
+});
+
+const post = (body) => ({ method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+// A fake Ollama server that answers every chat with the next reply.
+function fakeServer(replies) {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    calls.push({ url, init });
+    if (!String(url).endsWith("/api/chat")) return new Response("{}", { status: 200 });
+    const reply = replies.shift();
+    if (reply instanceof Response) return reply;
+    return new Response(JSON.stringify({ message: { content: reply }, done: true }), {
+      status: 200, headers: { "Content-Type": "application/json" },
+    });
+  };
+  return { fetchImpl, calls };
+}
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-test-"));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// requestKey
+// ---------------------------------------------------------------------------
+describe("requestKey", () => {
+  test("ignores key order and keep_alive", () => {
+    const body = chatBody();
+    const reordered = { options: body.options, stream: false, messages: body.messages, model: body.model, keep_alive: "30m" };
+    expect(requestKey(reordered)).toBe(requestKey(body));
+    expect(stableStringify({ b: 1, a: [{ d: 2, c: 3 }] })).toBe('{"a":[{"c":3,"d":2}],"b":1}');
+  });
+
+  test("changes with the model, prompt and options", () => {
+    const key = requestKey(chatBody());
+    expect(requestKey(chatBody({ model: "qwen3:8b" }))).not.toBe(key);
+    expect(requestKey(chatBody({ messages: [{ role: "user", content: "Dinner" }] }))).not.toBe(key);
+    expect(requestKey(chatBody({ options: { num_ctx: 16384 } }))).not.toBe(key);
+    expect(requestKey(chatBody({ format: { type: "object" } }))).not.toBe(key);
+    expect(requestKey(chatBody({ stream: true }))).not.toBe(key);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createReplayFetch
+// ---------------------------------------------------------------------------
+describe("createReplayFetch", () => {
+  test("live mode is plain fetch", () => {
+    const { fetchImpl } = fakeServer([]);
+    expect(createReplayFetch({ mode: "live", fetch: fetchImpl })).toBe(fetchImpl);
+    expect(createReplayFetch({ mode: "", fetch: fetchImpl })).toBe(fetchImpl);
+    expect(() => createReplayFetch({ mode: "rewind" })).toThrow('Unknown replay mode "rewind"');
+  });
+
+  test("records chat responses and replays them without the network", async () => {
+    const server = fakeServer(['{"summary":"Lunch"}']);
+    const record = createReplayFetch({ mode: "record", dir, fetch: server.fetchImpl });
+    const recorded = await record(CHAT_URL, post(chatBody()));
+    expect((await recorded.json()).message.content).toBe('{"summary":"Lunch"}');
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, `${requestKey(chatBody())}.json`), "utf8"));
+    expect(saved.request).toEqual(chatBody());
+    expect(saved.response.status).toBe(200);
+
+    const offline = fakeServer([]);
+    const replay = createReplayFetch({ mode: "replay", dir, fetch: offline.fetchImpl });
+    const replayed = await replay(CHAT_URL, post({ ...chatBody(), keep_alive: -1 }));
+    expect((await replayed.json()).message.content).toBe('{"summary":"Lunch"}');
+    expect(offline.calls).toEqual([]);
+  });
+
+  test("replay fails for requests that weren't recorded", async () => {
+    const replay = createReplayFetch({ mode: "replay", dir, fetch: fakeServer([]).fetchImpl });
+    await expect(replay(CHAT_URL, post(chatBody()))).rejects.toThrow(/No recorded response for this mistral:7b request .* LLM_REPLAY=record/);
+    await expect(replay(`${HOST}/api/tags`)).rejects.toThrow(/No recorded response for this GET \/api\/tags request/);
+    await expect(replay(`${HOST}/api/version`)).rejects.toThrow("Replay mode: no network access");
+  });
+
+  test("records the model list and model details too", async () => {
+    const server = fakeServer([]);
+    const record = createReplayFetch({ mode: "record", dir, fetch: server.fetchImpl });
+    await record(`${HOST}/api/tags`);
+    await record(`${HOST}/api/show`, post({ model: "mistral:7b" }));
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+
+    const offline = fakeServer([]);
+    const replay = createReplayFetch({ mode: "replay", dir, fetch: offline.fetchImpl });
+    expect(await (await replay("http://gpu-box:11434/api/tags")).json()).toEqual({});
+    expect((await replay(`${HOST}/api/show`, post({ model: "mistral:7b" }))).status).toBe(200);
+    await expect(replay(`${HOST}/api/show`, post({ model: "qwen3:8b" }))).rejects.toThrow(/POST \/api\/show request/);
+    expect(offline.calls).toEqual([]);
+  });
+
+  test("record passes other requests through and doesn't save errors", async () => {
+    const server = fakeServer([new Response("model not found", { status: 404 })]);
+    const record = createReplayFetch({ mode: "record", dir, fetch: server.fetchImpl });
+    expect((await record(`${HOST}/api/version`)).status).toBe(200);
+    const failed = await record(CHAT_URL, post(chatBody()));
+    expect(failed.status).toBe(404);
+    expect(await failed.text()).toBe("model not found");
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test("replays streamed responses as they were sent", async () => {
+    const stream = [
+      { message: { content: '{"sum' }, done: false },
+      { message: { content: 'mary":"Hi"}' }, done: true, eval_count: 2 },
+    ].map(o => JSON.stringify(o)).join("\n") + "\n";
+    const server = fakeServer([new Response(stream, { status: 200, headers: { "Content-Type": "application/x-ndjson" } })]);
+    await createReplayFetch({ mode: "record", dir, fetch: server.fetchImpl })(CHAT_URL, post(chatBody({ stream: true })));
+
+    const replayed = await createReplayFetch({ mode: "replay", dir })(CHAT_URL, post(chatBody({ stream: true })));
+    expect(replayed.headers.get("Content-Type")).toBe("application/x-ndjson");
+    expect(await replayed.text()).toBe(stream);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// End to end through the extension's request code
+// ---------------------------------------------------------------------------
+describe("replay through the Ollama provider", () => {
+  const realFetch = global.fetch;
+  afterEach(() => { global.fetch = realFetch; });
+
+  test("serves the same answer the server gave when recording", async () => {
+    const ollama = getLLMProvider("ollama");
+    const messages = chatBody().messages;
+    const options = { num_ctx: 8192, format: { type: "object" } };
+
+    global.fetch = createReplayFetch({ mode: "record", dir, fetch: fakeServer(['{"tags":["Food"]}']).fetchImpl });
+    expect(await ollama.chat(HOST, "mistral:7b", messages, options)).toBe('{"tags":["Food"]}');
+
+    global.fetch = createReplayFetch({ mode: "replay", dir, fetch: fakeServer([]).fetchImpl });
+    expect(await ollama.chat(HOST, "mistral:7b", messages, options)).toBe('{"tags":["Food"]}');
+  });
+});
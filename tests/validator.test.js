@@ -0,0 +1,269 @@
+"use strict";
+
+// validator.js runs after utils.js in the extension and uses its helpers
+// as globals.
+const { normalizeCalDate, ANALYSIS_PRIORITIES } = require("../utils.js");
+global.normalizeCalDate = normalizeCalDate;
+global.ANALYSIS_PRIORITIES = ANALYSIS_PRIORITIES;
+
+const {
+  isValidCalDate,
+  coerceString,
+  coerceBoolean,
+  coerceCalDate,
+  coerceStringList,
+  coerceAttendees,
+  coercePriority,
+  RESULT_KINDS,
+  validateResult,
+  normalizeResult,
+} = require("../validator.js");
+
+describe("isValidCalDate", () => {
+  test("accepts real dates and times", () => {
+    expect(isValidCalDate("20260305T140000")).toBe(true);
+    expect(isValidCalDate("20240229T000000")).toBe(true);
+  });
+
+  test("rejects impossible dates and times", () => {
+    expect(isValidCalDate("20260230T000000")).toBe(false);
+    expect(isValidCalDate("20251301T000000")).toBe(false);
+    expect(isValidCalDate("20260305T250000")).toBe(false);
+    expect(isValidCalDate("20260305T126000")).toBe(false);
+  });
+
+  test("rejects anything that isn't a compact iCal date", () => {
+    expect(isValidCalDate("20260305")).toBe(false);
+    expect(isValidCalDate("2026-03-05T14:00:00")).toBe(false);
+    expect(isValidCalDate("next TueT000000")).toBe(false);
+  });
+});
+
+describe("coerceString", () => {
+  test("trims text", () => {
+    expect(coerceString("  Team sync ")).toEqual({ value: "Team sync" });
+  });
+
+  test("converts numbers and booleans with a note", () => {
+    expect(coerceString(42)).toEqual({ value: "42", problem: "converted number 42 to text" });
+    expect(coerceString(true).value).toBe("true");
+  });
+
+  test("drops objects and lists", () => {
+    expect(coerceString({ a: 1 })).toEqual({ problem: "expected text, got an object — dropped" });
+    expect(coerceString(["a"]).value).toBeUndefined();
+  });
+});
+
+describe("coerceBoolean", () => {
+  test("keeps booleans as they are", () => {
+    expect(coerceBoolean(true)).toEqual({ value: true });
+    expect(coerceBoolean(false)).toEqual({ value: false });
+  });
+
+  test("converts string and numeric booleans", () => {
+    expect(coerceBoolean("true").value).toBe(true);
+    expect(coerceBoolean(" Yes ").value).toBe(true);
+    expect(coerceBoolean("false").value).toBe(false);
+    expect(coerceBoolean("no").value).toBe(false);
+    expect(coerceBoolean(1).value).toBe(true);
+    expect(coerceBoolean(0).value).toBe(false);
+    expect(coerceBoolean("true").problem).toBe('converted "true" to true');
+  });
+
+  test("drops anything else", () => {
+    expect(coerceBoolean("maybe")).toEqual({ problem: 'expected true or false, got "maybe" — dropped' });
+    expect(coerceBoolean(2).value).toBeUndefined();
+    expect(coerceBoolean({}).value).toBeUndefined();
+  });
+});
+
+describe("coerceCalDate", () => {
+  test("normalizes ISO dates", () => {
+    expect(coerceCalDate("2026-03-05T14:00:00")).toEqual({ value: "20260305T140000" });
+    expect(coerceCalDate("2026-03-05")).toEqual({ value: "20260305T000000" });
+    expect(coerceCalDate("20260305T1400")).toEqual({ value: "20260305T140000" });
+  });
+
+  test("keeps the time when date and time are separated by a space", () => {
+    expect(coerceCalDate("2026-03-05 14:30")).toEqual({ value: "20260305T143000" });
+  });
+
+  test("drops invalid dates with a problem", () => {
+    expect(coerceCalDate("next Tuesday")).toEqual({ problem: 'invalid date "next Tuesday" — dropped' });
+    expect(coerceCalDate("2026-02-30").value).toBeUndefined();
+    expect(coerceCalDate({ date: "2026-03-05" }).problem).toBe("expected a date, got an object — dropped");
+  });
+
+  test("treats an empty date as no date", () => {
+    expect(coerceCalDate("")).toEqual({});
+    expect(coerceCalDate("  ")).toEqual({});
+  });
+});
+
+describe("coerceStringList", () => {
+  test("trims entries and drops empty ones", () => {
+    expect(coerceStringList([" Work ", "", "Travel"])).toEqual({ value: ["Work", "Travel"] });
+  });
+
+  test("splits a single string", () => {
+    expect(coerceStringList("Work, Travel")).toEqual({ value: ["Work", "Travel"], problem: "split text into a list" });
+  });
+
+  test("drops entries that aren't text", () => {
+    const result = coerceStringList(["Work", { tag: "x" }, null]);
+    expect(result.value).toEqual(["Work"]);
+    expect(result.problem).toBe("dropped 2 entries that weren't text");
+  });
+
+  test("drops non-lists", () => {
+    expect(coerceStringList({ tags: [] }).value).toBeUndefined();
+  });
+});
+
+describe("coerceAttendees", () => {
+  test("extracts addresses from display-name forms", () => {
+    expect(coerceAttendees(["Jane Doe <jane@example.com>", "bob@example.org"]))
+      .toEqual({ value: ["jane@example.com", "bob@example.org"], problem: undefined });
+  });
+
+  test("splits a comma-separated string", () => {
+    expect(coerceAttendees("jane@example.com, Bob <bob@example.org>").value)
+      .toEqual(["jane@example.com", "bob@example.org"]);
+  });
+
+  test("accepts objects with an email", () => {
+    expect(coerceAttendees([{ name: "Jane", email: "jane@example.com" }]).value).toEqual(["jane@example.com"]);
+  });
+
+  test("drops entries without an address and removes duplicates", () => {
+    const result = coerceAttendees(["Jane Doe", "jane@example.com", "JANE <jane@example.com>"]);
+    expect(result.value).toEqual(["jane@example.com"]);
+    expect(result.problem).toBe('no email address in "Jane Doe" — dropped');
+  });
+});
+
+describe("coercePriority", () => {
+  test("accepts known priorities in any case or spacing", () => {
+    expect(coercePriority("urgent")).toEqual({ value: "urgent" });
+    expect(coercePriority("Action Needed")).toEqual({ value: "action-needed" });
+    expect(coercePriority("LOW")).toEqual({ value: "low" });
+  });
+
+  test("falls back to informational", () => {
+    expect(coercePriority("critical")).toEqual({
+      value: "informational",
+      problem: 'unknown priority "critical" — using "informational"',
+    });
+    expect(coercePriority(3).value).toBe("informational");
+  });
+});
+
+describe("validateResult", () => {
+  test("has a kind for every model result", () => {
+    expect(Object.keys(RESULT_KINDS)).toEqual([
+      "calendar", "task", "contact", "catalog", "reply", "forward", "analysis", "analysisPart",
+    ]);
+  });
+
+  test("throws for an unknown kind", () => {
+    expect(() => validateResult("poem", {})).toThrow('Unknown result kind "poem"');
+  });
+
+  test("coerces a calendar result and reports each problem", () => {
+    const { value, problems } = validateResult("calendar", {
+      startDate: "2026-03-05 14:00",
+      endDate: "soon",
+      summary: " Kayak Basics ",
+      forceAllDay: "false",
+      attendees: "Jane <jane@example.com>",
+      preview: "Kayak Basics — Mar 5",
+      location: "Boathouse",
+    });
+    expect(value).toEqual({
+      startDate: "20260305T140000",
+      summary: "Kayak Basics",
+      forceAllDay: false,
+      attendees: ["jane@example.com"],
+    });
+    expect(problems).toEqual([
+      'endDate: invalid date "soon" — dropped',
+      'forceAllDay: converted "false" to false',
+    ]);
+  });
+
+  test("treats null fields as missing", () => {
+    expect(validateResult("calendar", { summary: "A", endDate: null })).toEqual({
+      value: { summary: "A" },
+      problems: [],
+    });
+  });
+
+  test("maps misspelled task fields", () => {
+    const { value } = validateResult("task", { summary: "Renew", InitialDate: "2026-03-01", DueDate: "2026-03-31" });
+    expect(value).toEqual({ summary: "Renew", initialDate: "20260301T000000", dueDate: "20260331T000000" });
+  });
+
+  test("reports a result that isn't an object", () => {
+    expect(validateResult("reply", ["Hi"])).toEqual({
+      value: {},
+      problems: ["expected an object, got a list"],
+    });
+  });
+
+  test("normalizes an analysis result", () => {
+    const { value, problems } = validateResult("analysis", {
+      summary: "Spring classes",
+      priority: "Action Needed",
+      events: [
+        "Open house — Mar 7",
+        { title: "Kayak Basics", startDate: "2026-03-14", forceAllDay: "yes" },
+        42,
+      ],
+      tasks: [{ summary: "Renew membership", dueDate: "March 31" }],
+      contacts: [{ firstName: "Jane", lastName: "Doe", phone: 5551234 }],
+      tags: "Events; Outdoors",
+    });
+    expect(value).toEqual({
+      summary: "Spring classes",
+      priority: "action-needed",
+      events: [
+        { preview: "Open house — Mar 7" },
+        { startDate: "20260314T000000", forceAllDay: true, preview: "Kayak Basics" },
+      ],
+      tasks: [{ summary: "Renew membership", preview: "Renew membership" }],
+      contacts: [{ firstName: "Jane", lastName: "Doe", phone: "5551234", preview: "" }],
+      tags: ["Events", "Outdoors"],
+    });
+    expect(problems).toEqual([
+      'events[1].forceAllDay: converted "yes" to true',
+      "events[2]: expected an object, got 42 — dropped",
+      'tasks[0].dueDate: invalid date "March 31" — dropped',
+      "contacts[0].phone: converted number 5551234 to text",
+      "tags: split text into a list",
+    ]);
+  });
+
+  test("defaults a missing analysis priority", () => {
+    expect(validateResult("analysis", { summary: "S" }).value).toEqual({ summary: "S", priority: "informational" });
+  });
+
+  test("keeps the part summary of a long-email part", () => {
+    const { value } = validateResult("analysisPart", { partSummary: "Part one", events: [] });
+    expect(value).toEqual({ partSummary: "Part one", events: [] });
+  });
+});
+
+describe("normalizeResult", () => {
+  test("returns the value and logs the problems", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      expect(normalizeResult("catalog", { tags: ["Work", 1] })).toEqual({ tags: ["Work", "1"] });
+      expect(warn).not.toHaveBeenCalled();
+      expect(normalizeResult("catalog", { tags: "Work" })).toEqual({ tags: ["Work"] });
+      expect(warn).toHaveBeenCalledWith("[ThunderClerk-AI]", "Fixed catalog result: tags: split text into a list");
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,312 @@
+"use strict";
+
+// Validation and normalization of model results.
+//
+// The JSON Schemas in utils.js tell the model what to generate and reject
+// output that can't be used at all. This module turns parsed output into
+// the exact shape the dialogs, the contact popup and the cache expect. Each
+// result kind has a field spec; validateResult() coerces every field to its
+// type (string booleans, attendee strings, numbers given as text), fills in
+// display fallbacks, drops fields it can't repair — invalid dates included —
+// and reports each change as a field-level problem.
+//
+// Depends on: utils.js (normalizeCalDate, ANALYSIS_PRIORITIES) — loaded
+// before this script.
+
+// --- Field types ---
+
+// A coercer returns { value } for a usable value, { problem } for a value
+// that has to be dropped, or both when the value was changed to fit.
+
+function describeValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "object") return "an object";
+  if (typeof value === "string") {
+    return JSON.stringify(value.length > 40 ? value.slice(0, 40) + "…" : value);
+  }
+  return String(value);
+}
+
+function coerceString(value) {
+  if (typeof value === "string") return { value: value.trim() };
+  if (typeof value === "number" || typeof value === "boolean") {
+    return { value: String(value), problem: `converted ${typeof value} ${value} to text` };
+  }
+  return { problem: `expected text, got ${describeValue(value)} — dropped` };
+}
+
+const TRUE_WORDS  = ["true", "yes", "y", "1"];
+const FALSE_WORDS = ["false", "no", "n", "0"];
+
+function coerceBoolean(value) {
+  if (typeof value === "boolean") return { value };
+  const word = String(value).trim().toLowerCase();
+  if ((typeof value === "string" || typeof value === "number") && TRUE_WORDS.includes(word)) {
+    return { value: true, problem: `converted ${describeValue(value)} to true` };
+  }
+  if ((typeof value === "string" || typeof value === "number") && FALSE_WORDS.includes(word)) {
+    return { value: false, problem: `converted ${describeValue(value)} to false` };
+  }
+  return { problem: `expected true or false, got ${describeValue(value)} — dropped` };
+}
+
+// A compact iCal date (YYYYMMDDTHHMMSS) naming a real day and time.
+function isValidCalDate(dateStr) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/.exec(dateStr);
+  if (!m) return false;
+  const [year, month, day, hour, min, sec] = m.slice(1).map(Number);
+  const d = new Date(year, month - 1, day);
+  return d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day
+    && hour < 24 && min < 60 && sec < 60;
+}
+
+function coerceCalDate(value) {
+  if (typeof value !== "string" && typeof value !== "number") {
+    return { problem: `expected a date, got ${describeValue(value)} — dropped` };
+  }
+  // An empty date means the model didn't find one
+  const text = String(value).trim();
+  if (!text) return {};
+  // "2026-03-05 14:00" → "2026-03-05T14:00"
+  const normalized = normalizeCalDate(text.replace(/^(\d{4}-?\d{2}-?\d{2})\s+(?=\d)/, "$1T"));
+  if (!isValidCalDate(normalized)) {
+    return { problem: `invalid date ${describeValue(value)} — dropped` };
+  }
+  return { value: normalized };
+}
+
+// A list of strings; a single string is split at commas, semicolons and
+// line breaks.
+function coerceStringList(value) {
+  let entries = value;
+  let problem;
+  if (typeof value === "string") {
+    entries = value.split(/[,;\n]/);
+    problem = "split text into a list";
+  } else if (!Array.isArray(value)) {
+    return { problem: `expected a list, got ${describeValue(value)} — dropped` };
+  }
+  const list = [];
+  let skipped = 0;
+  for (const entry of entries) {
+    if (typeof entry !== "string" && typeof entry !== "number") {
+      skipped++;
+      continue;
+    }
+    const text = String(entry).trim();
+    if (text) list.push(text);
+  }
+  if (skipped > 0) problem = `dropped ${skipped} entr${skipped === 1 ? "y" : "ies"} that weren't text`;
+  return { value: list, problem };
+}
+
+const EMAIL_ADDRESS_RE = /[^\s<>"',;:()[\]]+@[^\s<>"',;:()[\]]+\.[^\s<>"',;:()[\]]+/;
+
+// Attendees as bare email addresses: "Jane Doe <jane@example.com>",
+// { name, email } objects and comma-separated strings are all accepted.
+function coerceAttendees(value) {
+  let entries = value;
+  if (typeof value === "string") entries = value.split(/[,;\n]/);
+  else if (!Array.isArray(value)) {
+    return { problem: `expected a list, got ${describeValue(value)} — dropped` };
+  }
+  const list = [];
+  const rejected = [];
+  for (const entry of entries) {
+    const text = entry && typeof entry === "object" ? (entry.email || entry.address || "") : entry;
+    if (typeof text !== "string" || !text.trim()) continue;
+    const m = EMAIL_ADDRESS_RE.exec(text);
+    if (m) {
+      if (!list.includes(m[0])) list.push(m[0]);
+    } else {
+      rejected.push(describeValue(text));
+    }
+  }
+  const problem = rejected.length > 0 ? `no email address in ${rejected.join(", ")} — dropped` : undefined;
+  return { value: list, problem };
+}
+
+// "Action Needed" → "action-needed"; anything else falls back to
+// "informational".
+function coercePriority(value) {
+  const word = typeof value === "string" ? value.trim().toLowerCase().replace(/[\s_]+/g, "-") : "";
+  if (ANALYSIS_PRIORITIES.includes(word)) return { value: word };
+  return { value: "informational", problem: `unknown priority ${describeValue(value)} — using "informational"` };
+}
+
+const FIELD_TYPES = {
+  string:     coerceString,
+  boolean:    coerceBoolean,
+  calDate:    coerceCalDate,
+  stringList: coerceStringList,
+  attendees:  coerceAttendees,
+  priority:   coercePriority,
+};
+
+// --- Result kinds ---
+//
+// fields:   field → type name, or { items: <item kind> } for a list of items
+// aliases:  misspelled field → field it stands for
+// defaults: field → value used when the field is missing
+// preview:  fill in a one-line "preview" for display in the analysis dialog
+
+const EVENT_FIELDS = {
+  startDate:   "calDate",
+  endDate:     "calDate",
+  summary:     "string",
+  forceAllDay: "boolean",
+  attendees:   "attendees",
+  category:    "string",
+  description: "string",
+};
+
+const TASK_FIELDS = {
+  initialDate: "calDate",
+  dueDate:     "calDate",
+  summary:     "string",
+  category:    "string",
+  description: "string",
+};
+const TASK_ALIASES = { InitialDate: "initialDate", DueDate: "dueDate" };
+
+const CONTACT_FIELDS = {
+  firstName: "string",
+  lastName:  "string",
+  email:     "string",
+  phone:     "string",
+  company:   "string",
+  jobTitle:  "string",
+  website:   "string",
+};
+
+const ITEM_KINDS = {
+  event:   { fields: { preview: "string", ...EVENT_FIELDS }, preview: true },
+  task:    { fields: { preview: "string", ...TASK_FIELDS }, aliases: TASK_ALIASES, preview: true },
+  contact: { fields: { preview: "string", ...CONTACT_FIELDS }, preview: true },
+};
+
+const ANALYSIS_ITEM_FIELDS = {
+  events:   { items: "event" },
+  tasks:    { items: "task" },
+  contacts: { items: "contact" },
+};
+
+const RESULT_KINDS = {
+  calendar: { fields: EVENT_FIELDS },
+  task:     { fields: TASK_FIELDS, aliases: TASK_ALIASES },
+  contact:  { fields: CONTACT_FIELDS },
+  catalog:  { fields: { tags: "stringList" } },
+  reply:    { fields: { body: "string" } },
+  forward:  { fields: { summary: "string" } },
+  analysis: {
+    fields: {
+      summary:        "string",
+      priority:       "priority",
+      ...ANALYSIS_ITEM_FIELDS,
+      tags:           "stringList",
+      reply:          "string",
+      forwardSummary: "string",
+    },
+    defaults: { priority: "informational" },
+  },
+  // One part of a long email (see runChunkedAnalysis in processor.js)
+  analysisPart: {
+    fields: { partSummary: "string", ...ANALYSIS_ITEM_FIELDS },
+  },
+};
+
+// --- Validation ---
+
+// Models label items in many ways; use the first label they gave.
+function itemPreview(raw) {
+  for (const key of ["preview", "title", "name", "description", "summary", "label"]) {
+    if (typeof raw[key] === "string" && raw[key].trim()) return raw[key].trim();
+  }
+  return "";
+}
+
+function validateItems(itemKind, value, path, problems) {
+  if (!Array.isArray(value)) {
+    return { problem: `expected a list, got ${describeValue(value)} — dropped` };
+  }
+  const items = [];
+  value.forEach((entry, i) => {
+    if (typeof entry === "string") {
+      if (entry.trim()) items.push({ preview: entry.trim() });
+    } else if (entry && typeof entry === "object" && !Array.isArray(entry)) {
+      items.push(validateFields(ITEM_KINDS[itemKind], entry, `${path}[${i}]`, problems));
+    } else {
+      problems.push(`${path}[${i}]: expected an object, got ${describeValue(entry)} — dropped`);
+    }
+  });
+  return { value: items };
+}
+
+function validateFields(spec, raw, path, problems) {
+  const data = { ...raw };
+  for (const [alias, field] of Object.entries(spec.aliases || {})) {
+    if (data[alias] !== undefined && data[field] === undefined) data[field] = data[alias];
+  }
+
+  const result = {};
+  for (const [field, type] of Object.entries(spec.fields)) {
+    const fieldPath = path ? `${path}.${field}` : field;
+    const value = data[field];
+    // Models often send null for "not found"
+    if (value === undefined || value === null) {
+      if (spec.defaults && field in spec.defaults) result[field] = spec.defaults[field];
+      continue;
+    }
+    const coerced = typeof type === "string"
+      ? FIELD_TYPES[type](value)
+      : validateItems(type.items, value, fieldPath, problems);
+    if (coerced.problem) problems.push(`${fieldPath}: ${coerced.problem}`);
+    if (coerced.value !== undefined) result[field] = coerced.value;
+  }
+  if (spec.preview && !result.preview) result.preview = itemPreview(data);
+  return result;
+}
+
+// Validate a parsed model result of the given kind (a key of RESULT_KINDS).
+// Returns { value, problems }: value holds only the kind's fields, coerced
+// to their types; problems lists what was changed or dropped, e.g.
+// 'startDate: invalid date "next week" — dropped'. Unknown fields are
+// dropped silently.
+function validateResult(kind, data) {
+  const spec = RESULT_KINDS[kind];
+  if (!spec) throw new Error(`Unknown result kind "${kind}"`);
+  const problems = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    problems.push(`expected an object, got ${describeValue(data)}`);
+    data = {};
+  }
+  const value = validateFields(spec, data, "", problems);
+  return { value, problems };
+}
+
+// validateResult() for call sites: logs the problems and returns the value.
+function normalizeResult(kind, data, logPrefix = "[ThunderClerk-AI]") {
+  const { value, problems } = validateResult(kind, data);
+  if (problems.length > 0) {
+    const more = problems.length > 5 ? ` (+${problems.length - 5} more)` : "";
+    console.warn(logPrefix, `Fixed ${kind} result: ${problems.slice(0, 5).join("; ")}${more}`);
+  }
+  return value;
+}
+
+// Node.js export (used by Jest tests). Browser environment ignores this block.
+if (typeof module !== "undefined") {
+  module.exports = {
+    isValidCalDate,
+    coerceString,
+    coerceBoolean,
+    coerceCalDate,
+    coerceStringList,
+    coerceAttendees,
+    coercePriority,
+    RESULT_KINDS,
+    validateResult,
+    normalizeResult,
+  };
+}